@@ -0,0 +1,74 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+// ==========================================
+// AUDIT DELLE AZIONI ADMIN
+// ==========================================
+//
+// Una riga JSON per ogni modifica fatta dalle API admin e per ogni accesso
+// rifiutato, in backend/data/admin-audit.jsonl (ADMIN_AUDIT_PATH per
+// cambiarlo). Le letture riuscite non vengono registrate.
+
+const DEFAULT_AUDIT_PATH = path.join(__dirname, "..", "data", "admin-audit.jsonl");
+const MAX_BODY_LENGTH = 2000;
+
+// Corpo della richiesta come testo JSON (troncato oltre MAX_BODY_LENGTH),
+// così ogni riga ha la stessa forma; null se la richiesta non ha corpo
+function summarizeBody(body) {
+  if (!body || typeof body !== "object" || Object.keys(body).length === 0) return null;
+  const text = JSON.stringify(body);
+  return text.length > MAX_BODY_LENGTH ? `${text.slice(0, MAX_BODY_LENGTH - 1)}…` : text;
+}
+
+function createAuditLog(filePath = DEFAULT_AUDIT_PATH) {
+  let stream = null;
+
+  function append(entry) {
+    if (!stream) {
+      stream = fs.createWriteStream(filePath, { flags: "a" });
+      stream.on("error", (error) => console.error("[ERROR] Audit log write failed", error.message));
+    }
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  // Middleware: registra la richiesta quando la risposta è stata inviata
+  function middleware(req, res, next) {
+    res.on("finish", () => {
+      const denied = [401, 403, 429].includes(res.statusCode);
+      if (req.method === "GET" && !denied) return;
+      append({
+        at: new Date().toISOString(),
+        user: req.admin ? req.admin.name : null,
+        role: req.admin ? req.admin.role : null,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        ip: req.ip,
+        body: summarizeBody(req.body)
+      });
+    });
+    next();
+  }
+
+  // Ultime `limit` righe, dalla più recente
+  async function readRecent(limit) {
+    if (!fs.existsSync(filePath)) return [];
+    const entries = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        continue;
+      }
+      if (entries.length > limit) entries.shift();
+    }
+    return entries.reverse();
+  }
+
+  return { filePath, middleware, readRecent };
+}
+
+module.exports = { createAuditLog };
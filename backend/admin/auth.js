@@ -0,0 +1,309 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const util = require("util");
+
+// ==========================================
+// AUTENTICAZIONE E RUOLI DELLE API ADMIN
+// ==========================================
+//
+// Utenti e token stanno in backend/data/admin-users.json (ADMIN_USERS_PATH
+// per cambiarlo), gestito con `npm run admin:users`. Non contiene segreti in
+// chiaro: le password sono hash scrypt con sale, i token hash SHA-256.
+//
+// {
+//   "users":  [{ "username": "mario", "role": "manager", "password": "scrypt$16384$<sale>$<hash>" }],
+//   "tokens": [{ "name": "monitoraggio", "role": "viewer", "token": "sha256$<hash>" }]
+// }
+//
+// Ruoli: "viewer" legge (elenchi, report, explain), "manager" gestisce il
+// catalogo (reload, dizionari) e legge l'audit. Le credenziali arrivano come
+// "Authorization: Basic" (utente e password) o "Authorization: Bearer" /
+// "X-Admin-Token" (token). Il file viene riletto quando cambia.
+//
+// scrypt costa decine di millisecondi, quindi la verifica è asincrona (gira
+// nel thread pool di Node) e fatta il meno possibile: le credenziali appena
+// verificate restano valide per VERIFIED_TTL_MS senza ricalcolare l'hash, un
+// utente inesistente è rifiutato senza hash e, dopo MAX_FAILURES tentativi
+// falliti nella finestra FAILURE_WINDOW_MS dallo stesso IP o sullo stesso
+// utente, le richieste con password sono respinte con 429 senza verificarle.
+// Ogni tentativo fallito risponde dopo almeno FAILURE_DELAY_MS, così la
+// durata non rivela se l'utente esiste.
+
+const DEFAULT_USERS_PATH = path.join(__dirname, "..", "data", "admin-users.json");
+const ROLES = { viewer: 1, manager: 2 };
+const SCRYPT_COST = 16384;
+const SCRYPT_KEY_LENGTH = 32;
+const VERIFIED_TTL_MS = 60 * 1000;
+const VERIFIED_MAX = 1000;
+const MAX_FAILURES = 10;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const FAILURE_DELAY_MS = 300;
+const FAILURE_KEYS_MAX = 10000;
+const STATUS_TITLES = { 401: "Unauthorized", 403: "Forbidden", 429: "Too Many Requests" };
+
+const scrypt = util.promisify(crypto.scrypt);
+const sleep = util.promisify(setTimeout);
+
+function authError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  error.title = STATUS_TITLES[status];
+  return error;
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH, { N: SCRYPT_COST });
+  return `scrypt$${SCRYPT_COST}$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, cost, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length, { N: Number(cost) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return `sha256$${crypto.createHash("sha256").update(token).digest("hex")}`;
+}
+
+// Confronto a tempo costante anche tra stringhe di lunghezza diversa
+function safeEqual(a, b) {
+  const left = crypto.createHash("sha256").update(String(a)).digest();
+  const right = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+function checkConfig(config, file) {
+  const problems = [];
+  const users = Array.isArray(config.users) ? config.users : [];
+  const tokens = Array.isArray(config.tokens) ? config.tokens : [];
+
+  users.forEach((user, index) => {
+    if (!user.username) problems.push(`users[${index}] has no username`);
+    if (!ROLES[user.role]) problems.push(`User "${user.username}" has unknown role "${user.role}"`);
+    if (!String(user.password || "").startsWith("scrypt$")) problems.push(`User "${user.username}" has no hashed password`);
+  });
+  tokens.forEach((token, index) => {
+    if (!token.name) problems.push(`tokens[${index}] has no name`);
+    if (!ROLES[token.role]) problems.push(`Token "${token.name}" has unknown role "${token.role}"`);
+    if (!String(token.token || "").startsWith("sha256$")) problems.push(`Token "${token.name}" is not hashed`);
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${path.basename(file)}: ${problems.join("; ")}`);
+  }
+  return { users, tokens };
+}
+
+function readUsersFile(filePath) {
+  if (!fs.existsSync(filePath)) return { users: [], tokens: [] };
+  return checkConfig(JSON.parse(fs.readFileSync(filePath, "utf8")), filePath);
+}
+
+// Scrittura atomica, come per i dizionari di ricerca
+function writeUsersFile(filePath, config) {
+  checkConfig(config, filePath);
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Risposta per un errore di authorize(); `extra` si aggiunge al corpo JSON
+function sendAuthError(res, error, extra = {}) {
+  if (error.status === 401) res.set("WWW-Authenticate", 'Basic realm="SP Electric admin"');
+  if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
+  res.status(error.status).json({ error: error.title, message: error.message, ...extra });
+}
+
+function parseCredentials(req) {
+  const header = req.get("authorization") || "";
+  const [scheme, value = ""] = header.split(" ");
+
+  if (/^basic$/i.test(scheme)) {
+    const decoded = Buffer.from(value, "base64").toString("utf8");
+    const separator = decoded.indexOf(":");
+    if (separator < 0) return null;
+    return { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+  }
+  if (/^bearer$/i.test(scheme) && value) return { token: value };
+  if (req.get("x-admin-token")) return { token: req.get("x-admin-token") };
+  return null;
+}
+
+// `envToken` (ADMIN_TOKEN) è un token manager senza file; senza nessuna
+// credenziale configurata l'accesso è negato, libero solo con `allowOpen`
+// (ADMIN_OPEN=1, da usare solo in sviluppo)
+function createAuthenticator({ filePath = DEFAULT_USERS_PATH, envToken = "", allowOpen = false } = {}) {
+  let cache = { mtimeMs: null, config: { users: [], tokens: [] }, error: null };
+  // Chiave HMAC del processo: in memoria non resta la password, solo un'impronta
+  const verifiedKey = crypto.randomBytes(32);
+  const verified = new Map(); // impronta → scadenza
+  const failures = new Map(); // "ip:..." / "user:..." → istanti dei tentativi falliti
+
+  function currentConfig() {
+    const mtimeMs = fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : 0;
+    if (mtimeMs !== cache.mtimeMs) {
+      // Un file non valido lascia in uso la versione precedente
+      try {
+        cache = { mtimeMs, config: readUsersFile(filePath), error: null };
+      } catch (error) {
+        cache = { ...cache, mtimeMs, error: error.message };
+      }
+    }
+    return cache.config;
+  }
+
+  function isConfigured() {
+    const { users, tokens } = currentConfig();
+    return Boolean(envToken) || users.length > 0 || tokens.length > 0;
+  }
+
+  // L'hash salvato fa parte dell'impronta: cambiare password invalida la cache
+  function fingerprint(username, password, stored) {
+    return crypto.createHmac("sha256", verifiedKey).update(`${username}\0${password}\0${stored}`).digest("base64");
+  }
+
+  function isVerified(key, now) {
+    const expiresAt = verified.get(key);
+    if (expiresAt === undefined) return false;
+    if (expiresAt > now) return true;
+    verified.delete(key);
+    return false;
+  }
+
+  function remember(key, now) {
+    if (verified.size >= VERIFIED_MAX) verified.delete(verified.keys().next().value);
+    verified.set(key, now + VERIFIED_TTL_MS);
+  }
+
+  function recentFailures(key, now) {
+    const recent = (failures.get(key) || []).filter((at) => at > now - FAILURE_WINDOW_MS);
+    if (recent.length > 0) failures.set(key, recent);
+    else failures.delete(key);
+    return recent;
+  }
+
+  // Secondi prima del prossimo tentativo, o 0 se si può provare
+  function retryAfter(keys, now) {
+    const waits = keys.map((key) => {
+      const recent = recentFailures(key, now);
+      return recent.length >= MAX_FAILURES ? recent[recent.length - MAX_FAILURES] + FAILURE_WINDOW_MS - now : 0;
+    });
+    return Math.ceil(Math.max(0, ...waits) / 1000);
+  }
+
+  function recordFailure(keys, now) {
+    keys.forEach((key) => {
+      if (!failures.has(key) && failures.size >= FAILURE_KEYS_MAX) failures.delete(failures.keys().next().value);
+      failures.set(key, [...recentFailures(key, now), now].slice(-MAX_FAILURES));
+    });
+  }
+
+  async function identifyUser(req, { username, password }, users) {
+    const started = Date.now();
+    const keys = [`ip:${req.ip || ""}`, `user:${username}`];
+    const user = users.find((item) => item.username === username);
+    const key = user && fingerprint(username, password, user.password);
+    if (key && isVerified(key, started)) {
+      return { name: user.username, role: user.role, via: "password" };
+    }
+
+    const wait = retryAfter(keys, started);
+    if (wait > 0) {
+      const error = authError("Too many failed login attempts, retry later", 429);
+      error.retryAfter = wait;
+      throw error;
+    }
+
+    // Utente inesistente: nessun hash, ma la stessa attesa di una password sbagliata
+    if (user && await verifyPassword(password, user.password)) {
+      remember(key, Date.now());
+      return { name: user.username, role: user.role, via: "password" };
+    }
+    recordFailure(keys, started);
+    await sleep(Math.max(0, started + FAILURE_DELAY_MS - Date.now()));
+    return null;
+  }
+
+  // Identità della richiesta ({ name, role, via }) o null; errore 429 se
+  // l'IP o l'utente hanno troppi tentativi falliti recenti
+  async function identify(req) {
+    const credentials = parseCredentials(req);
+    if (!credentials) return null;
+    const { users, tokens } = currentConfig();
+
+    if (credentials.token) {
+      if (envToken && safeEqual(credentials.token, envToken)) {
+        return { name: "ADMIN_TOKEN", role: "manager", via: "token" };
+      }
+      const hashed = hashToken(credentials.token);
+      const match = tokens.find((token) => safeEqual(token.token, hashed));
+      return match ? { name: match.name, role: match.role, via: "token" } : null;
+    }
+
+    return identifyUser(req, credentials, users);
+  }
+
+  // Identità autorizzata per `role`; altrimenti errore con status 401, 403 o 429
+  async function authorize(req, role) {
+    if (!isConfigured()) {
+      if (allowOpen) return { name: "anonymous", role: "manager", via: "open" };
+      throw authError("Admin access is not configured: create users with npm run admin:users", 403);
+    }
+
+    const identity = await identify(req);
+    if (!identity) throw authError("Valid admin credentials are required", 401);
+    if (ROLES[identity.role] < ROLES[role]) {
+      const error = authError(`This action requires the "${role}" role`, 403);
+      error.identity = identity;
+      throw error;
+    }
+    return identity;
+  }
+
+  // Middleware: req.admin = identità, oppure 401/403/429 (con req.admin
+  // impostato se l'utente è noto ma il ruolo non basta, per l'audit)
+  function requireRole(role) {
+    return async (req, res, next) => {
+      let identity;
+      try {
+        identity = await authorize(req, role);
+      } catch (error) {
+        if (!error.status) return next(error);
+        if (error.identity) req.admin = error.identity;
+        sendAuthError(res, error);
+        return;
+      }
+      req.admin = identity;
+      next();
+    };
+  }
+
+  function status() {
+    const { users, tokens } = currentConfig();
+    return {
+      configured: isConfigured(),
+      open: !isConfigured() && allowOpen,
+      users: users.length,
+      tokens: tokens.length + (envToken ? 1 : 0),
+      error: cache.error
+    };
+  }
+
+  return { identify, authorize, requireRole, status };
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_USERS_PATH,
+  createAuthenticator,
+  hashPassword,
+  hashToken,
+  readUsersFile,
+  sendAuthError,
+  writeUsersFile
+};
@@ -0,0 +1,117 @@
+const crypto = require("crypto");
+const readline = require("readline");
+const {
+  ROLES,
+  DEFAULT_USERS_PATH,
+  hashPassword,
+  hashToken,
+  readUsersFile,
+  writeUsersFile
+} = require("./auth");
+
+// ==========================================
+// GESTIONE UTENTI E TOKEN ADMIN (riga di comando)
+// ==========================================
+//
+//   npm run admin:users -- list
+//   npm run admin:users -- add-user <username> <viewer|manager>
+//   npm run admin:users -- add-token <nome> <viewer|manager>
+//   npm run admin:users -- remove <username|nome>
+//
+// La password si digita a richiesta (o arriva da ADMIN_PASSWORD per gli
+// script); il token viene generato e mostrato una sola volta.
+
+const USERS_PATH = process.env.ADMIN_USERS_PATH || DEFAULT_USERS_PATH;
+const MIN_PASSWORD_LENGTH = 10;
+const USAGE = `Usage:
+  admin:users list
+  admin:users add-user <username> <${Object.keys(ROLES).join("|")}>
+  admin:users add-token <name> <${Object.keys(ROLES).join("|")}>
+  admin:users remove <username|name>`;
+
+function askHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl.stdoutMuted = true;
+    rl._writeToOutput = (text) => {
+      if (!rl.stdoutMuted || text.includes(question)) rl.output.write(text);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+  });
+}
+
+function checkRole(role) {
+  if (!ROLES[role]) throw new Error(`Unknown role "${role}". Roles: ${Object.keys(ROLES).join(", ")}`);
+}
+
+function checkNewName(config, name) {
+  if (!name) throw new Error(USAGE);
+  const taken = config.users.some((user) => user.username === name) || config.tokens.some((token) => token.name === name);
+  if (taken) throw new Error(`"${name}" already exists: remove it first`);
+}
+
+async function readPassword() {
+  if (process.env.ADMIN_PASSWORD) return process.env.ADMIN_PASSWORD;
+  const password = await askHidden("Password: ");
+  if (password !== (await askHidden("Repeat password: "))) throw new Error("Passwords do not match");
+  return password;
+}
+
+async function main() {
+  const [command, name, role] = process.argv.slice(2);
+  const config = readUsersFile(USERS_PATH);
+
+  switch (command) {
+    case "list":
+      config.users.forEach((user) => console.log(`user   ${user.username.padEnd(24)} ${user.role}`));
+      config.tokens.forEach((token) => console.log(`token  ${token.name.padEnd(24)} ${token.role}`));
+      if (config.users.length + config.tokens.length === 0) console.log(`No admin users in ${USERS_PATH}`);
+      return;
+
+    case "add-user": {
+      checkNewName(config, name);
+      checkRole(role);
+      const password = await readPassword();
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+      config.users.push({ username: name, role, password: hashPassword(password) });
+      writeUsersFile(USERS_PATH, config);
+      console.log(`User "${name}" (${role}) added to ${USERS_PATH}`);
+      return;
+    }
+
+    case "add-token": {
+      checkNewName(config, name);
+      checkRole(role);
+      const token = crypto.randomBytes(24).toString("base64url");
+      config.tokens.push({ name, role, token: hashToken(token) });
+      writeUsersFile(USERS_PATH, config);
+      console.log(`Token "${name}" (${role}) added. Copy it now, it is not stored:\n${token}`);
+      return;
+    }
+
+    case "remove": {
+      const users = config.users.filter((user) => user.username !== name);
+      const tokens = config.tokens.filter((token) => token.name !== name);
+      if (users.length === config.users.length && tokens.length === config.tokens.length) {
+        throw new Error(`"${name}" not found`);
+      }
+      writeUsersFile(USERS_PATH, { ...config, users, tokens });
+      console.log(`"${name}" removed`);
+      return;
+    }
+
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
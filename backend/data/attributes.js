@@ -0,0 +1,103 @@
+// ==========================================
+// ESTRAZIONE ATTRIBUTI TECNICI DAI NOMI PRODOTTO
+// ==========================================
+//
+// "INTERR. AUTOMATICO 1 POLO + N - 16A/ 4,5kA curva C 1mod." diventa
+// { amperes: 16, breakingCapacityKa: 4.5, curve: "C", poles: 1, neutral: true, modules: 1 }
+//
+// Valori con intervallo ("0.1-0.16A", "0,1...0,15A", "110-240VAC") tengono il
+// valore massimo.
+
+const NUMBER = "(\\d+(?:[.,]\\d+)?)";
+const RANGE = `${NUMBER}(?:\\s*(?:-|\\.{3}|…)\\s*${NUMBER})?`;
+
+const PATTERNS = {
+  amperes: new RegExp(`(?:^|[^\\w,.])${RANGE}A(?![\\w'])`, "gi"),
+  breakingCapacityKa: new RegExp(`${NUMBER}\\s*kA\\b`, "i"),
+  curve: /\bcurv[ae]\s+([BCDKZ])\b/i,
+  poles: /\b(\d)\s*(?:POL[IO]|P)\b(\s*\+\s*N)?/i,
+  modules: new RegExp(`${NUMBER}\\s*(?:mod\\.?|moduli|modulo)(?![a-z])`, "i"),
+  voltage: new RegExp(`(?:^|[^\\w,.])${RANGE}\\s*V(?:ac|dc|ca|cc)?\\b`, "i"),
+  ipRating: /\bIP\s?(\d{2})\b/i,
+  sectionMm2: new RegExp(`${NUMBER}\\s*(?:mmq|mm2|mm²)(?![a-z])`, "i")
+};
+
+// Attributi che si possono ricavare anche dal titolo di categoria del listino
+const CATEGORY_FALLBACK = ["breakingCapacityKa", "curve", "poles"];
+
+function toNumber(value) {
+  return Number(String(value).replace(",", "."));
+}
+
+function upperBound(low, high) {
+  return high === undefined ? toNumber(low) : Math.max(toNumber(low), toNumber(high));
+}
+
+// Il primo valore in ampere è la corrente nominale; nei differenziali un
+// secondo valore sotto 1A è la sensibilità (0,03A → 30mA)
+function parseCurrents(text, attributes) {
+  const values = [...text.matchAll(PATTERNS.amperes)].map((match) => upperBound(match[1], match[2]));
+  if (values.length === 0) return;
+
+  attributes.amperes = values[0];
+
+  const isResidual = /\bDIFF/i.test(text);
+  const sensitivity = values.slice(1).find((value) => value < 1);
+  if (isResidual && sensitivity !== undefined) {
+    attributes.sensitivityMa = Math.round(sensitivity * 1000);
+  }
+}
+
+function parseText(text) {
+  const attributes = {};
+  let match;
+
+  parseCurrents(text, attributes);
+
+  if ((match = text.match(PATTERNS.breakingCapacityKa))) {
+    attributes.breakingCapacityKa = toNumber(match[1]);
+  }
+
+  if ((match = text.match(PATTERNS.curve))) {
+    attributes.curve = match[1].toUpperCase();
+  }
+
+  if ((match = text.match(PATTERNS.poles))) {
+    attributes.poles = Number(match[1]);
+    if (match[2]) attributes.neutral = true;
+  }
+
+  if ((match = text.match(PATTERNS.modules))) {
+    attributes.modules = toNumber(match[1]);
+  }
+
+  if ((match = text.match(PATTERNS.voltage))) {
+    attributes.voltage = upperBound(match[1], match[2]);
+  }
+
+  if ((match = text.match(PATTERNS.ipRating))) {
+    attributes.ipRating = Number(match[1]);
+  }
+
+  if ((match = text.match(PATTERNS.sectionMm2))) {
+    attributes.sectionMm2 = toNumber(match[1]);
+  }
+
+  return attributes;
+}
+
+function parseAttributes(name, category = "") {
+  const attributes = parseText(name || "");
+  const fromCategory = parseText(category || "");
+
+  CATEGORY_FALLBACK.forEach((field) => {
+    if (attributes[field] === undefined && fromCategory[field] !== undefined) {
+      attributes[field] = fromCategory[field];
+      if (field === "poles" && fromCategory.neutral) attributes.neutral = true;
+    }
+  });
+
+  return attributes;
+}
+
+module.exports = { parseAttributes };
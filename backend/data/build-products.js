@@ -2,128 +2,224 @@ const fs = require("fs");
 const path = require("path");
 const { parse } = require("csv-parse/sync");
 const xlsx = require("xlsx");
-const pdfParse = require("pdf-parse");
+const { parseAttributes } = require("./attributes");
+const { saveCatalogVersion, annotateChanges } = require("./catalogVersions");
+const { createValidator, checkPrice, checkDuplicates, writeValidationReport, formatIssue } = require("./validation");
+const { loadMapping, resolveColumns, toListinoPrice, REQUIRED_COLUMNS } = require("./sourceMapping");
+const { extractPdfDescriptions } = require("./pdfDescriptions");
 
 const catalogDir = path.join(__dirname, "..", "..", "catalog");
 const outputPath = path.join(__dirname, "products.json");
+const attributesReportPath = path.join(__dirname, "attributes-report.json");
+const pdfReportPath = path.join(__dirname, "pdf-report.json");
 
-const REQUIRED_FIELDS = ["code", "name", "category", "subcategory", "serial", "price"];
+const REQUIRED_FIELDS = ["code", "name", "category"];
+const MISSING_FIELD_RULES = { code: "missing-code", name: "missing-name", category: "empty-category" };
+const REPORT_PREVIEW_LINES = 20;
+const strict = process.argv.includes("--strict");
+const validateOnly = process.argv.includes("--validate-only");
 
 function normalize(value) {
   return String(value || "").trim();
 }
 
-function ensureRecordShape(record, source) {
+// Record normalizzato con la sua posizione nel listino (source: { file, row }),
+// oppure null se mancano campi obbligatori (segnalati al validator)
+function ensureRecordShape(record, source, validator) {
   const normalized = {
     code: normalize(record.code),
     name: normalize(record.name),
     category: normalize(record.category),
     subcategory: normalize(record.subcategory || ""),
+    categoryPath: (record.categoryPath || []).map(normalize).filter(Boolean),
     serial: normalize(record.serial || ""),
     price: normalize(record.price || "")
   };
 
-  REQUIRED_FIELDS.forEach((field) => {
-    if (field === "subcategory" || field === "serial" || field === "price") {
+  const location = { ...source, code: normalized.code || null };
+  const missing = REQUIRED_FIELDS.filter((field) => !normalized[field]);
+  missing.forEach((field) => {
+    validator.add(MISSING_FIELD_RULES[field], `Missing ${field}`, location);
+  });
+
+  checkPrice(validator, normalized.price, location);
+
+  if (missing.length > 0) {
+    return null;
+  }
+
+  normalized.source = source;
+  normalized.attributes = parseAttributes(normalized.name, normalized.category);
+
+  return normalized;
+}
+
+// Titolo tutto maiuscolo ("SERIE MODULARE SIEI ARTEn"): nel listino sono
+// così le famiglie, e spesso anche serie e categorie degli armadi
+function isUpperCaseHeading(title) {
+  const letters = title.match(/\p{L}/gu) || [];
+  const upper = letters.filter((letter) => letter === letter.toUpperCase()).length;
+  return letters.length > 0 && upper / letters.length >= 0.8;
+}
+
+// Percorso di categoria (famiglia > serie > categoria) dopo una serie di
+// titoli consecutivi: i titoli sostituiscono gli ultimi livelli, quindi uno
+// solo è una categoria sorella, due sono serie e categoria nella stessa
+// famiglia e `levels` titoli aprono una nuova famiglia. Un titolo maiuscolo
+// seguito da uno che non lo è apre una famiglia senza serie ("JEAN MULLER" >
+// "Basi Portafusibili...").
+function nextHeadingPath(path, titles, levels) {
+  const newFamily = titles.length >= 2 && isUpperCaseHeading(titles[0]) && !isUpperCaseHeading(titles[1]);
+  if (newFamily || titles.length >= levels) return titles.slice(-levels);
+  const keep = Math.max(0, Math.min(path.length - 1, levels - titles.length));
+  return [...path.slice(0, keep), ...titles];
+}
+
+// Trasforma le righe di una sorgente (celle grezze + numero di riga) in
+// record, secondo la mappatura: intestazione, titoli di categoria, colonne
+function readRows(rows, mapping, source, validator) {
+  const records = [];
+  const { headerIndex, positions, missing } = resolveColumns(mapping, rows);
+  const location = { ...source, row: headerIndex >= 0 ? rows[headerIndex].row : null };
+  const missingRequired = missing.filter((field) => REQUIRED_COLUMNS.includes(field));
+
+  if (missingRequired.length > 0) {
+    validator.add("missing-column", `Columns not found: ${missingRequired.join(", ")}`, location);
+    return records;
+  }
+  missing.forEach((field) => {
+    validator.add("unmapped-column", `Column "${field}" not found, left empty`, location);
+  });
+
+  const headingColumn = mapping.headings ? positions[mapping.headings.column] : undefined;
+  let headings = [];
+  let pendingHeadings = [];
+  let lastHeading = null;
+  let previousWasHeading = false;
+
+  // Un titolo è orfano se non riceve prodotti e non introduce un altro
+  // titolo (i titoli consecutivi sono famiglia > serie > categoria)
+  const checkOrphan = (heading) => {
+    if (heading && heading.products === 0) {
+      validator.add("orphan-heading", `Heading "${heading.name}" has no products`, { ...source, row: heading.row });
+    }
+  };
+
+  rows.slice(headerIndex + 1).forEach(({ cells: rawCells, row: rowNumber }) => {
+    const cells = rawCells.map((cell) => (typeof cell === "number" ? cell : normalize(cell)));
+    if (cells.every((cell) => cell === "")) {
       return;
     }
 
-    if (!normalized[field]) {
-      throw new Error(`Missing ${field} in ${source}`);
+    const value = (field) => (positions[field] === undefined ? "" : cells[positions[field]] ?? "");
+
+    const isHeading =
+      headingColumn !== undefined &&
+      cells[headingColumn] !== "" &&
+      cells.every((cell, index) => index === headingColumn || cell === "");
+
+    if (isHeading) {
+      if (!previousWasHeading) checkOrphan(lastHeading);
+      const title = String(cells[headingColumn]);
+      pendingHeadings.push(title);
+      lastHeading = { name: title, row: rowNumber, products: 0 };
+      previousWasHeading = true;
+      return;
+    }
+    if (pendingHeadings.length > 0) {
+      headings = nextHeadingPath(headings, pendingHeadings, mapping.headings.levels);
+      pendingHeadings = [];
+    }
+    previousWasHeading = false;
+
+    const code = String(value("code"));
+    const name = String(value("name"));
+    if (!code && !name) {
+      validator.add("ignored-row", `Row ignored: "${cells.filter((cell) => cell !== "").join(" ")}"`, {
+        ...source,
+        row: rowNumber
+      });
+      return;
+    }
+
+    // Percorso completo dai titoli, o dalle colonne se il listino le ha
+    const categoryPath = value("category")
+      ? [String(value("subcategory")), String(value("category"))]
+      : headings;
+    const record = ensureRecordShape(
+      {
+        code,
+        name,
+        category: value("category") || headings[headings.length - 1] || "",
+        subcategory: value("subcategory") || headings[headings.length - 2] || "",
+        categoryPath,
+        serial: value("serial"),
+        price: toListinoPrice(value("price"), mapping.decimalSeparator)
+      },
+      { ...source, row: rowNumber },
+      validator
+    );
+
+    if (record) {
+      records.push(record);
+      if (lastHeading) lastHeading.products++;
     }
   });
 
-  return normalized;
+  checkOrphan(lastHeading);
+  return records;
 }
 
-function readCsvFiles() {
+function readCsvFiles(validator) {
   const files = fs.readdirSync(catalogDir).filter((file) => file.toLowerCase().endsWith(".csv"));
   const records = [];
 
   files.forEach((file) => {
-    const raw = fs.readFileSync(path.join(catalogDir, file), "utf8");
+    const filePath = path.join(catalogDir, file);
+    const mapping = loadMapping(filePath, "csv");
+    const raw = new TextDecoder(mapping.encoding).decode(fs.readFileSync(filePath));
     const rows = parse(raw, {
-      delimiter: ";",
+      delimiter: mapping.delimiter,
       relax_column_count: true,
       skip_empty_lines: true,
-      trim: true
-    });
-
-    let headings = [];
-
-    rows.forEach((row) => {
-      const cells = row.map((cell) => normalize(cell));
-      const codeCell = cells[0] || "";
-      const siglaCell = cells[1] || "";
-      const descCell = cells[2] || "";
-      const priceCell = cells[3] || "";
-
-      if (codeCell.toLowerCase() === "codice") {
-        return;
-      }
+      trim: true,
+      info: true
+    }).map(({ record, info }) => ({ cells: record, row: info.lines }));
 
-      const isHeading =
-        codeCell &&
-        !siglaCell &&
-        !descCell &&
-        cells.slice(3).every((cell) => !cell);
-
-      if (isHeading) {
-        headings = [...headings, codeCell].slice(-3);
-        return;
-      }
-
-      if (!codeCell || !descCell) {
-        return;
-      }
-
-      const category = headings[headings.length - 1] || "";
-      const subcategory = headings[headings.length - 2] || "";
-
-      records.push(
-        ensureRecordShape(
-          {
-            code: codeCell,
-            name: descCell,
-            category,
-            subcategory,
-            serial: siglaCell,
-            price: priceCell
-          },
-          `CSV:${file}`
-        )
-      );
-    });
+    records.push(...readRows(rows, mapping, { file }, validator));
   });
 
   return { files, records };
 }
 
-function readXlsxFiles() {
+function readXlsxFiles(validator) {
   const files = fs.readdirSync(catalogDir).filter((file) => file.toLowerCase().endsWith(".xlsx"));
   const records = [];
   files.forEach((file) => {
-    const workbook = xlsx.readFile(path.join(catalogDir, file));
-    workbook.SheetNames.forEach((sheetName) => {
+    const filePath = path.join(catalogDir, file);
+    const mapping = loadMapping(filePath, "xlsx");
+    const workbook = xlsx.readFile(filePath);
+    const sheetNames = mapping.sheets || workbook.SheetNames;
+
+    sheetNames.forEach((sheetName) => {
       const sheet = workbook.Sheets[sheetName];
-      const rows = xlsx.utils.sheet_to_json(sheet, { defval: "" });
-      rows.forEach((row) => {
-        records.push(ensureRecordShape(row, `XLSX:${file}:${sheetName}`));
-      });
+      if (!sheet) {
+        throw new Error(`Sheet "${sheetName}" not found in ${file} (see ${mapping.file})`);
+      }
+      // Righe vuote incluse per mantenere la numerazione del foglio
+      const firstRow = sheet["!ref"] ? xlsx.utils.decode_range(sheet["!ref"]).s.r + 1 : 1;
+      const rows = xlsx.utils
+        .sheet_to_json(sheet, { header: 1, defval: "", blankrows: true })
+        .map((cells, index) => ({ cells, row: firstRow + index }));
+
+      records.push(...readRows(rows, mapping, { file, sheet: sheetName }, validator));
     });
   });
   return { files, records };
 }
 
-async function readPdfFiles() {
-  const files = fs.readdirSync(catalogDir).filter((file) => file.toLowerCase().endsWith(".pdf"));
-  const texts = [];
-  for (const file of files) {
-    const dataBuffer = fs.readFileSync(path.join(catalogDir, file));
-    const parsed = await pdfParse(dataBuffer);
-    texts.push({ file, text: parsed.text || "" });
-  }
-  return { files, texts };
+function listPdfFiles() {
+  return fs.readdirSync(catalogDir).filter((file) => file.toLowerCase().endsWith(".pdf"));
 }
 
 function crossCheck(csvRecords, xlsxRecords) {
@@ -170,20 +266,97 @@ function crossCheck(csvRecords, xlsxRecords) {
   return { merged, inconsistencies };
 }
 
+// Aggiunge ai record le descrizioni tecniche dei PDF e scrive il report
+// dei codici citati nei PDF ma assenti dal listino
+async function addPdfDescriptions(records, pdfFiles) {
+  if (pdfFiles.length === 0) {
+    if (fs.existsSync(pdfReportPath)) fs.unlinkSync(pdfReportPath);
+    return { records, described: 0, missing: 0 };
+  }
+
+  const { descriptions, files, missingFromListino } = await extractPdfDescriptions(catalogDir, pdfFiles, records);
+  fs.writeFileSync(
+    pdfReportPath,
+    JSON.stringify({ files, productsWithDescription: descriptions.size, missingFromListino }, null, 2)
+  );
+  files
+    .filter((summary) => summary.error)
+    .forEach((summary) => console.warn(`Cannot read ${summary.file}: ${summary.error}`));
+  if (missingFromListino.length > 0) {
+    console.warn(`${missingFromListino.length} codes found in PDF but not in the listino. See ${pdfReportPath}`);
+  }
+
+  return {
+    records: records.map((record) =>
+      descriptions.has(record.code) ? { ...record, description: descriptions.get(record.code) } : record
+    ),
+    described: descriptions.size,
+    missing: missingFromListino.length
+  };
+}
+
+function reportUnparsedAttributes(records) {
+  const unparsed = records
+    .filter((record) => Object.keys(record.attributes || {}).length === 0)
+    .map((record) => ({ code: record.code, name: record.name, category: record.category }));
+
+  if (unparsed.length > 0) {
+    fs.writeFileSync(attributesReportPath, JSON.stringify(unparsed, null, 2));
+    console.warn(`Attributes not recognised for ${unparsed.length} products. See ${attributesReportPath}`);
+  } else if (fs.existsSync(attributesReportPath)) {
+    fs.unlinkSync(attributesReportPath);
+  }
+
+  return unparsed.length;
+}
+
+// Stampa il riepilogo e scrive i report; false se la build va interrotta
+function reportValidation(issues) {
+  const { summary, jsonPath, textPath, sorted } = writeValidationReport(issues, __dirname);
+  const failed = summary.errors > 0 || (strict && summary.warnings > 0);
+
+  console.log(`Validation: ${summary.errors} errors, ${summary.warnings} warnings${strict ? " (strict)" : ""}`);
+  const preview = sorted.filter((issue) => failed || issue.severity === "error").slice(0, REPORT_PREVIEW_LINES);
+  preview.forEach((issue) => console.log(`  ${formatIssue(issue)}`));
+  if (issues.length > preview.length) {
+    console.log(`  ... full report: ${textPath} (JSON: ${jsonPath})`);
+  }
+
+  return !failed;
+}
+
 async function build() {
   if (!fs.existsSync(catalogDir)) {
     throw new Error(`Catalog directory not found: ${catalogDir}`);
   }
 
-  const { files: csvFiles, records: csvRecords } = readCsvFiles();
-  const { files: xlsxFiles, records: xlsxRecords } = readXlsxFiles();
-  const { files: pdfFiles } = await readPdfFiles();
+  const validator = createValidator();
+  const { files: csvFiles, records: csvRecords } = readCsvFiles(validator);
+  const { files: xlsxFiles, records: xlsxRecords } = readXlsxFiles(validator);
+  const pdfFiles = listPdfFiles();
 
   if (csvFiles.length === 0 && xlsxFiles.length === 0) {
     throw new Error("No CSV or XLSX files found in catalog directory.");
   }
 
-  const { merged, inconsistencies } = crossCheck(csvRecords, xlsxRecords);
+  // CSV e XLSX sono due formati dello stesso listino: i duplicati si cercano
+  // all'interno di ciascun formato, il confronto tra i due lo fa crossCheck
+  checkDuplicates(validator, csvRecords);
+  checkDuplicates(validator, xlsxRecords);
+
+  const passed = reportValidation(validator.issues);
+  if (!passed) {
+    throw new Error("Catalog validation failed: products.json was not updated.");
+  }
+  if (validateOnly) {
+    return;
+  }
+
+  const { merged: mergedWithSources, inconsistencies } = crossCheck(csvRecords, xlsxRecords);
+  const { records: merged, described } = await addPdfDescriptions(
+    mergedWithSources.map(({ source, ...record }) => record),
+    pdfFiles
+  );
 
   if (inconsistencies.length > 0) {
     const reportPath = path.join(__dirname, "inconsistencies.json");
@@ -191,11 +364,34 @@ async function build() {
     console.warn(`Inconsistencies found. See ${reportPath}`);
   }
 
-  fs.writeFileSync(outputPath, JSON.stringify(merged, null, 2));
+  const unparsed = reportUnparsedAttributes(merged);
+
+  const { version, previous, diff, created } = saveCatalogVersion(merged, {
+    sources: [...csvFiles, ...xlsxFiles],
+    sourceDir: catalogDir
+  });
+  const products = annotateChanges(merged, diff);
+
+  fs.writeFileSync(outputPath, JSON.stringify(products, null, 2));
 
   console.log("Catalog build complete.");
   console.log(`CSV files: ${csvFiles.length}, XLSX files: ${xlsxFiles.length}, PDF files: ${pdfFiles.length}`);
   console.log(`Products: ${merged.length}`);
+  console.log(`Products without technical attributes: ${unparsed}`);
+  if (pdfFiles.length > 0) {
+    console.log(`Products with a description from PDF: ${described}`);
+  }
+  console.log(
+    created
+      ? `Catalog version ${version.id} saved${previous ? ` (previous: ${previous.id})` : ""}.`
+      : `Catalog unchanged: still version ${version.id}.`
+  );
+  if (previous) {
+    console.log(
+      `Changes vs ${previous.id}: ${diff.added.length} new, ${diff.removed.length} removed, ` +
+        `${diff.priceIncreases.length} price increases, ${diff.priceDecreases.length} price decreases`
+    );
+  }
 }
 
 build().catch((error) => {
@@ -0,0 +1,232 @@
+const fs = require("fs");
+const path = require("path");
+const { parsePrice } = require("../search/textUtils");
+
+// ==========================================
+// VERSIONI DEL LISTINO E STORICO PREZZI
+// ==========================================
+//
+// Ogni build che cambia il catalogo salva in versions/:
+// - <id>.json       istantanea compatta (codice, nome, prezzo)
+// - <id>.diff.json  differenze rispetto alla versione precedente
+// - index.json      elenco delle versioni con il riepilogo delle differenze
+//
+// L'id è la data del listino, presa dal nome dei file sorgente ("Listino
+// Febbraio 2026.csv" → 2026-02, "listino-2026-03-15.xlsx" → 2026-03-15) o,
+// se non c'è, dalla data di modifica dei file; 2026-02-2 se il listino dello
+// stesso mese cambia di nuovo. versions/ è prodotta dalla build e non è
+// versionata con git.
+
+const versionsDir = path.join(__dirname, "versions");
+const indexPath = path.join(versionsDir, "index.json");
+
+function readJson(filePath, fallback) {
+  if (!fs.existsSync(filePath)) return fallback;
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function writeJson(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+function listVersions() {
+  return readJson(indexPath, []);
+}
+
+function loadSnapshot(id) {
+  return readJson(path.join(versionsDir, `${id}.json`), []);
+}
+
+function toSnapshot(records) {
+  return records.map((record) => ({ code: record.code, name: record.name, price: record.price }));
+}
+
+const MONTHS = [
+  "gennaio", "febbraio", "marzo", "aprile", "maggio", "giugno",
+  "luglio", "agosto", "settembre", "ottobre", "novembre", "dicembre"
+];
+const MONTH_YEAR = new RegExp(`(${MONTHS.join("|")})[\\s_-]*(\\d{4})`, "i");
+const ISO_DATE = /(\d{4})[-_.](\d{2})(?:[-_.](\d{2}))?/;
+
+// "Listino SP_electric Febbraio 2026.csv" → "2026-02"; null senza data nel nome
+function dateFromFileName(fileName) {
+  const monthYear = fileName.match(MONTH_YEAR);
+  if (monthYear) {
+    const month = MONTHS.indexOf(monthYear[1].toLowerCase()) + 1;
+    return `${monthYear[2]}-${String(month).padStart(2, "0")}`;
+  }
+  const iso = fileName.match(ISO_DATE);
+  if (iso && Number(iso[2]) >= 1 && Number(iso[2]) <= 12) {
+    return iso[3] ? `${iso[1]}-${iso[2]}-${iso[3]}` : `${iso[1]}-${iso[2]}`;
+  }
+  return null;
+}
+
+// Data del listino più recente tra i file sorgente (vedi in cima al file)
+function listinoDate(sources, sourceDir) {
+  const named = sources.map(dateFromFileName).filter(Boolean).sort();
+  if (named.length > 0) return named[named.length - 1];
+
+  const modified = sources
+    .map((file) => fs.statSync(path.join(sourceDir, file)).mtime.toISOString().slice(0, 10))
+    .sort();
+  return modified.length > 0 ? modified[modified.length - 1] : new Date().toISOString().slice(0, 10);
+}
+
+function nextVersionId(versions, date) {
+  const taken = new Set(versions.map((version) => version.id));
+  if (!taken.has(date)) return date;
+
+  let counter = 2;
+  while (taken.has(`${date}-${counter}`)) counter++;
+  return `${date}-${counter}`;
+}
+
+function percentChange(previous, current) {
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+function emptyDiff() {
+  return { added: [], removed: [], priceIncreases: [], priceDecreases: [] };
+}
+
+function diffCatalogs(previous, current) {
+  const before = new Map(previous.map((item) => [item.code, item]));
+  const after = new Map(current.map((item) => [item.code, item]));
+
+  const diff = emptyDiff();
+
+  after.forEach((item, code) => {
+    const old = before.get(code);
+    if (!old) {
+      diff.added.push({ code, name: item.name, price: item.price });
+      return;
+    }
+
+    const oldPrice = parsePrice(old.price);
+    const newPrice = parsePrice(item.price);
+    if (oldPrice === null || newPrice === null || oldPrice === newPrice) return;
+
+    const change = {
+      code,
+      name: item.name,
+      previousPrice: old.price,
+      price: item.price,
+      percent: oldPrice === 0 ? null : percentChange(oldPrice, newPrice)
+    };
+    (newPrice > oldPrice ? diff.priceIncreases : diff.priceDecreases).push(change);
+  });
+
+  before.forEach((item, code) => {
+    if (!after.has(code)) diff.removed.push({ code, name: item.name, price: item.price });
+  });
+
+  return diff;
+}
+
+function summarize(diff) {
+  return {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    priceIncreases: diff.priceIncreases.length,
+    priceDecreases: diff.priceDecreases.length
+  };
+}
+
+function isEmptyDiff(diff) {
+  return Object.values(summarize(diff)).every((count) => count === 0);
+}
+
+// Salva una nuova versione se il catalogo è cambiato rispetto all'ultima.
+// Restituisce la versione corrente e il diff rispetto alla precedente,
+// usato per marcare novità e prezzi aggiornati in products.json.
+// `sources` sono i nomi dei file del listino in `sourceDir`.
+function saveCatalogVersion(records, { sources = [], sourceDir = "." } = {}) {
+  fs.mkdirSync(versionsDir, { recursive: true });
+
+  const versions = listVersions();
+  const latest = versions[versions.length - 1];
+  const snapshot = toSnapshot(records);
+
+  if (latest) {
+    const unchanged = isEmptyDiff(diffCatalogs(loadSnapshot(latest.id), snapshot));
+    if (unchanged) {
+      // Stesso listino: il diff resta quello dell'ultima versione
+      const previous = versions[versions.length - 2];
+      const diff = previous ? diffCatalogs(loadSnapshot(previous.id), snapshot) : emptyDiff();
+      return { version: latest, previous: previous || null, diff, created: false };
+    }
+  }
+
+  const version = {
+    id: nextVersionId(versions, listinoDate(sources, sourceDir)),
+    createdAt: new Date().toISOString(),
+    sources,
+    productCount: records.length,
+    previous: latest ? latest.id : null
+  };
+
+  const diff = latest ? diffCatalogs(loadSnapshot(latest.id), snapshot) : emptyDiff();
+  version.changes = summarize(diff);
+
+  writeJson(path.join(versionsDir, `${version.id}.json`), snapshot);
+  writeJson(path.join(versionsDir, `${version.id}.diff.json`), { from: version.previous, to: version.id, ...diff });
+  writeJson(indexPath, [...versions, version]);
+
+  return { version, previous: latest || null, diff, created: true };
+}
+
+// Campo `change` sui record: novità o prezzo aggiornato rispetto alla
+// versione precedente del listino
+function annotateChanges(records, diff) {
+  const added = new Set(diff.added.map((item) => item.code));
+  const priceChanges = new Map(
+    [...diff.priceIncreases, ...diff.priceDecreases].map((item) => [item.code, item])
+  );
+
+  return records.map((record) => {
+    const { change, ...rest } = record;
+
+    if (added.has(record.code)) {
+      return { ...rest, change: { type: "new" } };
+    }
+
+    const priceChange = priceChanges.get(record.code);
+    if (priceChange) {
+      return {
+        ...rest,
+        change: { type: "price", previousPrice: priceChange.previousPrice, percent: priceChange.percent }
+      };
+    }
+
+    return rest;
+  });
+}
+
+// Storico prezzi per codice, dalla versione più vecchia alla più recente
+function loadPriceHistory() {
+  const history = new Map();
+
+  listVersions().forEach((version) => {
+    loadSnapshot(version.id).forEach((item) => {
+      if (!history.has(item.code)) history.set(item.code, []);
+      history.get(item.code).push({
+        version: version.id,
+        createdAt: version.createdAt,
+        price: item.price,
+        priceValue: parsePrice(item.price)
+      });
+    });
+  });
+
+  return history;
+}
+
+module.exports = {
+  saveCatalogVersion,
+  annotateChanges,
+  diffCatalogs,
+  listVersions,
+  loadPriceHistory,
+  dateFromFileName
+};
@@ -0,0 +1,237 @@
+const fs = require("fs");
+const path = require("path");
+const pdfParse = require("pdf-parse");
+
+// ==========================================
+// DESCRIZIONI TECNICHE DAI CATALOGHI PDF
+// ==========================================
+//
+// Il testo dei PDF viene letto riga per riga. Una riga che contiene un codice
+// o una sigla del listino apre un blocco per quei prodotti; le righe seguenti
+// senza codici (caratteristiche, norme, note) finiscono nel blocco fino al
+// prossimo codice o alla fine della pagina. I blocchi diventano il campo
+// `description` dei prodotti, già cercato da scoreProduct.
+//
+// I codici che compaiono a inizio riga nel PDF, hanno la forma dei codici del
+// listino (es. "A9AAA" per "A3CMV") ma non sono nel CSV finiscono nel report.
+
+const MAX_BLOCK_LINES = 12;
+const MAX_DESCRIPTION_LENGTH = 1500;
+// Una forma di codice è "tipica" se la usa almeno l'1% dei codici del listino
+const MIN_SHAPE_SHARE = 0.01;
+const CONTEXT_LENGTH = 120;
+
+// Testo di una pagina con un a capo a ogni cambio di riga (come pdf-parse)
+function renderPage(pageData) {
+  return pageData.getTextContent().then((content) => {
+    let lastY;
+    let text = "";
+    content.items.forEach((item) => {
+      const y = item.transform[5];
+      text += lastY === undefined || lastY === y ? item.str : `\n${item.str}`;
+      lastY = y;
+    });
+    return text;
+  });
+}
+
+async function readPdfPages(filePath) {
+  const pages = [];
+  // Copia in un Uint8Array proprio: pdf.js legge il buffer dall'inizio e i
+  // Buffer piccoli di Node possono stare a metà di un pool condiviso
+  await pdfParse(new Uint8Array(fs.readFileSync(filePath)), {
+    pagerender: (pageData) =>
+      renderPage(pageData).then((text) => {
+        pages.push(text);
+        return text;
+      })
+  });
+  return pages.map((text, index) => ({
+    page: index + 1,
+    lines: text.split("\n").map((line) => line.replace(/\s+/g, " ").trim()).filter(Boolean)
+  }));
+}
+
+function codeShape(code) {
+  return code.replace(/[A-Z]/g, "A").replace(/[0-9]/g, "9");
+}
+
+function splitTokens(line) {
+  return line
+    .split(/[\s;|()]+/)
+    .map((token) => token.replace(/^[^\w]+|[,.:;]+$/g, "").toUpperCase())
+    .filter(Boolean);
+}
+
+function normalizeText(value) {
+  return String(value || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function buildLookup(records) {
+  const byCode = new Map();
+  const bySerial = new Map();
+  const serialsByFirstToken = new Map();
+  const shapeCounts = new Map();
+
+  records.forEach((record) => {
+    const code = record.code.toUpperCase();
+    byCode.set(code, record);
+    shapeCounts.set(codeShape(code), (shapeCounts.get(codeShape(code)) || 0) + 1);
+
+    const serial = record.serial.toUpperCase();
+    if (!serial) return;
+    if (!bySerial.has(serial)) bySerial.set(serial, []);
+    bySerial.get(serial).push(record);
+
+    const [first] = splitTokens(serial);
+    if (!serialsByFirstToken.has(first)) serialsByFirstToken.set(first, new Set());
+    serialsByFirstToken.get(first).add(serial);
+  });
+
+  const minCount = Math.max(2, records.length * MIN_SHAPE_SHARE);
+  const codeShapes = new Set([...shapeCounts].filter(([, count]) => count >= minCount).map(([shape]) => shape));
+
+  return { byCode, bySerial, serialsByFirstToken, codeShapes };
+}
+
+// Prodotti citati nella riga (per codice o per sigla univoca) e token usati
+function findReferences(line, lookup) {
+  const upperLine = line.toUpperCase();
+  const products = new Set();
+  const used = [];
+
+  splitTokens(line).forEach((token) => {
+    const record = lookup.byCode.get(token);
+    if (record) {
+      products.add(record);
+      used.push(token);
+    }
+
+    (lookup.serialsByFirstToken.get(token) || []).forEach((serial) => {
+      const matches = lookup.bySerial.get(serial);
+      if (matches.length === 1 && upperLine.includes(serial)) {
+        products.add(matches[0]);
+        used.push(serial);
+      }
+    });
+  });
+
+  return { products: [...products], used };
+}
+
+function isUnknownCode(token, lookup) {
+  return (
+    /[A-Z]/.test(token) &&
+    /\d/.test(token) &&
+    lookup.codeShapes.has(codeShape(token)) &&
+    !lookup.byCode.has(token) &&
+    !lookup.bySerial.has(token)
+  );
+}
+
+// Testo della riga senza i riferimenti; vuoto se ripete solo il nome del prodotto
+function blockText(line, used, products) {
+  let text = line;
+  used.forEach((reference) => {
+    text = text.replace(new RegExp(reference.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "gi"), " ");
+  });
+  text = text.replace(/\s+/g, " ").trim();
+
+  const normalized = normalizeText(text);
+  if (!normalized) return "";
+  if (products.some((record) => normalizeText(record.name).includes(normalized))) return "";
+  return text;
+}
+
+function extractFromPages(file, pages, lookup, blocks, unknownCodes) {
+  let matched = 0;
+
+  pages.forEach(({ page, lines }) => {
+    let current = null;
+
+    lines.forEach((line) => {
+      const { products, used } = findReferences(line, lookup);
+
+      if (products.length > 0) {
+        matched += products.length;
+        current = { products, lines: [], remaining: MAX_BLOCK_LINES };
+        products.forEach((record) => {
+          if (!blocks.has(record.code)) blocks.set(record.code, []);
+          blocks.get(record.code).push(current.lines);
+        });
+        const text = blockText(line, used, products);
+        if (text) current.lines.push(text);
+        return;
+      }
+
+      const [first] = splitTokens(line);
+      if (first && isUnknownCode(first, lookup)) {
+        unknownCodes.push({ code: first, file, page, context: line.slice(0, CONTEXT_LENGTH) });
+        current = null;
+        return;
+      }
+
+      if (current && current.remaining > 0) {
+        current.lines.push(line);
+        current.remaining--;
+      }
+    });
+  });
+
+  return matched;
+}
+
+function joinBlocks(blockList) {
+  const seen = new Set();
+  const parts = [];
+  blockList.forEach((lines) => {
+    const text = lines.join(" ").replace(/\s+/g, " ").trim();
+    if (text && !seen.has(text)) {
+      seen.add(text);
+      parts.push(text);
+    }
+  });
+
+  const description = parts.join(" · ");
+  return description.length > MAX_DESCRIPTION_LENGTH
+    ? `${description.slice(0, MAX_DESCRIPTION_LENGTH - 1).trimEnd()}…`
+    : description;
+}
+
+// Descrizioni per codice dai PDF del catalogo e report dei codici sconosciuti
+async function extractPdfDescriptions(catalogDir, files, records) {
+  const lookup = buildLookup(records);
+  const blocks = new Map();
+  const unknownCodes = [];
+  const fileSummaries = [];
+
+  for (const file of files) {
+    // Un PDF illeggibile non blocca il listino: finisce nel report
+    let pages;
+    try {
+      pages = await readPdfPages(path.join(catalogDir, file));
+    } catch (error) {
+      fileSummaries.push({ file, error: error.message });
+      continue;
+    }
+    const references = extractFromPages(file, pages, lookup, blocks, unknownCodes);
+    fileSummaries.push({ file, pages: pages.length, references });
+  }
+
+  const descriptions = new Map();
+  blocks.forEach((blockList, code) => {
+    const description = joinBlocks(blockList);
+    if (description) descriptions.set(code, description);
+  });
+
+  // Un codice sconosciuto citato più volte compare una sola volta nel report
+  const unique = new Map();
+  unknownCodes.forEach((item) => {
+    if (!unique.has(item.code)) unique.set(item.code, { ...item, occurrences: 0 });
+    unique.get(item.code).occurrences++;
+  });
+
+  return { descriptions, files: fileSummaries, missingFromListino: [...unique.values()] };
+}
+
+module.exports = { extractPdfDescriptions };
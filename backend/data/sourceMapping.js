@@ -0,0 +1,212 @@
+const fs = require("fs");
+const path = require("path");
+
+// ==========================================
+// MAPPATURA DELLE COLONNE PER SORGENTE
+// ==========================================
+//
+// Ogni listino in catalog/ può avere accanto un file "<nome>.mapping.json"
+// che descrive come leggerlo:
+//
+// {
+//   "delimiter": ";",                  solo CSV
+//   "encoding": "windows-1252",        solo CSV (etichette di TextDecoder)
+//   "decimalSeparator": ".",           separatore decimale dei prezzi
+//   "headerRow": 2,                    riga di intestazione (1 = prima), "auto" o null
+//   "sheets": ["Listino"],             solo XLSX, default tutti i fogli
+//   "columns": {
+//     "code": "Cod. Articolo",         nome esatto della colonna (maiuscole ignorate)
+//     "name": { "pattern": "^descr" }, espressione regolare sul nome
+//     "price": 5                       posizione (1 = prima colonna)
+//   },
+//   "headings": { "column": "code", "levels": 3 }   oppure null
+// }
+//
+// Una riga è un titolo di categoria quando è piena solo la colonna indicata
+// in "headings"; fino a "levels" titoli annidati (famiglia > serie > categoria)
+// danno il percorso categoryPath, gli ultimi due categoria e sottocategoria.
+// Le chiavi assenti prendono i valori di default del formato; "columns", se
+// presente, sostituisce per intero le colonne di default.
+
+const FIELDS = ["code", "name", "category", "subcategory", "serial", "price"];
+const REQUIRED_COLUMNS = ["code", "name"];
+const HEADER_SEARCH_ROWS = 20;
+
+const DEFAULT_MAPPINGS = {
+  // Tracciato SP_electric: Codice; Sigla; Descrizione Prodotto; Listino <mese> Euro cad.
+  csv: {
+    delimiter: ";",
+    encoding: "utf-8",
+    decimalSeparator: ",",
+    headerRow: "auto",
+    columns: {
+      code: "Codice",
+      serial: "Sigla",
+      name: { pattern: "^descrizione" },
+      price: { pattern: "^(prezzo|listino)" }
+    },
+    headings: { column: "code", levels: 3 }
+  },
+  xlsx: {
+    decimalSeparator: ",",
+    headerRow: "auto",
+    sheets: null,
+    columns: {
+      code: "code",
+      name: "name",
+      category: "category",
+      subcategory: "subcategory",
+      serial: "serial",
+      price: "price"
+    },
+    headings: null
+  }
+};
+
+function mappingPathFor(filePath) {
+  const { dir, name } = path.parse(filePath);
+  return path.join(dir, `${name}.mapping.json`);
+}
+
+function isPosition(spec) {
+  return Number.isInteger(spec);
+}
+
+function checkColumnSpec(field, spec, file) {
+  const valid =
+    (isPosition(spec) && spec >= 1) ||
+    (typeof spec === "string" && spec.trim()) ||
+    (spec && typeof spec === "object" && typeof spec.pattern === "string");
+  if (!valid) {
+    throw new Error(`Invalid column "${field}" in ${file}: use a position (1, 2...), a name or { "pattern": "..." }`);
+  }
+  if (spec.pattern) {
+    try {
+      new RegExp(spec.pattern, "i");
+    } catch (error) {
+      throw new Error(`Invalid pattern for column "${field}" in ${file}: ${error.message}`);
+    }
+  }
+}
+
+function checkMapping(mapping, file) {
+  Object.keys(mapping.columns).forEach((field) => {
+    if (!FIELDS.includes(field)) {
+      throw new Error(`Unknown column "${field}" in ${file}. Allowed: ${FIELDS.join(", ")}`);
+    }
+    checkColumnSpec(field, mapping.columns[field], file);
+  });
+
+  REQUIRED_COLUMNS.forEach((field) => {
+    if (mapping.columns[field] === undefined) {
+      throw new Error(`Missing column "${field}" in ${file}`);
+    }
+  });
+
+  if (![",", "."].includes(mapping.decimalSeparator)) {
+    throw new Error(`decimalSeparator in ${file} must be "," or "."`);
+  }
+
+  const { headerRow } = mapping;
+  if (!(headerRow === null || headerRow === "auto" || (isPosition(headerRow) && headerRow >= 1))) {
+    throw new Error(`headerRow in ${file} must be a row number, "auto" or null`);
+  }
+
+  if (mapping.headings && !mapping.columns[mapping.headings.column]) {
+    throw new Error(`headings.column in ${file} must be one of the mapped columns`);
+  }
+}
+
+// Mappatura della sorgente: default del formato + eventuale file accanto al listino
+function loadMapping(filePath, format) {
+  const defaults = DEFAULT_MAPPINGS[format];
+  const mappingPath = mappingPathFor(filePath);
+  if (!fs.existsSync(mappingPath)) {
+    return { ...defaults, file: null };
+  }
+
+  let custom;
+  try {
+    custom = JSON.parse(fs.readFileSync(mappingPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${path.basename(mappingPath)}: ${error.message}`);
+  }
+
+  const mapping = {
+    ...defaults,
+    ...custom,
+    headings: custom.headings === undefined ? defaults.headings : custom.headings && { levels: 3, ...custom.headings },
+    file: path.basename(mappingPath)
+  };
+  checkMapping(mapping, mapping.file);
+  return mapping;
+}
+
+function normalizeHeader(value) {
+  return String(value === undefined || value === null ? "" : value).replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+function findColumn(spec, header) {
+  if (isPosition(spec)) return spec - 1;
+  if (!header) return -1;
+  const names = header.map(normalizeHeader);
+  if (typeof spec === "string") return names.indexOf(normalizeHeader(spec));
+  const pattern = new RegExp(spec.pattern, "i");
+  return names.findIndex((name) => pattern.test(name));
+}
+
+function resolveAll(mapping, header) {
+  const positions = {};
+  const missing = [];
+  Object.entries(mapping.columns).forEach(([field, spec]) => {
+    const index = findColumn(spec, header);
+    if (index >= 0) positions[field] = index;
+    else missing.push(field);
+  });
+  return { positions, missing };
+}
+
+// Posizione delle colonne e indice della riga di intestazione (-1 se assente)
+// tra le righe lette ({ cells, row }). Con headerRow "auto" l'intestazione è
+// la prima riga in cui si trovano tutte le colonne indicate per nome.
+function resolveColumns(mapping, rows) {
+  const named = Object.values(mapping.columns).some((spec) => !isPosition(spec));
+
+  if (mapping.headerRow === null || (mapping.headerRow === "auto" && !named)) {
+    return { headerIndex: -1, ...resolveAll(mapping, null) };
+  }
+
+  if (isPosition(mapping.headerRow)) {
+    // Le righe vuote non vengono lette: si cerca per numero di riga
+    const headerIndex = rows.findIndex((row) => row.row === mapping.headerRow);
+    return { headerIndex, ...resolveAll(mapping, headerIndex >= 0 ? rows[headerIndex].cells : []) };
+  }
+
+  // Altrimenti la prima riga con almeno le colonne obbligatorie
+  let fallback = null;
+  for (let index = 0; index < Math.min(rows.length, HEADER_SEARCH_ROWS); index++) {
+    const resolved = resolveAll(mapping, rows[index].cells);
+    if (resolved.missing.length === 0) return { headerIndex: index, ...resolved };
+    const hasRequired = REQUIRED_COLUMNS.every((field) => !resolved.missing.includes(field));
+    if (!fallback && hasRequired) fallback = { headerIndex: index, ...resolved };
+  }
+  return fallback || { headerIndex: -1, ...resolveAll(mapping, []) };
+}
+
+// Prezzo nel formato del listino di riferimento ("1.234,56"), qualunque sia
+// il separatore decimale della sorgente. I numeri delle celle XLSX restano esatti.
+function toListinoPrice(value, decimalSeparator) {
+  if (typeof value === "number") return String(value).replace(".", ",");
+  const text = String(value === undefined || value === null ? "" : value).trim();
+  if (decimalSeparator === ",") return text;
+  return text.replace(/[.,]/g, (char) => (char === "." ? "," : "."));
+}
+
+module.exports = {
+  DEFAULT_MAPPINGS,
+  FIELDS,
+  REQUIRED_COLUMNS,
+  loadMapping,
+  resolveColumns,
+  toListinoPrice
+};
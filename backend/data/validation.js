@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+
+// ==========================================
+// VALIDAZIONE DEL LISTINO
+// ==========================================
+//
+// Ogni problema trovato durante la build è una segnalazione con regola,
+// gravità, file e riga. Gli errori bloccano la build (products.json non
+// viene scritto), gli avvisi finiscono solo nel report.
+
+const RULES = {
+  "missing-column": { severity: "error", description: "Colonna obbligatoria non trovata (sorgente ignorata)" },
+  "unmapped-column": { severity: "warning", description: "Colonna della mappatura non trovata" },
+  "missing-code": { severity: "error", description: "Riga prodotto senza codice" },
+  "ignored-row": { severity: "warning", description: "Riga senza codice né descrizione (nota a piè di tabella)" },
+  "missing-name": { severity: "error", description: "Prodotto senza descrizione" },
+  "invalid-price": { severity: "error", description: "Prezzo non interpretabile" },
+  "missing-price": { severity: "warning", description: "Prezzo assente" },
+  "empty-category": { severity: "error", description: "Prodotto senza titolo di categoria" },
+  "orphan-heading": { severity: "warning", description: "Titolo di categoria senza prodotti" },
+  "duplicate-code": { severity: "warning", description: "Codice ripetuto nello stesso file, righe identiche" },
+  "conflicting-duplicate-code": { severity: "error", description: "Codice ripetuto nello stesso file con nome o prezzo diversi" },
+  "duplicate-code-across-files": { severity: "error", description: "Codice presente in più file" }
+};
+
+// Formato italiano con separatore delle migliaia opzionale: 17,81 · 1.234,56 · 1234
+const PRICE_FORMAT = /^\d{1,3}(?:\.\d{3})*(?:,\d+)?$|^\d+(?:,\d+)?$/;
+const PRICE_PLACEHOLDERS = ["", "-"];
+
+function createValidator() {
+  const issues = [];
+
+  function add(rule, message, { file = null, sheet = null, row = null, code = null } = {}) {
+    if (!RULES[rule]) throw new Error(`Unknown validation rule: ${rule}`);
+    issues.push({ severity: RULES[rule].severity, rule, file, sheet, row, code, message });
+  }
+
+  return { issues, add };
+}
+
+// Controlla il prezzo così come compare nel listino (cella già ripulita
+// dagli spazi): vuoto o "-" è un avviso, qualsiasi altro formato un errore
+function checkPrice(validator, price, location) {
+  if (PRICE_PLACEHOLDERS.includes(price)) {
+    validator.add("missing-price", "Price is empty", location);
+  } else if (!PRICE_FORMAT.test(price)) {
+    validator.add("invalid-price", `Price "${price}" is not a valid amount`, location);
+  }
+}
+
+// "Listino.csv:123" oppure "Listino.xlsx (Foglio1):45"
+function formatLocation({ file, sheet, row }) {
+  const name = sheet ? `${file} (${sheet})` : file || "";
+  return row ? `${name}:${row}` : name;
+}
+
+// Codici ripetuti: nello stesso file con nome e prezzo uguali è un avviso
+// (il listino ripete alcuni articoli in più sezioni); con nome o prezzo
+// diversi, o tra file diversi, è un errore perché non si sa quale riga o
+// quale listino è quello valido.
+function checkDuplicates(validator, records) {
+  const seen = new Map();
+
+  records.forEach((record) => {
+    const location = { ...record.source, code: record.code };
+    const first = seen.get(record.code);
+    if (!first) {
+      seen.set(record.code, record);
+      return;
+    }
+
+    const where = formatLocation(first.source);
+    const differences = ["name", "price"]
+      .filter((field) => first[field] !== record[field])
+      .map((field) => `${field} "${first[field]}" → "${record[field]}"`);
+    const detail = differences.length ? ` (${differences.join(", ")})` : "";
+
+    if (first.source.file !== record.source.file) {
+      validator.add("duplicate-code-across-files", `Code already listed in ${where}${detail}`, location);
+    } else if (differences.length) {
+      validator.add("conflicting-duplicate-code", `Code already listed at ${where} with a different value${detail}`, location);
+    } else {
+      validator.add("duplicate-code", `Code already listed at ${where}; last row kept`, location);
+    }
+  });
+}
+
+function summarizeIssues(issues) {
+  const summary = { errors: 0, warnings: 0, rules: {} };
+  issues.forEach((issue) => {
+    if (issue.severity === "error") summary.errors++;
+    else summary.warnings++;
+    summary.rules[issue.rule] = (summary.rules[issue.rule] || 0) + 1;
+  });
+  return summary;
+}
+
+function formatIssue(issue) {
+  const location = formatLocation(issue);
+  const code = issue.code ? ` [${issue.code}]` : "";
+  return `${issue.severity.toUpperCase().padEnd(7)} ${issue.rule.padEnd(28)} ${location}${code} ${issue.message}`;
+}
+
+// Report per macchine (JSON) e per persone (testo, errori prima degli avvisi)
+function writeValidationReport(issues, directory) {
+  const summary = summarizeIssues(issues);
+  const jsonPath = path.join(directory, "validation-report.json");
+  const textPath = path.join(directory, "validation-report.txt");
+
+  fs.writeFileSync(
+    jsonPath,
+    JSON.stringify({ generatedAt: new Date().toISOString(), summary, rules: RULES, issues }, null, 2)
+  );
+
+  const sorted = [...issues].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === "error" ? -1 : 1));
+  const lines = [
+    `Catalog validation: ${summary.errors} errors, ${summary.warnings} warnings`,
+    ...Object.entries(summary.rules).map(
+      ([rule, count]) => `  ${rule} (${RULES[rule].severity}): ${count} - ${RULES[rule].description}`
+    ),
+    "",
+    ...sorted.map(formatIssue)
+  ];
+  fs.writeFileSync(textPath, `${lines.join("\n")}\n`);
+
+  return { summary, jsonPath, textPath, sorted };
+}
+
+module.exports = {
+  RULES,
+  createValidator,
+  checkPrice,
+  checkDuplicates,
+  summarizeIssues,
+  formatIssue,
+  writeValidationReport
+};
@@ -0,0 +1,184 @@
+const path = require("path");
+const { parse } = require("csv-parse/sync");
+const xlsx = require("xlsx");
+
+// ==========================================
+// IMPORT DISTINTA MATERIALI (CSV/XLSX) NEL CARRELLO
+// ==========================================
+//
+// Il cliente carica il suo file Excel o CSV con la lista dei materiali. Le
+// colonne si riconoscono dal nome nell'intestazione (tra le prime righe):
+//
+//   codice       "Codice", "Cod. art.", "Articolo", "Part number"...
+//   sigla        "Sigla", "Rif. produttore", "Modello"...
+//   quantità     "Q.tà", "Quantità", "Pz", "Qty"...
+//   descrizione  "Descrizione", "Materiale"... (solo per la ricerca fuzzy)
+//
+// Senza intestazione riconoscibile la prima colonna è il codice e la
+// seconda la quantità. Ogni riga si cerca per codice, poi per sigla; se non
+// si trova, la ricerca (searchProducts) su descrizione o codice propone la
+// corrispondenza più probabile, che il cliente conferma o cambia.
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_ROWS = 1000;
+const MAX_QUANTITY = 99999;
+const HEADER_SEARCH_ROWS = 20;
+const CSV_DELIMITERS = [";", ",", "\t"];
+
+const COLUMN_PATTERNS = {
+  code: /^(cod(ice|\.)?|cod\.? ?art(icolo|\.)?|articolo|art\.?|part ?(number|no\.?)?|sku|item)$/,
+  serial: /^(sigla|serial[e]?|rif(erimento|\.)?( produttore)?|modello|matricola)$/,
+  quantity: /^(q\.? ?t[aà]\.?|quantit[aà]|qty|quantity|pz\.?|pezzi|n\.?|nr\.?|num(ero)?)$/,
+  description: /^(descrizione|descr\.?|description|materiale|prodotto)$/
+};
+
+function importError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizeHeader(value) {
+  return String(value === undefined || value === null ? "" : value).replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+function cellText(value) {
+  return String(value === undefined || value === null ? "" : value).trim();
+}
+
+// UTF-8 se valido (BOM di Excel tolto), altrimenti Windows-1252 come i CSV italiani
+function decodeCsv(buffer) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buffer).replace(/^\uFEFF/, "");
+  } catch (error) {
+    return new TextDecoder("windows-1252").decode(buffer);
+  }
+}
+
+// Il separatore più frequente nelle prime righe
+function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).slice(0, 10).join("\n");
+  const counts = CSV_DELIMITERS.map((delimiter) => sample.split(delimiter).length - 1);
+  return CSV_DELIMITERS[counts.indexOf(Math.max(...counts))];
+}
+
+// Righe { cells, row } del file; per XLSX il primo foglio con dati
+function readRows(buffer, fileName) {
+  const extension = path.extname(fileName || "").toLowerCase();
+
+  if (extension === ".csv" || extension === ".txt") {
+    const text = decodeCsv(buffer);
+    return parse(text, {
+      delimiter: detectDelimiter(text),
+      relax_column_count: true,
+      relax_quotes: true,
+      skip_empty_lines: true,
+      trim: true,
+      info: true
+    }).map(({ record, info }) => ({ cells: record, row: info.lines }));
+  }
+
+  if (extension === ".xlsx" || extension === ".xls") {
+    const workbook = xlsx.read(buffer, { type: "buffer" });
+    const sheetName = workbook.SheetNames.find((name) => workbook.Sheets[name]["!ref"]);
+    if (!sheetName) return [];
+    const sheet = workbook.Sheets[sheetName];
+    const firstRow = xlsx.utils.decode_range(sheet["!ref"]).s.r + 1;
+    return xlsx.utils
+      .sheet_to_json(sheet, { header: 1, defval: "", blankrows: true })
+      .map((cells, index) => ({ cells, row: firstRow + index }))
+      .filter(({ cells }) => cells.some((cell) => cellText(cell)));
+  }
+
+  throw importError("Unsupported file type: upload a .csv or .xlsx file", 415);
+}
+
+// Colonne per nome nella prima riga che ha codice o sigla; altrimenti
+// codice e quantità nelle prime due colonne, senza intestazione
+function detectColumns(rows) {
+  for (let index = 0; index < Math.min(rows.length, HEADER_SEARCH_ROWS); index++) {
+    const names = rows[index].cells.map(normalizeHeader);
+    const columns = {};
+    Object.entries(COLUMN_PATTERNS).forEach(([field, pattern]) => {
+      const position = names.findIndex((name, column) => pattern.test(name) && !Object.values(columns).includes(column));
+      if (position >= 0) columns[field] = position;
+    });
+    if (columns.code !== undefined || columns.serial !== undefined) {
+      return { headerIndex: index, columns, header: rows[index].cells.map(cellText) };
+    }
+  }
+  return { headerIndex: -1, columns: { code: 0, quantity: 1 }, header: null };
+}
+
+// "10", 10, "10,0", "10 pz" → 10; vuota → 1; altro → NaN (quantità da correggere)
+function parseQuantity(value) {
+  if (typeof value === "number") return value;
+  const text = cellText(value).replace(/\s*(pz|pezzi|nr|n)\.?$/i, "").replace(",", ".");
+  if (!text) return 1;
+  return /^\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+}
+
+// Righe della distinta con codice, sigla, descrizione e quantità
+function readBomFile(buffer, fileName) {
+  if (!buffer || buffer.length === 0) throw importError("The file is empty");
+  if (buffer.length > MAX_FILE_BYTES) throw importError(`The file can be at most ${MAX_FILE_BYTES / 1024 / 1024} MB`, 413);
+
+  const rows = readRows(buffer, fileName);
+  const { headerIndex, columns, header } = detectColumns(rows);
+  const value = (cells, field) => (columns[field] === undefined ? "" : cellText(cells[columns[field]]));
+
+  const entries = rows.slice(headerIndex + 1)
+    .map(({ cells, row }) => ({
+      line: row,
+      code: value(cells, "code"),
+      serial: value(cells, "serial"),
+      description: value(cells, "description"),
+      quantity: columns.quantity === undefined ? 1 : parseQuantity(cells[columns.quantity])
+    }))
+    .filter((entry) => entry.code || entry.serial || entry.description);
+
+  if (entries.length > MAX_ROWS) {
+    throw importError(`The file can contain at most ${MAX_ROWS} rows`);
+  }
+
+  // Nomi delle colonne usate, da mostrare nella revisione
+  const usedColumns = {};
+  Object.entries(columns).forEach(([field, position]) => {
+    usedColumns[field] = header ? header[position] : xlsx.utils.encode_col(position);
+  });
+  return { columns: usedColumns, entries };
+}
+
+// Esito di ogni riga, come resolveCodeList (codeList.js) più lo stato
+// "fuzzy": nessun codice o sigla trovati, `product` è la corrispondenza più
+// probabile della ricerca e `candidates` le alternative.
+// `findProducts(text)` cerca per codice o sigla, `searchProducts(text)` è la ricerca
+function matchBomEntries(entries, findProducts, searchProducts) {
+  return entries.map((entry) => {
+    const text = [entry.code, entry.serial, entry.description].filter(Boolean).join(" · ");
+    const query = entry.code || entry.serial || entry.description;
+    const base = { line: entry.line, text, query, quantity: entry.quantity };
+
+    let result = null;
+    for (const lookup of [entry.code, entry.serial].filter(Boolean)) {
+      const products = findProducts(lookup);
+      if (products.length === 1) result = { status: "found", product: products[0] };
+      else if (products.length > 1) result = { status: "ambiguous", candidates: products };
+      if (result) break;
+    }
+
+    if (!result) {
+      const candidates = searchProducts(entry.description || query);
+      result = candidates.length > 0
+        ? { status: "fuzzy", product: candidates[0], candidates }
+        : { status: "not-found", candidates: [] };
+    }
+
+    if (!Number.isInteger(entry.quantity) || entry.quantity < 1 || entry.quantity > MAX_QUANTITY) {
+      result.status = "invalid-quantity";
+    }
+    return { ...base, ...result };
+  });
+}
+
+module.exports = { readBomFile, matchBomEntries, MAX_FILE_BYTES };
@@ -0,0 +1,114 @@
+// ==========================================
+// LISTE DI CODICI INCOLLATE ("INCOLLA LISTA")
+// ==========================================
+//
+// Gli elettricisti mandano liste scritte a mano o copiate da Excel:
+//
+//   A3B48 x10, A3B47 5
+//   10 pz BS417516
+//   G3-C6A;3
+//
+// Ogni riga (o ogni voce separata da virgola o punto e virgola) diventa
+// { text, query, quantity }; una voce fatta solo di quantità ("A3B48;10",
+// colonne di Excel) va alla voce precedente. Poi ogni query si cerca per
+// codice o sigla: trovata, ambigua (sigla condivisa da più prodotti),
+// non trovata (con qualche suggerimento) o con quantità non valida.
+
+const MAX_TEXT_LENGTH = 20000;
+const MAX_LINES = 500;
+const MAX_QUANTITY = 99999;
+const MAX_CANDIDATES = 5;
+
+const UNIT = "(?:(?:pz|pezzi|pezzo|pcs|nr|n)\\.?)";
+// "10", "x10", "10 pz", "n. 10", "qta 10"
+const QUANTITY_ONLY = new RegExp(`^(?:(?:x|×|qta|q\\.tà|qty|n\\.?)\\s*)?(\\d+)\\s*${UNIT}?$`, "i");
+// "10 x A3B48", "10pz A3B48", "10 A3B48", "n. 10 A3B48"
+const LEADING_QUANTITY = new RegExp(`^(?:n\\.?\\s*)?(\\d+)\\s*(?:${UNIT}|x|×)?\\s+(.+)$`, "i");
+// "A3B48 x10", "A3B48 * 10", "A3B48 - 10 pz", "A3B48 5"
+const TRAILING_QUANTITY = new RegExp(`^(.+?)(?:\\s*[x×*:=]\\s*|\\s+-\\s+|\\s+)(\\d+)\\s*${UNIT}?$`, "i");
+
+// Le virgole tra due cifre sono decimali ("MP 0,16/2P"), non separatori
+const ENTRY_SEPARATOR = /\t|;|,(?!\d)|(?<!\d),/;
+
+function listError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseEntry(text) {
+  const quantityOnly = text.match(QUANTITY_ONLY);
+  if (quantityOnly) return { text, query: "", quantity: parseInt(quantityOnly[1], 10) };
+
+  const leading = text.match(LEADING_QUANTITY);
+  if (leading) return { text, query: leading[2].trim(), quantity: parseInt(leading[1], 10) };
+
+  const trailing = text.match(TRAILING_QUANTITY);
+  if (trailing) return { text, query: trailing[1].trim(), quantity: parseInt(trailing[2], 10) };
+
+  return { text, query: text, quantity: 1 };
+}
+
+// Testo incollato → voci { line, text, query, quantity } (line parte da 1)
+function parseCodeList(text) {
+  const raw = String(text || "");
+  if (raw.length > MAX_TEXT_LENGTH) {
+    throw listError(`The list can be at most ${MAX_TEXT_LENGTH} characters long`);
+  }
+
+  const entries = [];
+  raw.split(/\r?\n/).forEach((lineText, lineIndex) => {
+    let previous = null;
+    lineText.split(ENTRY_SEPARATOR).forEach((part) => {
+      const trimmed = part.trim().replace(/^[-•*]\s+/, "");
+      if (!trimmed) return;
+      const entry = parseEntry(trimmed);
+
+      // Colonna quantità dopo il codice: completa la voce precedente
+      if (!entry.query) {
+        if (previous && !previous.hasQuantity) {
+          previous.quantity = entry.quantity;
+          previous.hasQuantity = true;
+          previous.text += ` ${trimmed}`;
+        }
+        return;
+      }
+
+      previous = { line: lineIndex + 1, ...entry, hasQuantity: entry.query !== entry.text };
+      entries.push(previous);
+    });
+  });
+
+  if (entries.length > MAX_LINES) {
+    throw listError(`The list can contain at most ${MAX_LINES} codes`);
+  }
+  return entries.map(({ hasQuantity, ...entry }) => entry);
+}
+
+// Esito di ogni voce. `findProducts(query)` cerca per codice o sigla,
+// `suggest(query)` propone prodotti simili per le voci non trovate
+function resolveCodeList(entries, findProducts, suggest = () => []) {
+  return entries.map((entry) => {
+    const { line, text, query, quantity } = entry;
+    const products = findProducts(query);
+
+    let result;
+    if (products.length === 1) result = { status: "found", product: products[0] };
+    else if (products.length > 1) result = { status: "ambiguous", candidates: products.slice(0, MAX_CANDIDATES) };
+    else {
+      // "A3B4 9" può essere A3B4 × 9 o il codice A3B49: il testo intero
+      // diventa il primo suggerimento, senza sceglierlo al posto del cliente
+      const whole = query !== text ? findProducts(text) : [];
+      const candidates = [...whole, ...suggest(query).filter((product) => !whole.includes(product))];
+      result = { status: "not-found", candidates: candidates.slice(0, MAX_CANDIDATES) };
+    }
+
+    // Prodotto riconosciuto ma quantità da correggere (0 o troppo grande)
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      result.status = "invalid-quantity";
+    }
+    return { line, text, query, quantity, ...result };
+  });
+}
+
+module.exports = { parseCodeList, resolveCodeList };
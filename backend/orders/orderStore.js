@@ -0,0 +1,69 @@
+const fs = require("fs");
+const path = require("path");
+
+// ==========================================
+// ARCHIVIO ORDINI
+// ==========================================
+//
+// Un ordine per riga in backend/data/orders.jsonl (ORDERS_PATH per
+// cambiarlo). Il numero è progressivo per anno: "2026-00001", "2026-00002"...
+// La riga viene scritta in modo sincrono prima di confermare l'ordine al
+// cliente: un numero restituito è sempre già salvato e mai riassegnato.
+
+const DEFAULT_ORDERS_PATH = path.join(__dirname, "..", "data", "orders.jsonl");
+const NUMBER_DIGITS = 5;
+
+function formatOrderNumber(year, sequence) {
+  return `${year}-${String(sequence).padStart(NUMBER_DIGITS, "0")}`;
+}
+
+function readOrders(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  return fs
+    .readFileSync(filePath, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${path.basename(filePath)} line ${index + 1} is not valid JSON: ${error.message}`);
+      }
+    });
+}
+
+function createOrderStore(filePath = DEFAULT_ORDERS_PATH) {
+  // Un archivio illeggibile lancia un errore: meglio nessun ordine che numeri riassegnati
+  const orders = readOrders(filePath);
+  const lastSequence = new Map();
+  orders.forEach((order) => {
+    const [year, sequence] = order.number.split("-").map(Number);
+    lastSequence.set(year, Math.max(lastSequence.get(year) || 0, sequence));
+  });
+
+  function create(order) {
+    const now = new Date();
+    const year = now.getFullYear();
+    const sequence = (lastSequence.get(year) || 0) + 1;
+    const saved = { number: formatOrderNumber(year, sequence), createdAt: now.toISOString(), ...order };
+
+    fs.appendFileSync(filePath, `${JSON.stringify(saved)}\n`);
+    lastSequence.set(year, sequence);
+    orders.push(saved);
+    return saved;
+  }
+
+  function get(number) {
+    return orders.find((order) => order.number === number) || null;
+  }
+
+  // Dal più recente
+  function list({ limit, offset = 0 }) {
+    const recent = [...orders].reverse();
+    return { total: recent.length, orders: recent.slice(offset, offset + limit) };
+  }
+
+  return { filePath, create, get, list };
+}
+
+module.exports = { createOrderStore };
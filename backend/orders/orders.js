@@ -0,0 +1,195 @@
+const { parsePrice } = require("../search/textUtils");
+const { applyDiscount } = require("../pricing/discounts");
+
+// ==========================================
+// ORDINI: VALIDAZIONE DEL CARRELLO SUL CATALOGO
+// ==========================================
+//
+// Il carrello arriva dal browser, quindi codici, quantità e prezzi non sono
+// affidabili: ogni riga viene ricontrollata sul catalogo caricato e l'ordine
+// salvato usa sempre i prezzi del catalogo. Un prezzo diverso da quello del
+// listino (carrello vecchio o modificato) rifiuta l'ordine con 409 e l'elenco
+// dei prezzi aggiornati, da mostrare al cliente prima di riprovare.
+//
+// Gli importi si calcolano in centesimi per evitare errori di arrotondamento.
+// Il prezzo inviato dal browser è quello di listino; lo sconto del cliente
+// (pricing/discounts.js) viene applicato qui e dà il prezzo netto della riga.
+
+const MAX_ITEMS = 500;
+const MAX_QUANTITY = 99999;
+const CHANNELS = ["whatsapp", "email", "api"];
+const CUSTOMER_FIELDS = { name: 120, company: 120, phone: 40, email: 120, notes: 1000 };
+// Regole commerciali se company.json non le indica: IVA ordinaria, niente spedizione né minimo
+const DEFAULT_RULES = { vatRate: 22, shippingCost: 0, freeShippingFrom: null, minimumOrder: 0 };
+
+// `status` è il codice HTTP con cui POST /orders riporta l'errore
+function orderError(message, details = [], status = 400) {
+  const error = new Error(message);
+  error.details = details;
+  error.status = status;
+  return error;
+}
+
+function toCents(value) {
+  return Math.round(value * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+function cleanCustomer(customer) {
+  if (!customer || typeof customer !== "object") return {};
+  const cleaned = {};
+  Object.entries(CUSTOMER_FIELDS).forEach(([field, maxLength]) => {
+    const value = String(customer[field] || "").trim();
+    if (value) cleaned[field] = value.slice(0, maxLength);
+  });
+  return cleaned;
+}
+
+// Righe dell'ordine con prezzi del catalogo; lancia un orderError se il
+// carrello non è valido. `findProduct(code)` cerca nel catalogo caricato,
+// `discountFor(product)` restituisce lo sconto del cliente o null.
+function validateOrder(body, findProduct, discountFor = () => null) {
+  const { items, customer, channel = "api" } = body || {};
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw orderError("The order must contain at least one item");
+  }
+  if (items.length > MAX_ITEMS) {
+    throw orderError(`The order can contain at most ${MAX_ITEMS} items`);
+  }
+  if (!CHANNELS.includes(channel)) {
+    throw orderError(`Unknown channel "${channel}". Allowed: ${CHANNELS.join(", ")}`);
+  }
+
+  const problems = [];
+  const priceChanges = [];
+  const lines = new Map();
+
+  items.forEach((item, index) => {
+    const code = String((item && item.code) || "").trim();
+    const quantity = item && item.quantity;
+    const product = code ? findProduct(code) : null;
+
+    if (!product) {
+      problems.push({ index, code, problem: code ? "unknown-code" : "missing-code" });
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      problems.push({ index, code, problem: "invalid-quantity", quantity: quantity === undefined ? null : quantity });
+      return;
+    }
+
+    const catalogPrice = parsePrice(product.price);
+    if (item.price !== undefined && item.price !== null && item.price !== "") {
+      const submitted = parsePrice(item.price);
+      const samePrice = catalogPrice === null ? submitted === null : submitted !== null && toCents(submitted) === toCents(catalogPrice);
+      if (!samePrice) {
+        priceChanges.push({ index, code: product.code, submitted: item.price, price: product.price || null });
+      }
+    }
+
+    // Lo stesso codice su più righe diventa una riga sola, e il limite di
+    // quantità vale per la riga unita
+    const existing = lines.get(product.code);
+    if (existing) {
+      if (existing.quantity + quantity > MAX_QUANTITY) {
+        problems.push({ index, code: product.code, problem: "invalid-quantity", quantity: existing.quantity + quantity });
+      }
+      existing.quantity += quantity;
+      return;
+    }
+    const listCents = catalogPrice === null ? null : toCents(catalogPrice);
+    const discount = listCents === null ? null : discountFor(product);
+    lines.set(product.code, {
+      code: product.code,
+      name: product.name,
+      serial: product.serial || "",
+      quantity,
+      price: product.price || null,
+      discount: discount ? discount.label : null,
+      listCents,
+      unitCents: applyDiscount(listCents, discount)
+    });
+  });
+
+  if (problems.length > 0) {
+    throw orderError("Some items are not valid", problems);
+  }
+  if (priceChanges.length > 0) {
+    throw orderError("Some prices changed: check the cart and submit again", priceChanges, 409);
+  }
+
+  return { lines: [...lines.values()], customer: cleanCustomer(customer), channel };
+}
+
+// Totali della merce (netti); le righe senza prezzo (prezzo su richiesta)
+// non contano. listPrice/listTotal sono i valori di listino prima dello sconto.
+function priceOrder(lines) {
+  let totalCents = 0;
+  let listTotalCents = 0;
+  const priced = lines.map(({ unitCents, listCents, ...line }) => {
+    const lineCents = unitCents === null ? null : unitCents * line.quantity;
+    if (lineCents !== null) {
+      totalCents += lineCents;
+      listTotalCents += listCents * line.quantity;
+    }
+    return {
+      ...line,
+      listPrice: listCents === null ? null : fromCents(listCents),
+      unitPrice: unitCents === null ? null : fromCents(unitCents),
+      lineTotal: lineCents === null ? null : fromCents(lineCents)
+    };
+  });
+
+  return {
+    items: priced,
+    itemCount: priced.reduce((sum, line) => sum + line.quantity, 0),
+    unpricedItems: priced.filter((line) => line.unitPrice === null).length,
+    listTotal: fromCents(listTotalCents),
+    total: fromCents(totalCents)
+  };
+}
+
+// IVA, spedizione e ordine minimo da company.json (importi IVA esclusa);
+// i valori mancanti o non validi restano quelli di DEFAULT_RULES
+function orderRules(company = {}) {
+  const rules = { ...DEFAULT_RULES };
+  Object.keys(DEFAULT_RULES).forEach((key) => {
+    const value = company[key];
+    if (typeof value === "number" && Number.isFinite(value) && value >= 0) rules[key] = value;
+  });
+  return rules;
+}
+
+// Totali di fine ordine sul totale merce (netto) di priceOrder: spedizione,
+// gratuita da freeShippingFrom in su, imponibile, IVA e totale da pagare
+function orderTotals(priced, rules) {
+  const goodsCents = toCents(priced.total);
+  const freeShipping = rules.freeShippingFrom !== null && goodsCents >= toCents(rules.freeShippingFrom);
+  const shippingCents = goodsCents === 0 || freeShipping ? 0 : toCents(rules.shippingCost);
+  const taxableCents = goodsCents + shippingCents;
+  const vatCents = Math.round((taxableCents * rules.vatRate) / 100);
+
+  return {
+    ...priced,
+    shipping: fromCents(shippingCents),
+    taxable: fromCents(taxableCents),
+    vatRate: rules.vatRate,
+    vat: fromCents(vatCents),
+    grandTotal: fromCents(taxableCents + vatCents)
+  };
+}
+
+// Ordine minimo sul totale merce (IVA e spedizione escluse)
+function checkMinimumOrder(priced, rules) {
+  if (toCents(priced.total) >= toCents(rules.minimumOrder)) return;
+  throw orderError(
+    `The minimum order is ${rules.minimumOrder.toFixed(2)} EUR before VAT and shipping`,
+    [{ problem: "below-minimum", minimumOrder: rules.minimumOrder, total: priced.total }]
+  );
+}
+
+module.exports = { validateOrder, priceOrder, orderRules, orderTotals, checkMinimumOrder, orderError };
@@ -0,0 +1,84 @@
+const fs = require("fs");
+const path = require("path");
+
+// ==========================================
+// PREVENTIVI (dati comuni a PDF e XLSX)
+// ==========================================
+//
+// Il preventivo è il carrello validato come un ordine (codici e prezzi del
+// catalogo) ma non viene salvato: ha un riferimento con data e ora, una data
+// di validità e i dati aziendali di backend/data/company.json.
+
+const COMPANY_PATH = path.join(__dirname, "..", "data", "company.json");
+const DEFAULT_VALIDITY_DAYS = 30;
+
+const euroFormat = new Intl.NumberFormat("it-IT", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const dateFormat = new Intl.DateTimeFormat("it-IT", { day: "2-digit", month: "2-digit", year: "numeric" });
+
+// "1.234,56"
+function formatEuro(value) {
+  return euroFormat.format(value);
+}
+
+function formatDate(date) {
+  return dateFormat.format(date);
+}
+
+// I dati aziendali mancanti restano vuoti e non vengono stampati
+function loadCompany() {
+  const company = fs.existsSync(COMPANY_PATH) ? JSON.parse(fs.readFileSync(COMPANY_PATH, "utf8")) : {};
+  return { name: "SP Electric", quoteValidityDays: DEFAULT_VALIDITY_DAYS, ...company };
+}
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+// `priced` è il risultato di priceOrder, `customer` quello di validateOrder
+function buildQuote(priced, customer, company, now = new Date()) {
+  const validUntil = new Date(now);
+  validUntil.setDate(validUntil.getDate() + (company.quoteValidityDays || DEFAULT_VALIDITY_DAYS));
+
+  return {
+    reference: `P-${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`,
+    date: now,
+    validUntil,
+    company,
+    customer,
+    ...priced
+  };
+}
+
+// Righe di intestazione con i dati aziendali e del cliente, senza i campi vuoti
+function companyLines(company) {
+  return [
+    company.address,
+    company.vatNumber && `P.IVA ${company.vatNumber}`,
+    company.phone && `Tel. ${company.phone}`,
+    company.email,
+    company.website
+  ].filter(Boolean);
+}
+
+function customerLines(customer) {
+  return [
+    customer.company,
+    customer.name,
+    customer.phone && `Tel. ${customer.phone}`,
+    customer.email
+  ].filter(Boolean);
+}
+
+function quoteFileName(quote, extension) {
+  return `preventivo-${quote.reference}.${extension}`;
+}
+
+module.exports = {
+  loadCompany,
+  buildQuote,
+  companyLines,
+  customerLines,
+  formatEuro,
+  formatDate,
+  quoteFileName
+};
@@ -0,0 +1,200 @@
+const PDFDocument = require("pdfkit");
+const { companyLines, customerLines, formatEuro, formatDate } = require("./quote");
+
+// ==========================================
+// PREVENTIVO IN PDF (A4)
+// ==========================================
+
+const MARGIN = 40;
+const PAGE_WIDTH = 595.28;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const FOOTER_SPACE = 50;
+const ROW_PADDING = 4;
+const COLORS = { text: "#111827", muted: "#6b7280", line: "#d1d5db", header: "#4f46e5", zebra: "#f3f4f6" };
+
+// Colonne della tabella: larghezze in punti, la descrizione prende il resto.
+// Listino e sconto compaiono solo se almeno una riga è scontata.
+function tableColumns(quote) {
+  const discounted = quote.items.some((item) => item.discount);
+  const columns = [
+    { key: "code", label: "Codice", width: 64 },
+    { key: "name", label: "Descrizione", width: 0 },
+    { key: "quantity", label: "Q.tà", width: 36, align: "right" },
+    ...(discounted
+      ? [
+          { key: "listPrice", label: "Listino €", width: 62, align: "right" },
+          { key: "discount", label: "Sconto %", width: 48, align: "right" }
+        ]
+      : []),
+    { key: "unitPrice", label: discounted ? "Netto €" : "Prezzo €", width: 62, align: "right" },
+    { key: "lineTotal", label: "Subtotale €", width: 72, align: "right" }
+  ];
+  columns[1].width = CONTENT_WIDTH - columns.reduce((sum, column) => sum + column.width, 0);
+  return columns;
+}
+
+function cellText(item, key) {
+  if (key === "name") return item.serial ? `${item.name}\n${item.serial}` : item.name;
+  if (key === "discount") return item.discount || "";
+  if (key === "listPrice" || key === "unitPrice" || key === "lineTotal") {
+    return item[key] === null ? "su richiesta" : formatEuro(item[key]);
+  }
+  return String(item[key]);
+}
+
+function drawHeader(doc, quote) {
+  const { company } = quote;
+  doc.fillColor(COLORS.header).font("Helvetica-Bold").fontSize(20).text(company.name, MARGIN, MARGIN);
+  doc.fillColor(COLORS.muted).font("Helvetica").fontSize(9);
+  companyLines(company).forEach((line) => doc.text(line));
+  const leftBottom = doc.y;
+
+  const right = { x: MARGIN + CONTENT_WIDTH / 2, width: CONTENT_WIDTH / 2 };
+  doc.fillColor(COLORS.text).font("Helvetica-Bold").fontSize(16).text("PREVENTIVO", right.x, MARGIN, { width: right.width, align: "right" });
+  doc.font("Helvetica").fontSize(9);
+  [
+    `N. ${quote.reference}`,
+    `Data: ${formatDate(quote.date)}`,
+    `Valido fino al: ${formatDate(quote.validUntil)}`
+  ].forEach((line) => doc.text(line, right.x, doc.y, { width: right.width, align: "right" }));
+
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+}
+
+function drawCustomer(doc, quote) {
+  const lines = customerLines(quote.customer);
+  if (lines.length === 0 && !quote.customer.notes) return;
+
+  const top = doc.y;
+  doc.fillColor(COLORS.muted).font("Helvetica-Bold").fontSize(8).text("CLIENTE", MARGIN + 8, top + 8);
+  doc.fillColor(COLORS.text).font("Helvetica").fontSize(10);
+  lines.forEach((line) => doc.text(line, MARGIN + 8, doc.y, { width: CONTENT_WIDTH - 16 }));
+  if (quote.customer.notes) {
+    doc.fillColor(COLORS.muted).fontSize(9).text(`Note: ${quote.customer.notes}`, MARGIN + 8, doc.y + 4, { width: CONTENT_WIDTH - 16 });
+  }
+  const bottom = doc.y + 8;
+  doc.lineWidth(0.5).strokeColor(COLORS.line).rect(MARGIN, top, CONTENT_WIDTH, bottom - top).stroke();
+  doc.y = bottom + 16;
+}
+
+function drawTableHeader(doc, columns) {
+  const top = doc.y;
+  doc.rect(MARGIN, top, CONTENT_WIDTH, 18).fill(COLORS.header);
+  doc.fillColor("#ffffff").font("Helvetica-Bold").fontSize(9);
+  let x = MARGIN;
+  columns.forEach((column) => {
+    doc.text(column.label, x + ROW_PADDING, top + 5, { width: column.width - ROW_PADDING * 2, align: column.align || "left" });
+    x += column.width;
+  });
+  doc.y = top + 18;
+}
+
+function rowHeight(doc, item, columns) {
+  doc.font("Helvetica").fontSize(9);
+  const heights = columns.map((column) => doc.heightOfString(cellText(item, column.key), { width: column.width - ROW_PADDING * 2 }));
+  return Math.max(...heights) + ROW_PADDING * 2;
+}
+
+function drawRow(doc, item, index, columns) {
+  const height = rowHeight(doc, item, columns);
+  if (doc.y + height > doc.page.height - FOOTER_SPACE) {
+    doc.addPage();
+    drawTableHeader(doc, columns);
+  }
+
+  const top = doc.y;
+  if (index % 2 === 1) doc.rect(MARGIN, top, CONTENT_WIDTH, height).fill(COLORS.zebra);
+  doc.fillColor(COLORS.text).font("Helvetica").fontSize(9);
+  let x = MARGIN;
+  columns.forEach((column) => {
+    doc.text(cellText(item, column.key), x + ROW_PADDING, top + ROW_PADDING, {
+      width: column.width - ROW_PADDING * 2,
+      align: column.align || "left"
+    });
+    x += column.width;
+  });
+  doc.y = top + height;
+}
+
+function drawTotals(doc, quote) {
+  if (doc.y + 140 > doc.page.height - FOOTER_SPACE) doc.addPage();
+
+  const top = doc.y + 8;
+  doc.lineWidth(1).strokeColor(COLORS.text).moveTo(MARGIN, top).lineTo(MARGIN + CONTENT_WIDTH, top).stroke();
+
+  const labelX = MARGIN + CONTENT_WIDTH - 260;
+  const row = (label, value, bold = false) => {
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 12 : 9).fillColor(COLORS.text);
+    doc.text(label, labelX, y, { width: 160 });
+    doc.text(value, labelX + 160, y, { width: 100, align: "right" });
+    doc.y += 2;
+  };
+
+  doc.y = top + 8;
+  row("Articoli", String(quote.itemCount));
+  if (quote.listTotal !== quote.total) {
+    row("Totale di listino", `€ ${formatEuro(quote.listTotal)}`);
+    row("Sconto", `- € ${formatEuro(quote.listTotal - quote.total)}`);
+  }
+  row("Totale merce", `€ ${formatEuro(quote.total)}`);
+  row("Spedizione", quote.shipping > 0 ? `€ ${formatEuro(quote.shipping)}` : "gratuita");
+  row("Imponibile", `€ ${formatEuro(quote.taxable)}`);
+  row(`IVA ${formatEuro(quote.vatRate).replace(/,00$/, "")}%`, `€ ${formatEuro(quote.vat)}`);
+  row("Totale", `€ ${formatEuro(quote.grandTotal)}`, true);
+
+  if (quote.unpricedItems > 0) {
+    doc.fillColor(COLORS.muted).font("Helvetica").fontSize(8)
+      .text(`${quote.unpricedItems} articoli con prezzo su richiesta non sono inclusi nel totale.`, MARGIN, doc.y + 6, { width: CONTENT_WIDTH });
+  }
+}
+
+function drawNotes(doc, quote) {
+  const notes = [
+    `Offerta valida fino al ${formatDate(quote.validUntil)}.`,
+    quote.company.quoteNotes
+  ].filter(Boolean);
+  doc.fillColor(COLORS.muted).font("Helvetica").fontSize(8);
+  doc.text(notes.join(" "), MARGIN, doc.y + 16, { width: CONTENT_WIDTH });
+}
+
+// Numeri di pagina a fine documento, quando si conosce il totale
+function drawPageNumbers(doc, quote) {
+  const range = doc.bufferedPageRange();
+  for (let index = 0; index < range.count; index++) {
+    doc.switchToPage(range.start + index);
+    doc.fillColor(COLORS.muted).font("Helvetica").fontSize(8).text(
+      `${quote.company.name} · Preventivo ${quote.reference} · Pagina ${index + 1} di ${range.count}`,
+      MARGIN,
+      doc.page.height - MARGIN,
+      { width: CONTENT_WIDTH, align: "center", lineBreak: false }
+    );
+  }
+}
+
+function renderQuotePdf(quote) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margins: { top: MARGIN, bottom: MARGIN - 20, left: MARGIN, right: MARGIN },
+      bufferPages: true,
+      info: { Title: `Preventivo ${quote.reference}`, Author: quote.company.name }
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const columns = tableColumns(quote);
+    drawHeader(doc, quote);
+    drawCustomer(doc, quote);
+    drawTableHeader(doc, columns);
+    quote.items.forEach((item, index) => drawRow(doc, item, index, columns));
+    drawTotals(doc, quote);
+    drawNotes(doc, quote);
+    drawPageNumbers(doc, quote);
+    doc.end();
+  });
+}
+
+module.exports = { renderQuotePdf };
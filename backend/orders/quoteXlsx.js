@@ -0,0 +1,98 @@
+const XLSX = require("xlsx");
+const { companyLines, customerLines, formatDate } = require("./quote");
+
+// ==========================================
+// PREVENTIVO IN XLSX
+// ==========================================
+//
+// Un foglio con intestazione, righe e totale. Subtotali e totale sono
+// formule: il cliente può cambiare le quantità nel suo file e i conti tornano.
+// Con righe scontate compaiono anche le colonne del listino e dello sconto.
+// La spedizione è un valore fisso: dipende dalle soglie al momento del preventivo.
+
+const EURO_FORMAT = '#,##0.00 "€"';
+const BASE_HEADER = ["Codice", "Descrizione", "Sigla", "Q.tà"];
+const BASE_WIDTHS = [14, 60, 16, 8];
+
+function priceCell(value) {
+  return value === null ? "su richiesta" : value;
+}
+
+function renderQuoteXlsx(quote) {
+  const rows = [
+    [quote.company.name],
+    ...companyLines(quote.company).map((line) => [line]),
+    [],
+    ["PREVENTIVO", quote.reference],
+    ["Data", formatDate(quote.date)],
+    ["Valido fino al", formatDate(quote.validUntil)]
+  ];
+
+  const customer = customerLines(quote.customer);
+  if (customer.length > 0 || quote.customer.notes) {
+    rows.push([], ["Cliente", customer.join(" · ")]);
+    if (quote.customer.notes) rows.push(["Note", quote.customer.notes]);
+  }
+
+  const discounted = quote.items.some((item) => item.discount);
+  const header = discounted
+    ? [...BASE_HEADER, "Listino", "Sconto %", "Prezzo netto", "Subtotale"]
+    : [...BASE_HEADER, "Prezzo unitario", "Subtotale"];
+  const widths = discounted ? [...BASE_WIDTHS, 14, 10, 14, 16] : [...BASE_WIDTHS, 16, 16];
+  const priceColumn = XLSX.utils.encode_col(header.length - 2);
+  const totalColumn = XLSX.utils.encode_col(header.length - 1);
+  rows.push([], header);
+
+  const firstItemRow = rows.length + 1; // righe del foglio: 1 = prima
+  quote.items.forEach((item) => {
+    const prices = discounted ? [priceCell(item.listPrice), item.discount || ""] : [];
+    rows.push([item.code, item.name, item.serial, item.quantity, ...prices, priceCell(item.unitPrice), null]);
+  });
+  const lastItemRow = rows.length;
+
+  // Righe dei totali: etichetta nella penultima colonna, importo nell'ultima
+  const totalsRow = (label, value = null) => [...header.slice(2).map(() => null), label, value];
+  rows.push([]);
+  const showListTotal = discounted && quote.listTotal !== quote.total;
+  if (showListTotal) rows.push(totalsRow("Totale di listino", quote.listTotal));
+  rows.push(totalsRow("Totale merce"));
+  const goodsRow = rows.length;
+  rows.push(
+    totalsRow("Spedizione", quote.shipping),
+    totalsRow("Imponibile"),
+    totalsRow(`IVA ${quote.vatRate}%`),
+    totalsRow("Totale")
+  );
+  const totalRow = rows.length;
+
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  const cell = (row) => `${totalColumn}${row}`;
+
+  // Subtotali e totali come formule, con il valore già calcolato
+  quote.items.forEach((item, index) => {
+    const row = firstItemRow + index;
+    if (item.unitPrice === null) return;
+    if (discounted) sheet[`E${row}`].z = EURO_FORMAT;
+    sheet[`${priceColumn}${row}`].z = EURO_FORMAT;
+    sheet[cell(row)] = { t: "n", f: `D${row}*${priceColumn}${row}`, v: item.lineTotal, z: EURO_FORMAT };
+  });
+  if (showListTotal) sheet[cell(goodsRow - 1)].z = EURO_FORMAT;
+  sheet[cell(goodsRow)] = {
+    t: "n",
+    f: quote.items.length > 0 ? `SUM(${cell(firstItemRow)}:${cell(lastItemRow)})` : "0",
+    v: quote.total,
+    z: EURO_FORMAT
+  };
+  sheet[cell(goodsRow + 1)].z = EURO_FORMAT;
+  sheet[cell(goodsRow + 2)] = { t: "n", f: `${cell(goodsRow)}+${cell(goodsRow + 1)}`, v: quote.taxable, z: EURO_FORMAT };
+  sheet[cell(goodsRow + 3)] = { t: "n", f: `ROUND(${cell(goodsRow + 2)}*${quote.vatRate}/100,2)`, v: quote.vat, z: EURO_FORMAT };
+  sheet[cell(totalRow)] = { t: "n", f: `${cell(goodsRow + 2)}+${cell(goodsRow + 3)}`, v: quote.grandTotal, z: EURO_FORMAT };
+  sheet["!ref"] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: totalRow - 1, c: header.length - 1 } });
+  sheet["!cols"] = widths.map((wch) => ({ wch }));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, "Preventivo");
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+module.exports = { renderQuoteXlsx };
@@ -0,0 +1,185 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { normalize, parsePrice } = require("../search/textUtils");
+
+// ==========================================
+// SCONTI PER CLIENTE
+// ==========================================
+//
+// I prezzi di products.json sono di listino. Gli sconti stanno in
+// backend/data/discounts.json (non versionato, DISCOUNTS_PATH per cambiarlo;
+// esempio in discounts.example.json):
+//
+// {
+//   "defaultRules": [{ "discount": 30 }],
+//   "customers": [{
+//     "id": "rossi-impianti",
+//     "name": "Rossi Impianti srl",
+//     "accessKey": "una-chiave-lunga-e-casuale",
+//     "rules": [
+//       { "code": "A3B48", "discount": 50 },
+//       { "category": "Interruttori Automatici Magnetotermici 6kA - curva C - 1 Polo - Serie BMS6", "discount": "40+5" },
+//       { "subcategory": "Serie Modulare Schrack", "discount": 45 },
+//       { "discount": 35 }
+//     ]
+//   }]
+// }
+//
+// Il cliente si identifica con la sua accessKey (header X-Customer-Key).
+// Per ogni prodotto vale la regola più specifica: codice, poi categoria (il
+// titolo subito sopra il prodotto), poi sottocategoria (il titolo sopra la
+// categoria), poi la regola senza filtri del cliente; se il cliente non ha
+// regole per il prodotto valgono le defaultRules. "40+5" sono sconti in
+// cascata: 40% e poi 5% sul prezzo già scontato.
+
+const DEFAULT_DISCOUNTS_PATH = path.join(__dirname, "..", "data", "discounts.json");
+const DISCOUNT_PATTERN = /^\d+(?:[.,]\d+)?(?:\+\d+(?:[.,]\d+)?)*$/;
+const MIN_KEY_LENGTH = 12;
+
+// Specificità delle regole: il numero più alto vince
+function ruleRank(rule) {
+  if (rule.code) return 3;
+  if (rule.category) return 2;
+  if (rule.subcategory) return 1;
+  return 0;
+}
+
+// "40+5" → { label: "40+5", factor: 0.57 }
+function parseDiscount(value) {
+  const label = String(value).replace(/\s+/g, "");
+  if (!DISCOUNT_PATTERN.test(label)) return null;
+  const steps = label.split("+").map((step) => parseFloat(step.replace(",", ".")));
+  if (steps.some((step) => step >= 100)) return null;
+  const factor = steps.reduce((result, step) => result * (1 - step / 100), 1);
+  return { label, factor };
+}
+
+function compileRules(rules, owner, problems) {
+  return (Array.isArray(rules) ? rules : []).map((rule, index) => {
+    const discount = parseDiscount(rule.discount);
+    if (!discount) problems.push(`${owner} rule ${index + 1}: invalid discount "${rule.discount}"`);
+    return {
+      code: rule.code ? normalize(rule.code) : null,
+      category: rule.category ? normalize(rule.category) : null,
+      subcategory: rule.subcategory ? normalize(rule.subcategory) : null,
+      ...discount
+    };
+  });
+}
+
+function compileDiscounts(data, file) {
+  const problems = [];
+  const keys = new Set();
+
+  const customers = (Array.isArray(data.customers) ? data.customers : []).map((customer, index) => {
+    const owner = `Customer "${customer.id || index + 1}"`;
+    if (!customer.id) problems.push(`customers[${index}] has no id`);
+    if (String(customer.accessKey || "").length < MIN_KEY_LENGTH) {
+      problems.push(`${owner} needs an accessKey of at least ${MIN_KEY_LENGTH} characters`);
+    }
+    if (keys.has(customer.accessKey)) problems.push(`${owner} reuses the accessKey of another customer`);
+    keys.add(customer.accessKey);
+    return {
+      id: customer.id,
+      name: customer.name || customer.id,
+      accessKey: String(customer.accessKey || ""),
+      rules: compileRules(customer.rules, owner, problems)
+    };
+  });
+  const defaultRules = compileRules(data.defaultRules, "defaultRules", problems);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${path.basename(file)}: ${problems.join("; ")}`);
+  }
+  return { customers, defaultRules };
+}
+
+// Confronto a tempo costante anche tra stringhe di lunghezza diversa
+function safeEqual(a, b) {
+  const left = crypto.createHash("sha256").update(String(a)).digest();
+  const right = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+function matchRule(rules, product) {
+  const code = normalize(product.code);
+  const category = normalize(product.category);
+  const subcategory = normalize(product.subcategory);
+
+  let best = null;
+  rules.forEach((rule) => {
+    const matches =
+      (!rule.code || rule.code === code) &&
+      (!rule.category || rule.category === category) &&
+      (!rule.subcategory || rule.subcategory === subcategory);
+    if (matches && (!best || ruleRank(rule) > ruleRank(best))) best = rule;
+  });
+  return best;
+}
+
+// Sconto del cliente sul prodotto ({ label, factor }) o null
+function discountFor(discounts, customer, product) {
+  if (!customer) return null;
+  const account = discounts.customers.find((item) => item.id === customer.id);
+  const rule = matchRule(account ? account.rules : [], product) || matchRule(discounts.defaultRules, product);
+  return rule ? { label: rule.label, factor: rule.factor } : null;
+}
+
+// Prezzo netto in centesimi dal prezzo di listino in centesimi
+function applyDiscount(listCents, discount) {
+  if (listCents === null || !discount) return listCents;
+  return Math.round(listCents * discount.factor);
+}
+
+// "1.234,56" come i prezzi del listino
+function formatListinoPrice(value) {
+  return value.toLocaleString("it-IT", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function createDiscountStore(filePath = DEFAULT_DISCOUNTS_PATH) {
+  let cache = { mtimeMs: null, discounts: { customers: [], defaultRules: [] }, error: null };
+
+  // Il file viene riletto quando cambia; uno non valido lascia in uso il precedente
+  function current() {
+    const mtimeMs = fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : 0;
+    if (mtimeMs !== cache.mtimeMs) {
+      try {
+        const data = mtimeMs ? JSON.parse(fs.readFileSync(filePath, "utf8")) : {};
+        cache = { mtimeMs, discounts: compileDiscounts(data, filePath), error: null };
+      } catch (error) {
+        cache = { ...cache, mtimeMs, error: error.message };
+      }
+    }
+    return cache.discounts;
+  }
+
+  // Cliente ({ id, name }) della chiave, o null
+  function findCustomer(accessKey) {
+    if (!accessKey) return null;
+    const customer = current().customers.find((item) => safeEqual(item.accessKey, accessKey));
+    return customer ? { id: customer.id, name: customer.name } : null;
+  }
+
+  function discount(customer, product) {
+    return discountFor(current(), customer, product);
+  }
+
+  // Prodotto con netPrice e discount per il cliente (copia; invariato senza sconto)
+  function withNetPrice(product, customer) {
+    const productDiscount = discount(customer, product);
+    const listPrice = parsePrice(product.price);
+    if (!productDiscount || listPrice === null) return product;
+    const netCents = applyDiscount(Math.round(listPrice * 100), productDiscount);
+    return { ...product, netPrice: formatListinoPrice(netCents / 100), discount: productDiscount.label };
+  }
+
+  function status() {
+    const { customers, defaultRules } = current();
+    return { customers: customers.length, defaultRules: defaultRules.length, error: cache.error };
+  }
+
+  return { filePath, findCustomer, discount, withNetPrice, status };
+}
+
+module.exports = { createDiscountStore, parseDiscount, applyDiscount };
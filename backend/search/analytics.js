@@ -0,0 +1,205 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const crypto = require("crypto");
+const { normalize } = require("./textUtils");
+
+// ==========================================
+// STATISTICHE DI RICERCA (log delle query e report)
+// ==========================================
+//
+// Ogni ricerca e ogni "Aggiungi al carrello" partito da una ricerca diventano
+// una riga JSON in backend/data/search-log.jsonl (SEARCH_LOG_PATH per
+// cambiarlo):
+//
+// { "type": "search", "id": "…", "session": "…", "at": "…", "query": "rele 16a",
+//   "total": 12, "count": 12, "searchTimeMs": 3, "suggestion": null, "filters": {} }
+// { "type": "add-to-cart", "searchId": "…", "at": "…", "code": "A3B48", "position": 2 }
+//
+// La ricerca è predittiva: mentre si scrive "differenziale" partono anche
+// "di", "diff", ... Nel report una ricerca viene scartata se la stessa sessione
+// (una scheda del browser) la estende entro pochi secondi.
+
+const DEFAULT_LOG_PATH = path.join(__dirname, "..", "data", "search-log.jsonl");
+const TYPING_WINDOW_MS = 10000;
+const SEARCH_ID_PATTERN = /^[0-9a-f-]{36}$/;
+const SESSION_PATTERN = /^[\w-]{1,64}$/;
+
+function createSearchLog(filePath = DEFAULT_LOG_PATH) {
+  let stream = null;
+
+  // Il file si apre alla prima scrittura; le righe restano nell'ordine di arrivo
+  function append(event) {
+    if (!stream) {
+      stream = fs.createWriteStream(filePath, { flags: "a" });
+      stream.on("error", (error) => console.error("[ERROR] Search log write failed", error.message));
+    }
+    stream.write(`${JSON.stringify(event)}\n`);
+  }
+
+  function logSearch({ session, query, filters, total, count, searchTimeMs, suggestion }) {
+    const id = crypto.randomUUID();
+    append({
+      type: "search",
+      id,
+      session: SESSION_PATTERN.test(session || "") ? session : null,
+      at: new Date().toISOString(),
+      query,
+      total,
+      count,
+      searchTimeMs,
+      suggestion: suggestion || null,
+      filters
+    });
+    return id;
+  }
+
+  // Restituisce false se l'evento non è valido (niente viene scritto)
+  function logAddToCart({ searchId, code, position }) {
+    if (!SEARCH_ID_PATTERN.test(String(searchId || "")) || !code || typeof code !== "string") return false;
+    append({
+      type: "add-to-cart",
+      searchId,
+      at: new Date().toISOString(),
+      code,
+      position: Number.isInteger(position) && position > 0 ? position : null
+    });
+    return true;
+  }
+
+  return { filePath, logSearch, logAddToCart };
+}
+
+async function readEvents(filePath, since) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const events = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    // Una riga troncata (es. crash durante la scrittura) non blocca il report
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (event.at >= since) events.push(event);
+  }
+  return events;
+}
+
+// Ricerche "digitate a metà": la successiva della stessa sessione, entro
+// TYPING_WINDOW_MS, inizia con la stessa query
+function dropTypingPrefixes(searches) {
+  const lastBySession = new Map();
+  const dropped = new Set();
+
+  searches.forEach((search) => {
+    if (!search.session) return;
+    const previous = lastBySession.get(search.session);
+    if (
+      previous &&
+      Date.parse(search.at) - Date.parse(previous.at) <= TYPING_WINDOW_MS &&
+      search.normalized !== previous.normalized &&
+      search.normalized.startsWith(previous.normalized)
+    ) {
+      dropped.add(previous.id);
+    }
+    lastBySession.set(search.session, search);
+  });
+
+  return searches.filter((search) => !dropped.has(search.id));
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Report delle ultime `days` giornate: query più frequenti, query senza
+// risultati e query con risultati ma senza nessun prodotto aggiunto al carrello
+async function buildSearchReport(filePath, { days = 30, limit = 20 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const events = await readEvents(filePath, since);
+
+  const cartBySearch = new Map();
+  events
+    .filter((event) => event.type === "add-to-cart")
+    .forEach((event) => {
+      if (!cartBySearch.has(event.searchId)) cartBySearch.set(event.searchId, []);
+      cartBySearch.get(event.searchId).push(event);
+    });
+
+  const searches = dropTypingPrefixes(
+    events
+      .filter((event) => event.type === "search" && event.query)
+      .map((event) => ({ ...event, normalized: normalize(event.query) }))
+  );
+
+  const byQuery = new Map();
+  searches.forEach((search) => {
+    if (!byQuery.has(search.normalized)) {
+      byQuery.set(search.normalized, {
+        query: search.normalized,
+        searches: 0,
+        zeroResults: 0,
+        withAddToCart: 0,
+        addToCart: 0,
+        totalResults: 0,
+        totalTimeMs: 0,
+        lastAt: null,
+        products: new Map()
+      });
+    }
+    const stats = byQuery.get(search.normalized);
+    const added = cartBySearch.get(search.id) || [];
+    stats.searches++;
+    stats.totalResults += search.total || 0;
+    stats.totalTimeMs += search.searchTimeMs || 0;
+    if (!search.total) stats.zeroResults++;
+    if (added.length > 0) stats.withAddToCart++;
+    stats.addToCart += added.length;
+    added.forEach((event) => stats.products.set(event.code, (stats.products.get(event.code) || 0) + 1));
+    if (!stats.lastAt || search.at > stats.lastAt) stats.lastAt = search.at;
+  });
+
+  const queries = [...byQuery.values()].map((stats) => ({
+    query: stats.query,
+    searches: stats.searches,
+    avgResults: round(stats.totalResults / stats.searches),
+    avgTimeMs: round(stats.totalTimeMs / stats.searches),
+    zeroResults: stats.zeroResults,
+    addToCart: stats.addToCart,
+    conversionRate: round((stats.withAddToCart / stats.searches) * 100),
+    topProducts: [...stats.products]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([code, count]) => ({ code, count })),
+    lastAt: stats.lastAt
+  }));
+  const bySearches = (a, b) => b.searches - a.searches || (a.lastAt < b.lastAt ? 1 : -1);
+
+  return {
+    from: since,
+    to: new Date().toISOString(),
+    totals: {
+      searches: searches.length,
+      distinctQueries: queries.length,
+      zeroResults: searches.filter((search) => !search.total).length,
+      addToCart: searches.reduce((sum, search) => sum + (cartBySearch.get(search.id) || []).length, 0)
+    },
+    topQueries: [...queries].sort(bySearches).slice(0, limit),
+    zeroResultQueries: queries
+      .filter((stats) => stats.zeroResults === stats.searches)
+      .sort(bySearches)
+      .slice(0, limit)
+      .map(({ query, searches: count, lastAt }) => ({ query, searches: count, lastAt })),
+    noAddToCartQueries: queries
+      .filter((stats) => stats.avgResults > 0 && stats.addToCart === 0)
+      .sort(bySearches)
+      .slice(0, limit)
+      .map(({ query, searches: count, avgResults, lastAt }) => ({ query, searches: count, avgResults, lastAt }))
+  };
+}
+
+module.exports = { createSearchLog, buildSearchReport };
@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+
+// ==========================================
+// ALBERO DELLE CATEGORIE (per sfogliare il catalogo)
+// ==========================================
+//
+// Ogni prodotto ha il percorso completo delle intestazioni del listino
+// (categoryPath, vedi build-products.js), ad esempio:
+//
+//   SERIE MODULARE SIEI ARTEn › Serie Modulare Schrack › Interruttori Automatici...
+//
+// I nodi hanno un id stabile ricavato dal percorso (resta lo stesso a ogni
+// ricaricamento, quindi i link /categories/:id restano validi), il numero di
+// prodotti del sottoalbero e i figli nell'ordine del listino. I prodotti
+// senza percorso usano sottocategoria e categoria.
+
+const PATH_SEPARATOR = " › ";
+
+function categoryId(path) {
+  return crypto.createHash("sha1").update(path.join(PATH_SEPARATOR)).digest("hex").slice(0, 10);
+}
+
+function productPath(product) {
+  if (Array.isArray(product.categoryPath) && product.categoryPath.length > 0) return product.categoryPath;
+  return [product.subcategory, product.category].filter(Boolean);
+}
+
+// `entries` come in buildSearchIndex: l'indice è l'id del prodotto
+function buildCategoryTree(entries) {
+  const roots = [];
+  const nodes = new Map();
+
+  entries.forEach((entry, id) => {
+    let siblings = roots;
+    let parent = null;
+    productPath(entry.product).forEach((name, depth, path) => {
+      const nodeId = categoryId(path.slice(0, depth + 1));
+      let node = nodes.get(nodeId);
+      if (!node) {
+        node = { id: nodeId, name, parent, children: [], productIds: [], count: 0 };
+        nodes.set(nodeId, node);
+        siblings.push(node);
+      }
+      node.count++;
+      siblings = node.children;
+      parent = node;
+    });
+    if (parent) parent.productIds.push(id);
+  });
+
+  return { roots, nodes };
+}
+
+function findCategory(tree, id) {
+  return tree.nodes.get(String(id || "")) || null;
+}
+
+// Categoria più specifica del prodotto (il nodo in fondo al suo percorso)
+function productCategory(tree, product) {
+  const path = productPath(product);
+  return path.length > 0 ? findCategory(tree, categoryId(path)) : null;
+}
+
+// Dalla radice al nodo: [{ id, name }, ...]
+function categoryTrail(node) {
+  const trail = [];
+  for (let current = node; current; current = current.parent) {
+    trail.unshift({ id: current.id, name: current.name });
+  }
+  return trail;
+}
+
+// Id dei prodotti del nodo e dei suoi discendenti, nell'ordine del listino
+function categoryProductIds(node) {
+  const ids = [];
+  const collect = (current) => {
+    ids.push(...current.productIds);
+    current.children.forEach(collect);
+  };
+  collect(node);
+  return ids.sort((a, b) => a - b);
+}
+
+// Nodo per le risposte JSON (senza riferimenti al padre e ai prodotti)
+function toCategoryView(node) {
+  return {
+    id: node.id,
+    name: node.name,
+    count: node.count,
+    children: node.children.map(toCategoryView)
+  };
+}
+
+module.exports = {
+  buildCategoryTree,
+  findCategory,
+  productCategory,
+  categoryTrail,
+  categoryProductIds,
+  toCategoryView,
+  productPath
+};
@@ -0,0 +1,55 @@
+const fs = require("fs");
+const path = require("path");
+
+// ==========================================
+// CODICI EQUIVALENTI DI ALTRI PRODUTTORI (facoltativi)
+// ==========================================
+//
+// Chi arriva con il codice di un concorrente (da un vecchio impianto o da
+// un capitolato) trova il nostro prodotto equivalente. La tabella sta in
+// backend/data/cross-references.json (CROSS_REFERENCES_PATH per cambiarlo):
+//
+// [
+//   { "reference": "S201-C16", "brand": "ABB", "code": "A3B48" },
+//   { "reference": "5SL6116-7", "brand": "Siemens", "code": "A3B48", "note": "1P curva C 16A" }
+// ]
+//
+// `reference` si confronta senza separatori ("S201C16" = "S201-C16"), `code`
+// è il nostro codice. Senza file non ci sono equivalenze; le righe con un
+// codice che non è nel listino vengono ignorate (vedi buildSearchIndex).
+
+const DEFAULT_CROSS_REFERENCES_PATH = path.join(__dirname, "..", "data", "cross-references.json");
+const TEXT_FIELDS = { reference: 60, brand: 60, code: 40, note: 200 };
+
+function cleanReference(row) {
+  const cleaned = {};
+  Object.entries(TEXT_FIELDS).forEach(([field, maxLength]) => {
+    const value = String(row[field] || "").trim();
+    if (value) cleaned[field] = value.slice(0, maxLength);
+  });
+  return cleaned;
+}
+
+// Righe { reference, brand?, code, note? }; lancia un errore se il file non è valido
+function loadCrossReferences(filePath = DEFAULT_CROSS_REFERENCES_PATH) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(data)) {
+    throw new Error(`${path.basename(filePath)} must contain a JSON array`);
+  }
+
+  const problems = [];
+  const references = data.map((row, index) => {
+    const cleaned = row && typeof row === "object" ? cleanReference(row) : {};
+    if (!cleaned.reference || !cleaned.code) problems.push(`row ${index + 1} needs "reference" and "code"`);
+    return cleaned;
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${path.basename(filePath)}: ${problems.join("; ")}`);
+  }
+  return references;
+}
+
+module.exports = { loadCrossReferences, DEFAULT_CROSS_REFERENCES_PATH };
@@ -0,0 +1,260 @@
+const fs = require("fs");
+const path = require("path");
+const { normalize } = require("./textUtils");
+
+// ==========================================
+// DIZIONARI DI RICERCA (sinonimi e correzioni automatiche)
+// ==========================================
+//
+// Due JSON modificabili a mano o dalle API admin:
+// - synonyms.json:        { "interruttore": ["switch", "deviatore"], ... }
+// - autocorrections.json: { "inturrettore": "interruttore", ... }
+//
+// Quelli in backend/data, versionati, sono i dizionari iniziali e non
+// vengono mai riscritti. Le modifiche si salvano in backend/data/dictionaries/
+// (non versionata; SYNONYMS_PATH e AUTOCORRECTIONS_PATH per cambiarli) e da
+// lì in poi si legge quel file; finché non esiste si usa quello iniziale.
+//
+// Termini ed espansioni si salvano normalizzati (minuscole, senza accenti),
+// come le query a cui vengono confrontati. Un dizionario non valido non
+// viene mai caricato né salvato: resta in uso la versione precedente.
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+const SEED_PATHS = {
+  synonyms: path.join(DATA_DIR, "synonyms.json"),
+  autoCorrections: path.join(DATA_DIR, "autocorrections.json")
+};
+const DEFAULT_PATHS = {
+  synonyms: path.join(DATA_DIR, "dictionaries", "synonyms.json"),
+  autoCorrections: path.join(DATA_DIR, "dictionaries", "autocorrections.json")
+};
+
+// File in cui si salvano i dizionari; quelli non indicati restano i predefiniti
+function dictionaryPaths({ synonyms, autoCorrections } = {}) {
+  return {
+    synonyms: synonyms || DEFAULT_PATHS.synonyms,
+    autoCorrections: autoCorrections || DEFAULT_PATHS.autoCorrections
+  };
+}
+
+// `status` è il codice HTTP con cui le API admin riportano l'errore
+function dictionaryError(message, details = [], status = 400) {
+  const error = new Error(message);
+  error.details = details;
+  error.status = status;
+  return error;
+}
+
+function readJsonObject(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw dictionaryError(`${path.basename(filePath)} must contain a JSON object`);
+  }
+  return data;
+}
+
+// Un termine per riga, con le espansioni sulla stessa riga (come i file
+// iniziali): aggiungere un sinonimo cambia una riga sola
+function formatDictionary(data) {
+  const lines = Object.entries(data).map(([key, value]) => {
+    const formatted = Array.isArray(value) ? `[${value.map((item) => JSON.stringify(item)).join(", ")}]` : JSON.stringify(value);
+    return `  ${JSON.stringify(key)}: ${formatted}`;
+  });
+  return lines.length > 0 ? `{\n${lines.join(",\n")}\n}\n` : "{}\n";
+}
+
+// Scrittura atomica: un crash a metà non lascia un file troncato
+function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, formatDictionary(data));
+  fs.renameSync(tmpPath, filePath);
+}
+
+function normalizeSynonyms(raw) {
+  const synonyms = {};
+  Object.entries(raw).forEach(([term, expansions]) => {
+    const key = normalize(term);
+    const list = Array.isArray(expansions) ? expansions : [expansions];
+    const values = list.map((value) => normalize(value));
+    synonyms[key] = [...new Set([...(synonyms[key] || []), ...values])];
+  });
+  return synonyms;
+}
+
+function normalizeAutoCorrections(raw) {
+  const autoCorrections = {};
+  Object.entries(raw).forEach(([wrong, correct]) => {
+    autoCorrections[normalize(wrong)] = normalize(correct);
+  });
+  return autoCorrections;
+}
+
+// Primo ciclo trovato nel grafo termine → espansioni, come elenco di nodi
+function findCycle(edges) {
+  const state = new Map(); // 1 = in visita, 2 = completato
+  const stack = [];
+
+  const visit = (node) => {
+    state.set(node, 1);
+    stack.push(node);
+    for (const next of edges.get(node) || []) {
+      if (state.get(next) === 1) return [...stack.slice(stack.indexOf(next)), next];
+      if (!state.has(next)) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    state.set(node, 2);
+    return null;
+  };
+
+  for (const node of edges.keys()) {
+    if (!state.has(node)) {
+      const cycle = visit(node);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+// Elenco dei problemi (vuoto se i dizionari sono validi)
+function validateDictionaries({ synonyms, autoCorrections }) {
+  const problems = [];
+
+  Object.entries(synonyms).forEach(([term, expansions]) => {
+    if (!term) problems.push("Synonym with an empty term");
+    if (expansions.length === 0) problems.push(`Synonym "${term}" has no expansions`);
+    if (expansions.some((value) => !value)) problems.push(`Synonym "${term}" has an empty expansion`);
+    if (expansions.includes(term)) problems.push(`Synonym "${term}" expands to itself`);
+  });
+
+  Object.entries(autoCorrections).forEach(([wrong, correct]) => {
+    if (!wrong) problems.push("Correction with an empty term");
+    if (!correct) problems.push(`Correction "${wrong}" is empty`);
+    if (wrong && wrong === correct) problems.push(`Correction "${wrong}" corrects to itself`);
+  });
+
+  // I sinonimi si applicano nei due sensi: un ciclo (a → b → a) crea solo
+  // varianti ridondanti, nelle correzioni farebbe oscillare la query
+  const synonymCycle = findCycle(
+    new Map(
+      Object.entries(synonyms).map(([term, expansions]) => [term, expansions.filter((value) => value !== term)])
+    )
+  );
+  if (synonymCycle) problems.push(`Synonym cycle: ${synonymCycle.join(" → ")}`);
+
+  const correctionCycle = findCycle(
+    new Map(
+      Object.entries(autoCorrections)
+        .filter(([wrong, correct]) => wrong !== correct)
+        .map(([wrong, correct]) => [wrong, [correct]])
+    )
+  );
+  if (correctionCycle) problems.push(`Correction cycle: ${correctionCycle.join(" → ")}`);
+
+  return problems;
+}
+
+function checkDictionaries(dictionaries) {
+  const problems = validateDictionaries(dictionaries);
+  if (problems.length > 0) {
+    throw dictionaryError("Invalid search dictionaries", problems);
+  }
+  return dictionaries;
+}
+
+// Il file salvato se esiste, altrimenti quello iniziale
+function readDictionary(paths, kind) {
+  return readJsonObject(fs.existsSync(paths[kind]) ? paths[kind] : SEED_PATHS[kind]);
+}
+
+// `paths` come restituiti da dictionaryPaths()
+function loadDictionaries(paths = DEFAULT_PATHS) {
+  return {
+    ...checkDictionaries({
+      synonyms: normalizeSynonyms(readDictionary(paths, "synonyms")),
+      autoCorrections: normalizeAutoCorrections(readDictionary(paths, "autoCorrections"))
+    }),
+    loadedAt: new Date().toISOString()
+  };
+}
+
+// Valida e salva; restituisce i dizionari pronti da usare
+function saveDictionaries({ synonyms, autoCorrections }, paths = DEFAULT_PATHS) {
+  checkDictionaries({ synonyms, autoCorrections });
+  writeJsonAtomic(paths.synonyms, synonyms);
+  writeJsonAtomic(paths.autoCorrections, autoCorrections);
+  return { synonyms, autoCorrections, loadedAt: new Date().toISOString() };
+}
+
+// ==========================================
+// MODIFICHE (restituiscono nuovi dizionari, da salvare con saveDictionaries)
+// ==========================================
+
+function addSynonyms(dictionaries, term, expansions) {
+  const key = normalize(term);
+  const values = [].concat(expansions || []).map((value) => normalize(value));
+  if (!key || values.length === 0 || values.some((value) => !value)) {
+    throw dictionaryError("A synonym needs a term and at least one non-empty expansion");
+  }
+
+  const current = dictionaries.synonyms[key] || [];
+  return {
+    ...dictionaries,
+    synonyms: { ...dictionaries.synonyms, [key]: [...new Set([...current, ...values])] }
+  };
+}
+
+// Senza `expansion` rimuove il termine con tutte le sue espansioni
+function removeSynonym(dictionaries, term, expansion) {
+  const key = normalize(term);
+  const current = dictionaries.synonyms[key];
+  if (!current) throw dictionaryError(`Synonym "${key}" not found`, [], 404);
+
+  const synonyms = { ...dictionaries.synonyms };
+  if (expansion === undefined) {
+    delete synonyms[key];
+  } else {
+    const value = normalize(expansion);
+    if (!current.includes(value)) {
+      throw dictionaryError(`Synonym "${key}" has no expansion "${value}"`, [], 404);
+    }
+    const remaining = current.filter((item) => item !== value);
+    if (remaining.length > 0) synonyms[key] = remaining;
+    else delete synonyms[key];
+  }
+  return { ...dictionaries, synonyms };
+}
+
+function addCorrection(dictionaries, wrong, correct) {
+  const key = normalize(wrong);
+  const value = normalize(correct);
+  if (!key || !value) {
+    throw dictionaryError("A correction needs both the wrong and the correct spelling");
+  }
+  return { ...dictionaries, autoCorrections: { ...dictionaries.autoCorrections, [key]: value } };
+}
+
+function removeCorrection(dictionaries, wrong) {
+  const key = normalize(wrong);
+  if (!(key in dictionaries.autoCorrections)) {
+    throw dictionaryError(`Correction "${key}" not found`, [], 404);
+  }
+  const autoCorrections = { ...dictionaries.autoCorrections };
+  delete autoCorrections[key];
+  return { ...dictionaries, autoCorrections };
+}
+
+module.exports = {
+  dictionaryPaths,
+  loadDictionaries,
+  saveDictionaries,
+  validateDictionaries,
+  addSynonyms,
+  removeSynonym,
+  addCorrection,
+  removeCorrection
+};
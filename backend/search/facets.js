@@ -0,0 +1,189 @@
+// ==========================================
+// FILTRI E FACET SUI RISULTATI DI RICERCA
+// ==========================================
+//
+// I facet sono "disgiuntivi": i conteggi di un campo si calcolano
+// applicando tutti i filtri tranne quello sul campo stesso, così chi ha
+// scelto "curva C" vede ancora quanti prodotti ci sono in curva B e D.
+
+// Attributi tecnici estratti da build-products.js (vedi data/attributes.js)
+const ATTRIBUTE_FACETS = [
+  "amperes",
+  "breakingCapacityKa",
+  "sensitivityMa",
+  "curve",
+  "poles",
+  "modules",
+  "voltage",
+  "ipRating",
+  "sectionMm2"
+];
+
+const TEXT_FACETS = ["category", "subcategory"];
+
+const PRICE_RANGES = [
+  [0, 10],
+  [10, 25],
+  [25, 50],
+  [50, 100],
+  [100, 250],
+  [250, 500],
+  [500, 1000],
+  [1000, Infinity]
+];
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return [].concat(value).map((item) => String(item).trim()).filter(Boolean);
+}
+
+function toNumber(value) {
+  const number = Number(String(value).replace(",", "."));
+  return Number.isFinite(number) ? number : null;
+}
+
+function normalizeAttributeValue(field, value) {
+  if (field === "curve") return String(value).toUpperCase();
+  return toNumber(value);
+}
+
+// Legge i filtri dai parametri della richiesta. I valori multipli si
+// passano ripetendo il parametro (?curve=B&curve=C) perché categorie e
+// valori decimali ("4,5") contengono già la virgola.
+function parseFilters(params = {}) {
+  const filters = { attributes: {} };
+
+  TEXT_FACETS.forEach((field) => {
+    const values = toList(params[field]);
+    if (values.length) filters[field] = values;
+  });
+
+  const priceMin = toNumber(params.priceMin);
+  const priceMax = toNumber(params.priceMax);
+  if (params.priceMin !== undefined && priceMin !== null) filters.priceMin = priceMin;
+  if (params.priceMax !== undefined && priceMax !== null) filters.priceMax = priceMax;
+
+  ATTRIBUTE_FACETS.forEach((field) => {
+    const values = toList(params[field])
+      .map((value) => normalizeAttributeValue(field, value))
+      .filter((value) => value !== null);
+    if (values.length) filters.attributes[field] = values;
+  });
+
+  return filters;
+}
+
+function priceRangeLabel([min, max]) {
+  return max === Infinity ? `${min}+` : `${min}-${max}`;
+}
+
+// Elenco dei filtri (per nome facet) che la entry NON rispetta
+function failedFilters(entry, filters) {
+  const failed = [];
+
+  TEXT_FACETS.forEach((field) => {
+    if (filters[field] && !filters[field].includes(entry.product[field] || "")) {
+      failed.push(field);
+    }
+  });
+
+  if (filters.priceMin !== undefined || filters.priceMax !== undefined) {
+    const price = entry.price;
+    const tooLow = filters.priceMin !== undefined && (price === null || price < filters.priceMin);
+    const tooHigh = filters.priceMax !== undefined && (price === null || price > filters.priceMax);
+    if (tooLow || tooHigh) failed.push("price");
+  }
+
+  const attributes = entry.product.attributes || {};
+  Object.entries(filters.attributes || {}).forEach(([field, values]) => {
+    if (!values.includes(attributes[field])) failed.push(field);
+  });
+
+  return failed;
+}
+
+function createCounters() {
+  const counters = { price: new Map() };
+  [...TEXT_FACETS, ...ATTRIBUTE_FACETS].forEach((field) => {
+    counters[field] = new Map();
+  });
+  return counters;
+}
+
+function increment(map, value) {
+  map.set(value, (map.get(value) || 0) + 1);
+}
+
+function countEntry(counters, entry, onlyField) {
+  const count = (field) => !onlyField || onlyField === field;
+
+  TEXT_FACETS.forEach((field) => {
+    const value = entry.product[field];
+    if (value && count(field)) increment(counters[field], value);
+  });
+
+  if (entry.price !== null && count("price")) {
+    const range = PRICE_RANGES.find(([min, max]) => entry.price >= min && entry.price < max);
+    if (range) increment(counters.price, priceRangeLabel(range));
+  }
+
+  const attributes = entry.product.attributes || {};
+  ATTRIBUTE_FACETS.forEach((field) => {
+    if (attributes[field] !== undefined && count(field)) increment(counters[field], attributes[field]);
+  });
+}
+
+function sortFacetValues(map, byValue) {
+  return [...map.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => {
+      if (byValue) return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+      return b.count - a.count || String(a.value).localeCompare(String(b.value));
+    });
+}
+
+function serializeFacets(counters) {
+  const facets = {};
+
+  TEXT_FACETS.forEach((field) => {
+    facets[field] = sortFacetValues(counters[field], false);
+  });
+
+  facets.price = PRICE_RANGES
+    .map((range) => ({
+      value: priceRangeLabel(range),
+      min: range[0],
+      max: range[1] === Infinity ? null : range[1],
+      count: counters.price.get(priceRangeLabel(range)) || 0
+    }))
+    .filter((bucket) => bucket.count > 0);
+
+  // Valori tecnici in ordine naturale (6A, 10A, 16A...) invece che per conteggio
+  ATTRIBUTE_FACETS.forEach((field) => {
+    facets[field] = sortFacetValues(counters[field], true);
+  });
+
+  return facets;
+}
+
+// Filtra i match ({ entry, score }) e calcola i facet sull'insieme completo
+function applyFilters(matches, filters = {}) {
+  const counters = createCounters();
+  const kept = [];
+
+  matches.forEach((match) => {
+    const failed = failedFilters(match.entry, filters);
+
+    if (failed.length === 0) {
+      kept.push(match);
+      countEntry(counters, match.entry);
+    } else if (failed.length === 1) {
+      // Esclusa da un solo filtro: conta solo per il facet di quel filtro
+      countEntry(counters, match.entry, failed[0]);
+    }
+  });
+
+  return { matches: kept, facets: serializeFacets(counters) };
+}
+
+module.exports = { parseFilters, applyFilters };
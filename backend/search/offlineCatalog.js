@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+
+// ==========================================
+// CATALOGO COMPATTO PER L'USO OFFLINE (PWA)
+// ==========================================
+//
+// Il frontend lo salva nella cache del service worker e, senza rete, cerca
+// sul telefono con la stessa logica del server (frontend/offlineSearch.js).
+// Per stare sotto il megabyte ogni prodotto è una riga
+//
+//   [codice, nome, categoria, sottocategoria, sigla, prezzo, descrizione]
+//
+// dove categoria e sottocategoria sono posizioni in `categories` e i campi
+// vuoti in fondo alla riga si omettono. Con il catalogo viaggiano i
+// dizionari di ricerca e i codici equivalenti [riferimento, marca, codice].
+
+const PRODUCT_FIELDS = ["code", "name", "category", "subcategory", "serial", "price", "description"];
+
+function buildOfflineCatalog(index, dictionaries) {
+  const categories = [];
+  const categoryPositions = new Map();
+  const categoryPosition = (name) => {
+    if (!categoryPositions.has(name)) {
+      categoryPositions.set(name, categories.length);
+      categories.push(name);
+    }
+    return categoryPositions.get(name);
+  };
+
+  const products = index.entries.map(({ product }) => {
+    const row = [
+      product.code,
+      product.name,
+      categoryPosition(product.category || ""),
+      categoryPosition(product.subcategory || ""),
+      product.serial || "",
+      product.price || "",
+      product.description || ""
+    ];
+    while (row.length > 2 && row[row.length - 1] === "") row.pop();
+    return row;
+  });
+
+  const crossReferences = [];
+  index.crossReferenceIndex.forEach((matches) => {
+    matches.forEach(({ id, reference, brand }) => {
+      crossReferences.push([reference, brand || "", index.entries[id].product.code]);
+    });
+  });
+
+  return {
+    count: products.length,
+    fields: PRODUCT_FIELDS,
+    categories,
+    products,
+    crossReferences,
+    synonyms: dictionaries.synonyms,
+    autoCorrections: dictionaries.autoCorrections
+  };
+}
+
+// Corpo JSON ed ETag (hash del contenuto: cambia solo se cambiano dati o dizionari)
+function serializeOfflineCatalog(catalog) {
+  const body = JSON.stringify(catalog);
+  const etag = `"${crypto.createHash("sha1").update(body).digest("hex").slice(0, 16)}"`;
+  return { body, etag };
+}
+
+module.exports = { buildOfflineCatalog, serializeOfflineCatalog };
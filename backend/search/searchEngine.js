@@ -1,360 +1,234 @@
+const {
+  normalize,
+  tokenize,
+  expandWithSynonyms,
+  autoCorrect,
+  classifyIntent,
+  scoreProduct,
+  matchedIdentifier,
+  searchWithFallback
+} = require("../../shared/searchRanking");
+const {
+  buildSearchIndex,
+  indexCandidates,
+  findProductByCode,
+  findByCodeOrSerial,
+  findSiblings
+} = require("./searchIndex");
+const { parseFilters, applyFilters } = require("./facets");
+const { loadDictionaries } = require("./dictionaries");
+const { suggestCorrection } = require("./spelling");
+const { suggestCompletions } = require("./suggest");
+
+// Sotto questo numero di risultati si propone una correzione della query
+const SUGGESTION_THRESHOLD = 3;
+// Match tenuti in memoria dalle ricerche recenti (vedi cachedMatches)
+const MATCH_CACHE_LIMIT = 100000;
+// Indice → { dictionaries, queries, size }: si svuota quando cambiano indice o dizionari
+const matchCaches = new WeakMap();
+// Combinazioni di filtri tenute per ogni ricerca in cache
+const FILTER_CACHE_SIZE = 8;
+
 // ==========================================
 // ENTERPRISE SEARCH ENGINE (Standard Aziendale)
 // ==========================================
+//
+// Normalizzazione, intento, dizionari, punteggio (scoreProduct) e fasi della
+// ricerca (searchWithFallback) stanno in shared/searchRanking.js, condiviso
+// con la ricerca offline del browser (frontend/offlineSearch.js). Qui le fasi
+// prendono i candidati dall'indice invertito (indexCandidates in searchIndex.js)
+// invece di scorrere tutto il listino.
 
-// DIZIONARIO SINONIMI AZIENDALI
-const SYNONYMS = {
-  // Prodotti comuni
-  "interruttore": ["switch", "pulsante", "deviatore"],
-  "presa": ["socket", "spina"],
-  "lampada": ["lampadina", "led", "luce", "bulbo"],
-  "cavo": ["filo", "cavetto", "cable"],
-  "scatola": ["box", "contenitore"],
-  "quadro": ["centralino", "pannello"],
-  "relè": ["rele", "relay"],
-  "trasformatore": ["trafo"],
-  "magnetotermico": ["salvavita", "differenziale"],
-  
-  // Abbreviazioni comuni
-  "btc": ["bticino"],
-  "gewiss": ["gw"],
-  "abb": ["abb"],
-  
-  // Errori comuni
-  "inturrettore": ["interruttore"],
-  "interruttorw": ["interruttore"],
-  "lampadins": ["lampadina"],
-  "quadr": ["quadro"]
-};
+// Sinonimi e correzioni automatiche stanno in backend/data (vedi
+// dictionaries.js); chi chiama può passare i dizionari già caricati,
+// altrimenti si leggono dai file alla prima ricerca
+let defaultDictionaries = null;
 
-// CORREZIONI AUTOMATICHE ERRORI COMUNI
-const AUTO_CORRECTIONS = {
-  "inturrettore": "interruttore",
-  "interruttorw": "interruttore",
-  "lampadins": "lampadina",
-  "trasofrmatore": "trasformatore",
-  "magnetotermic": "magnetotermico",
-  "btcino": "bticino",
-  "gewis": "gewiss"
-};
-
-function normalize(value) {
-  return String(value || "")
-    .toLowerCase()
-    .normalize("NFD")
-    .replace(/\p{Diacritic}/gu, "")
-    .replace(/[^a-z0-9\s\-_.]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
+function resolveDictionaries(dictionaries) {
+  if (dictionaries) return dictionaries;
+  if (!defaultDictionaries) defaultDictionaries = loadDictionaries();
+  return defaultDictionaries;
 }
 
-// Espansione sinonimi (l'utente dice "interruttore", cerca anche "switch")
-function expandWithSynonyms(query) {
-  const expanded = [query];
-  const normalized = normalize(query);
+// Preprocessing comune: intento, correzione e varianti con sinonimi
+function prepareQuery(query, dictionaries) {
+  const { synonyms, autoCorrections } = resolveDictionaries(dictionaries);
   
-  // Cerca sinonimi
-  for (const [key, synonyms] of Object.entries(SYNONYMS)) {
-    if (normalized.includes(key)) {
-      synonyms.forEach(syn => {
-        const expandedQuery = normalized.replace(key, syn);
-        expanded.push(expandedQuery);
-      });
-    }
-    
-    // Controlla anche il contrario
-    synonyms.forEach(syn => {
-      if (normalized.includes(syn)) {
-        const expandedQuery = normalized.replace(syn, key);
-        expanded.push(expandedQuery);
-      }
-    });
-  }
+  // 1. Classificazione intento automatica
+  const intent = classifyIntent(query);
   
-  return [...new Set(expanded)]; // Rimuovi duplicati
-}
-
-// Correzione automatica errori comuni
-function autoCorrect(query) {
-  let corrected = query;
-  const normalized = normalize(query);
+  // 2. Correzione automatica
+  const correctedQuery = autoCorrect(query, autoCorrections);
   
-  for (const [error, correction] of Object.entries(AUTO_CORRECTIONS)) {
-    if (normalized.includes(error)) {
-      corrected = normalized.replace(error, correction);
-    }
-  }
+  // 3. Espansione con sinonimi
+  const expandedQueries = expandWithSynonyms(correctedQuery, synonyms);
   
-  return corrected;
+  return { intent, correctedQuery, expandedQueries };
 }
 
-// Classificazione intento automatica
-function classifyIntent(query) {
-  const normalized = normalize(query);
+// Funzione principale con preprocessing intelligente
+// `index` è il risultato di buildSearchIndex(products), `dictionaries` quello
+// di loadDictionaries() (facoltativo)
+function searchProducts(index, rawQuery, dictionaries) {
+  const query = normalize(rawQuery);
+  if (!query || !index) return [];
   
-  // È un codice? (contiene numeri, breve, pochi spazi)
-  const hasNumbers = /\d/.test(normalized);
-  const hasLetters = /[a-z]/.test(normalized);
-  const isShort = normalized.length <= 15;
-  const fewWords = normalized.split(" ").length <= 2;
+  const { intent, expandedQueries } = prepareQuery(query, dictionaries);
   
-  if (hasNumbers && hasLetters && isShort && fewWords) {
-    return "CODE"; // Probabilmente un codice prodotto
+  // 4. Ricerca con fallback intelligenti (massimo 5 risultati)
+  return searchWithFallback(indexCandidates(index), expandedQueries, intent)
+    .slice(0, 5)
+    .map(item => item.entry.product);
+}
+
+function findMatches(index, query, dictionaries) {
+  const prepared = prepareQuery(query, dictionaries);
+  const matches = searchWithFallback(indexCandidates(index), prepared.expandedQueries, prepared.intent, { exhaustive: true });
+  return { ...prepared, matches };
+}
+
+// Ricerche esaustive recenti, per indice e dizionari: le pagine successive,
+// i cambi di filtro e il "Forse cercavi" non rifanno la ricerca. Restano le
+// query usate più di recente finché i match in memoria non superano il limite.
+function cachedMatches(index, query, dictionaries) {
+  const resolved = resolveDictionaries(dictionaries);
+  let cache = matchCaches.get(index);
+  if (!cache || cache.dictionaries !== resolved) {
+    cache = { dictionaries: resolved, queries: new Map(), size: 0 };
+    matchCaches.set(index, cache);
   }
-  
-  if (hasNumbers && !hasLetters) {
-    return "CODE"; // Solo numeri = codice
+
+  let found = cache.queries.get(query);
+  if (found) {
+    cache.queries.delete(query);
+  } else {
+    found = findMatches(index, query, resolved);
+    cache.size += found.matches.length;
   }
-  
-  if (!hasNumbers && normalized.split(" ").length === 1) {
-    return "CATEGORY"; // Una parola senza numeri = categoria
+  // In fondo alla Map la query usata per ultima: si scartano le più vecchie
+  cache.queries.set(query, found);
+
+  for (const [oldest, evicted] of cache.queries) {
+    if (cache.size <= MATCH_CACHE_LIMIT || oldest === query) break;
+    cache.queries.delete(oldest);
+    cache.size -= evicted.matches.length;
   }
-  
-  return "PRODUCT"; // Tutto il resto = nome prodotto
+  return found;
 }
 
-// Tolleranza errori di battitura (Levenshtein semplificato)
-function fuzzyMatch(str, pattern) {
-  if (str.includes(pattern)) return true;
-  if (pattern.length < 3) return false;
-  
-  // Controllo sotto-stringhe con 1 carattere di differenza
-  for (let i = 0; i <= str.length - pattern.length; i++) {
-    let diff = 0;
-    for (let j = 0; j < pattern.length; j++) {
-      if (str[i + j] !== pattern[j]) diff++;
-      if (diff > 1) break;
-    }
-    if (diff <= 1) return true;
+// Filtri e facet di una ricerca in cache: "Mostra altri" chiede le pagine
+// successive con gli stessi filtri, che non serve ricalcolare
+function cachedFilters(prepared, filters) {
+  if (!prepared.filtered) prepared.filtered = new Map();
+  const key = JSON.stringify(filters);
+
+  let filtered = prepared.filtered.get(key);
+  if (!filtered) {
+    filtered = applyFilters(prepared.matches, filters);
+    if (prepared.filtered.size >= FILTER_CACHE_SIZE) prepared.filtered.delete(prepared.filtered.keys().next().value);
+    prepared.filtered.set(key, filtered);
   }
-  return false;
+  return filtered;
 }
 
-// Scoring enterprise con intelligenza commerciale
-function scoreProduct(product, query, tokens, intent) {
-  const code = normalize(product.code);
-  const name = normalize(product.name);
-  const category = normalize(product.category || "");
-  const description = normalize(product.description || "");
-  
-  let score = 0;
-  
-  // BOOST basato sull'intento
-  const intentBoost = {
-    CODE: { code: 3.0, name: 1.0, category: 0.3 },
-    PRODUCT: { code: 1.0, name: 3.0, category: 1.0 },
-    CATEGORY: { code: 0.5, name: 1.5, category: 3.0 }
-  };
-  
-  const boost = intentBoost[intent] || intentBoost.PRODUCT;
-  
-  // FASE 1: Codici prodotto
-  if (code === query) return 10000 * boost.code; // Match perfetto
-  if (code.startsWith(query)) score += 5000 * boost.code;
-  if (code.includes(query)) score += 2500 * boost.code;
-  if (fuzzyMatch(code, query)) score += 1200 * boost.code;
-  
-  // FASE 2: Nomi prodotto
-  if (name === query) score += 3000 * boost.name;
-  if (name.startsWith(query)) score += 1500 * boost.name;
-  if (name.includes(query)) score += 800 * boost.name;
-  if (fuzzyMatch(name, query)) score += 400 * boost.name;
-  
-  // FASE 3: Categorie
-  if (category.includes(query)) score += 600 * boost.category;
-  
-  // FASE 4: Matching multi-token (query lunghe)
-  if (tokens.length > 1) {
-    let tokenScore = 0;
-    let tokenMatches = 0;
-    
-    tokens.forEach((token) => {
-      if (code.includes(token)) {
-        tokenMatches++;
-        tokenScore += 300 * boost.code;
-      } else if (name.includes(token)) {
-        tokenMatches++;
-        tokenScore += 150 * boost.name;
-      } else if (category.includes(token)) {
-        tokenMatches++;
-        tokenScore += 100 * boost.category;
-      } else if (description.includes(token)) {
-        tokenMatches++;
-        tokenScore += 50;
-      }
-    });
-    
-    // Bonus se tutti i token matchano
-    if (tokenMatches === tokens.length) {
-      tokenScore *= 2;
-    }
-    
-    score += tokenScore;
-  }
-  
-  // FASE 5: Descrizioni (ultima risorsa)
-  if (score < 500 && description.includes(query)) {
-    score += 200;
-  }
-  
-  return score;
+// "Forse cercavi": solo se la query trova pochi prodotti e la versione
+// corretta con il vocabolario del listino ne trova di più
+function findSuggestion(index, query, matchCount, dictionaries) {
+  if (matchCount >= SUGGESTION_THRESHOLD) return null;
+
+  const suggestion = suggestCorrection(index.spelling, query);
+  if (!suggestion) return null;
+
+  return cachedMatches(index, suggestion, dictionaries).matches.length > matchCount ? suggestion : null;
 }
 
-// Ricerca con fallback intelligenti (MAI zero risultati)
-function searchWithFallback(products, queries, intent) {
-  const tokens = queries[0].split(" ").filter(Boolean);
-  const results = [];
-  
-  // Prova tutte le varianti della query (originale + sinonimi + correzioni)
-  for (const query of queries) {
-    // FASE 1: Cerca codici esatti o quasi-esatti (early stop)
-    for (const product of products) {
-      const code = normalize(product.code);
-      
-      if (code === query) {
-        // Match perfetto al 100% → mostra SOLO questo
-        return [product];
-      }
-      
-      if (code.startsWith(query) || code.includes(query)) {
-        const score = scoreProduct(product, query, tokens, intent);
-        if (!results.some(r => r.product.code === product.code)) {
-          results.push({ product, score });
-        }
-        
-        // Se trovi match molto forti nei codici, limita subito
-        if (results.length >= 3 && score >= 2500) break;
-      }
-    }
-    
-    // Se abbiamo già risultati forti (90%+ confidence), fermiamoci
-    if (results.length > 0 && results[0].score >= 5000) {
-      return results
-        .sort((a, b) => b.score - a.score)
-        .slice(0, 1)
-        .map(item => item.product);
-    }
-    
-    // FASE 2: Cerca nei nomi prodotto
-    if (results.length < 5) {
-      for (const product of products) {
-        if (results.some(r => r.product.code === product.code)) continue;
-        
-        const name = normalize(product.name);
-        
-        if (name.includes(query) || fuzzyMatch(name, query)) {
-          const score = scoreProduct(product, query, tokens, intent);
-          if (score > 0) {
-            results.push({ product, score });
-          }
-          
-          // Limita ricerca appena hai match decenti
-          if (results.length >= 10) break;
-        }
-      }
-    }
-    
-    // Se abbiamo risultati decenti, usciamo
-    if (results.length >= 5) break;
-  }
-  
-  // FASE 3: Ricerca multi-token più ampia (solo se serve)
-  if (results.length < 5 && tokens.length > 1) {
-    for (const product of products) {
-      if (results.some(r => r.product.code === product.code)) continue;
-      
-      const score = scoreProduct(product, queries[0], tokens, intent);
-      if (score >= 300) { // Threshold ridotto per fallback
-        results.push({ product, score });
-      }
-      
-      if (results.length >= 15) break;
-    }
-  }
-  
-  // FASE 4: Categorie (fallback se intento sconosciuto)
-  if (results.length < 3) {
-    for (const product of products) {
-      if (results.some(r => r.product.code === product.code)) continue;
-      
-      const category = normalize(product.category || "");
-      if (category.includes(queries[0])) {
-        const score = scoreProduct(product, queries[0], tokens, intent);
-        if (score > 0) {
-          results.push({ product, score });
-        }
-      }
-      
-      if (results.length >= 10) break;
-    }
-  }
-  
-  // FASE 5: Descrizioni (ultima risorsa, solo se non abbiamo NULLA)
-  if (results.length < 2 && queries[0].length > 4) {
-    for (const product of products) {
-      if (results.some(r => r.product.code === product.code)) continue;
-      
-      const description = normalize(product.description || "");
-      if (description.includes(queries[0])) {
-        const score = scoreProduct(product, queries[0], tokens, intent);
-        if (score > 0) {
-          results.push({ product, score });
-        }
-      }
-      
-      if (results.length >= 10) break;
-    }
-  }
-  
-  // FASE 6: FALLBACK FINALE - se ancora nessun risultato, cerca per token singoli
-  if (results.length === 0 && tokens.length > 1) {
-    for (const token of tokens) {
-      if (token.length < 3) continue; // Salta token troppo corti
-      
-      for (const product of products) {
-        if (results.some(r => r.product.code === product.code)) continue;
-        
-        const code = normalize(product.code);
-        const name = normalize(product.name);
-        const category = normalize(product.category || "");
-        
-        if (code.includes(token) || name.includes(token) || category.includes(token)) {
-          results.push({ 
-            product, 
-            score: 100 // Score basso = risultato fallback
-          });
-        }
-        
-        if (results.length >= 5) break;
-      }
-      
-      if (results.length > 0) break;
-    }
+// Perché un prodotto è nei risultati: intento, variante della query che lo
+// ha trovato (originale, corretta, sinonimo), fase e punti per campo
+function explainMatch(match, query, prepared) {
+  const { intent, correctedQuery, expandedQueries } = prepared;
+  const contributions = [];
+
+  if (match.phase === "single-token") {
+    contributions.push({ field: "fallback", rule: `token:${match.query}`, points: match.score });
+  } else if (match.phase === "cross-reference") {
+    const { reference, brand } = match.reference;
+    contributions.push({ field: "crossReference", rule: `exact:${[brand, reference].filter(Boolean).join(" ")}`, points: match.score });
+  } else {
+    scoreProduct(match.entry, match.query, tokenize(expandedQueries[0]), intent, contributions);
   }
-  
-  // OUTPUT: Massimo 5 risultati, ordinati per rilevanza
-  return results
-    .sort((a, b) => b.score - a.score)
-    .slice(0, 5)
-    .map(item => item.product);
+
+  let variant = "synonym";
+  if (match.phase === "single-token") variant = "token";
+  else if (match.query === query) variant = "original";
+  else if (match.query === correctedQuery) variant = "autocorrected";
+
+  return {
+    intent,
+    phase: match.phase,
+    variant,
+    matchedQuery: match.query,
+    score: match.score,
+    contributions
+  };
 }
 
-// Funzione principale con preprocessing intelligente
-function searchProducts(products, rawQuery) {
+// Prodotto della pagina: una copia con `matchedBy` (e `explain`) se servono
+function resultProduct(match, query, prepared, explain) {
+  const matchedBy = matchedIdentifier(match);
+  if (!matchedBy && !explain) return match.entry.product;
+  return {
+    ...match.entry.product,
+    ...(matchedBy ? { matchedBy } : {}),
+    ...(explain ? { explain: explainMatch(match, query, prepared) } : {})
+  };
+}
+
+// Ricerca con filtri, facet e paginazione: `total` e i facet si calcolano
+// su tutti i match, `results` è solo la pagina richiesta.
+// I prodotti trovati per codice, sigla o codice equivalente hanno `matchedBy`
+// ({ type, value, brand? }, vedi matchedIdentifier).
+// Con `explain` ogni risultato è una copia del prodotto con il campo
+// `explain` (vedi explainMatch) e la risposta riporta le varianti della query.
+function searchCatalog(index, rawQuery, { filters = {}, limit = 5, offset = 0, dictionaries, explain = false } = {}) {
   const query = normalize(rawQuery);
-  if (!query) return [];
+  if (!query || !index) {
+    return { results: [], total: 0, facets: applyFilters([], filters).facets, suggestion: null };
+  }
   
-  // 1. Classificazione intento automatica
-  const intent = classifyIntent(query);
+  const prepared = cachedMatches(index, query, dictionaries);
+  const filtered = cachedFilters(prepared, filters);
+  const page = filtered.matches.slice(offset, offset + limit);
+  if (prepared.suggestion === undefined) {
+    prepared.suggestion = findSuggestion(index, query, prepared.matches.length, dictionaries);
+  }
   
-  // 2. Correzione automatica
-  const correctedQuery = autoCorrect(query);
+  const response = {
+    results: page.map(match => resultProduct(match, query, prepared, explain)),
+    total: filtered.matches.length,
+    facets: filtered.facets,
+    suggestion: prepared.suggestion
+  };
   
-  // 3. Espansione con sinonimi
-  const expandedQueries = expandWithSynonyms(correctedQuery);
+  if (explain) {
+    response.explain = {
+      query,
+      intent: prepared.intent,
+      correctedQuery: prepared.correctedQuery,
+      variants: prepared.expandedQueries,
+      matched: prepared.matches.length
+    };
+  }
   
-  // 4. Ricerca con fallback intelligenti
-  return searchWithFallback(products, expandedQueries, intent);
+  return response;
 }
 
-module.exports = { searchProducts };
+module.exports = {
+  searchProducts,
+  searchCatalog,
+  buildSearchIndex,
+  parseFilters,
+  findProductByCode,
+  findByCodeOrSerial,
+  findSiblings,
+  suggestCompletions
+};
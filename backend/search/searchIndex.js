@@ -0,0 +1,349 @@
+const { normalize, tokenize, parsePrice } = require("./textUtils");
+const { compactKey, serialKeys } = require("../../shared/searchRanking");
+const { buildSpellingDictionary } = require("./spelling");
+const { buildSuggestionIndex } = require("./suggest");
+const { buildCategoryTree } = require("./categoryTree");
+
+// ==========================================
+// INDICE DI RICERCA (costruito una volta al caricamento)
+// ==========================================
+//
+// Struttura:
+// - entries: un record per prodotto con i campi già normalizzati e il prezzo numerico
+// - fields:  per ogni campo, posting list (token → id prodotti ordinati)
+//            e indice n-grammi del vocabolario (n-gramma → token)
+// - codeIndex / codeTrie: lookup esatto e per prefisso sui codici
+// - serialTrie: sigle del produttore senza separatori, esatte e per prefisso
+// - crossReferenceIndex: codice di un altro produttore → nostri prodotti equivalenti
+// - lookupIndex: codice senza separatori, sigla e codici equivalenti → id prodotti (liste incollate)
+// - categoryIndex: categoria → id prodotti (per i prodotti correlati)
+// - spelling: vocabolario di nomi e categorie per il "Forse cercavi"
+// - suggestions: chiavi ordinate per l'autocompletamento (suggest.js)
+// - categoryTree: albero famiglia › serie › categoria con i conteggi (categoryTree.js)
+//
+// In questo modo ogni query tocca solo i token del vocabolario e i
+// prodotti candidati, non l'intero listino.
+
+const INDEXED_FIELDS = ["code", "name", "category", "description"];
+const MAX_GRAM = 3;
+
+function createTrieNode() {
+  return { children: new Map(), ids: [] };
+}
+
+function trieInsert(root, key, id) {
+  let node = root;
+  for (const char of key) {
+    if (!node.children.has(char)) {
+      node.children.set(char, createTrieNode());
+    }
+    node = node.children.get(char);
+  }
+  node.ids.push(id);
+}
+
+function trieFind(root, prefix) {
+  let node = root;
+  for (const char of prefix) {
+    node = node.children.get(char);
+    if (!node) return null;
+  }
+  return node;
+}
+
+function trieCollect(node) {
+  const ids = [];
+  const stack = [node];
+  while (stack.length) {
+    const current = stack.pop();
+    ids.push(...current.ids);
+    current.children.forEach((child) => stack.push(child));
+  }
+  return ids.sort((a, b) => a - b);
+}
+
+function createFieldIndex() {
+  return { postings: new Map(), grams: new Map() };
+}
+
+function addGrams(grams, term) {
+  for (let size = 1; size <= MAX_GRAM; size++) {
+    for (let i = 0; i + size <= term.length; i++) {
+      const gram = term.substr(i, size);
+      if (!grams.has(gram)) grams.set(gram, new Set());
+      grams.get(gram).add(term);
+    }
+  }
+}
+
+function addTerm(fieldIndex, term, id) {
+  let ids = fieldIndex.postings.get(term);
+  if (!ids) {
+    ids = [];
+    fieldIndex.postings.set(term, ids);
+    addGrams(fieldIndex.grams, term);
+  }
+  // Gli id arrivano in ordine crescente: basta controllare l'ultimo
+  if (ids[ids.length - 1] !== id) ids.push(id);
+}
+
+// Chiavi con cui un prodotto si trova da una lista incollata: codice e sigla compatti
+function lookupKeys(product) {
+  return [compactKey(product.code), ...serialKeys(product.serial)].filter(Boolean);
+}
+
+// `crossReferences`: righe { reference, brand, code } di crossReferences.js
+function buildSearchIndex(products, { crossReferences = [] } = {}) {
+  const fields = {};
+  INDEXED_FIELDS.forEach((field) => {
+    fields[field] = createFieldIndex();
+  });
+
+  const codeIndex = new Map();
+  const codeTrie = createTrieNode();
+  const serialTrie = createTrieNode();
+  const lookupIndex = new Map();
+  const categoryIndex = new Map();
+
+  const addLookup = (key, id) => {
+    if (!lookupIndex.has(key)) lookupIndex.set(key, []);
+    const ids = lookupIndex.get(key);
+    if (!ids.includes(id)) ids.push(id);
+  };
+
+  const entries = products.map((product, id) => {
+    const entry = {
+      id,
+      product,
+      code: normalize(product.code),
+      name: normalize(product.name),
+      category: normalize(product.category || ""),
+      description: normalize(product.description || ""),
+      serialKeys: serialKeys(product.serial),
+      price: parsePrice(product.price)
+    };
+
+    INDEXED_FIELDS.forEach((field) => {
+      tokenize(entry[field]).forEach((term) => addTerm(fields[field], term, id));
+    });
+
+    if (entry.code) {
+      if (!codeIndex.has(entry.code)) codeIndex.set(entry.code, id);
+      trieInsert(codeTrie, entry.code, id);
+    }
+    entry.serialKeys.forEach((key) => trieInsert(serialTrie, key, id));
+    lookupKeys(product).forEach((key) => addLookup(key, id));
+
+    const category = product.category || "";
+    if (!categoryIndex.has(category)) categoryIndex.set(category, []);
+    categoryIndex.get(category).push(id);
+
+    return entry;
+  });
+
+  // Equivalenze verso codici che non sono nel listino: restano fuori, il
+  // server le segnala al caricamento
+  const crossReferenceIndex = new Map();
+  const unmatchedReferences = [];
+  crossReferences.forEach((row) => {
+    const id = codeIndex.get(normalize(row.code));
+    const key = compactKey(row.reference);
+    if (id === undefined || !key) {
+      unmatchedReferences.push(row);
+      return;
+    }
+    if (!crossReferenceIndex.has(key)) crossReferenceIndex.set(key, []);
+    crossReferenceIndex.get(key).push({ id, reference: row.reference, brand: row.brand || null });
+    addLookup(key, id);
+  });
+
+  return {
+    entries,
+    fields,
+    codeIndex,
+    codeTrie,
+    serialTrie,
+    crossReferenceIndex,
+    unmatchedReferences,
+    lookupIndex,
+    categoryIndex,
+    spelling: buildSpellingDictionary(fields),
+    suggestions: buildSuggestionIndex(entries),
+    categoryTree: buildCategoryTree(entries),
+    size: entries.length,
+    builtAt: new Date().toISOString()
+  };
+}
+
+// ==========================================
+// OPERAZIONI SU LISTE ORDINATE DI ID
+// ==========================================
+
+// Unione di liste di id già ordinate, tramite una mappa di presenza
+function unionSorted(...lists) {
+  const nonEmpty = lists.filter((list) => list.length > 0);
+  if (nonEmpty.length === 0) return [];
+  if (nonEmpty.length === 1) return nonEmpty[0].slice();
+
+  const maxId = Math.max(...nonEmpty.map((list) => list[list.length - 1]));
+  const present = new Uint8Array(maxId + 1);
+  nonEmpty.forEach((list) => {
+    for (const id of list) present[id] = 1;
+  });
+
+  const out = [];
+  for (let id = 0; id <= maxId; id++) {
+    if (present[id]) out.push(id);
+  }
+  return out;
+}
+
+// ==========================================
+// LOOKUP SUL VOCABOLARIO
+// ==========================================
+
+// Token del vocabolario che contengono il frammento
+function termsContaining(fieldIndex, fragment) {
+  if (!fragment) return [];
+  if (fragment.length <= MAX_GRAM) {
+    return [...(fieldIndex.grams.get(fragment) || [])];
+  }
+
+  // Parte dal trigramma più selettivo e verifica il frammento intero
+  let smallest = null;
+  for (let i = 0; i + MAX_GRAM <= fragment.length; i++) {
+    const terms = fieldIndex.grams.get(fragment.substr(i, MAX_GRAM));
+    if (!terms) return [];
+    if (!smallest || terms.size < smallest.size) smallest = terms;
+  }
+  return [...smallest].filter((term) => term.includes(fragment));
+}
+
+function postingsFor(fieldIndex, terms) {
+  return unionSorted(...terms.map((term) => fieldIndex.postings.get(term) || []));
+}
+
+// ==========================================
+// API DI INTERROGAZIONE
+// ==========================================
+
+// Prodotto con codice normalizzato identico
+function findCode(index, code) {
+  const id = index.codeIndex.get(code);
+  return id === undefined ? null : index.entries[id];
+}
+
+// Prodotto a partire dal codice così come arriva dall'utente o da un link
+function findProductByCode(index, rawCode) {
+  const entry = findCode(index, normalize(rawCode));
+  return entry ? entry.product : null;
+}
+
+// Prodotti con codice, sigla o codice equivalente uguale al testo, separatori
+// esclusi: più di uno se la sigla è condivisa
+function findByCodeOrSerial(index, raw) {
+  const exact = findProductByCode(index, raw);
+  if (exact) return [exact];
+  const ids = index.lookupIndex.get(compactKey(raw)) || [];
+  return ids.map((id) => index.entries[id].product);
+}
+
+// Altri prodotti della stessa categoria, in ordine di listino
+function findSiblings(index, product, limit = 20) {
+  const ids = index.categoryIndex.get(product.category || "") || [];
+  const siblings = ids
+    .map((id) => index.entries[id].product)
+    .filter((other) => other !== product);
+  return { siblings: siblings.slice(0, limit), total: siblings.length };
+}
+
+// Id dei prodotti il cui codice inizia con il prefisso
+function findCodePrefix(index, prefix) {
+  const node = trieFind(index.codeTrie, prefix);
+  return node ? trieCollect(node) : [];
+}
+
+// Id dei prodotti con la sigla (compatta, vedi compactKey) uguale alla chiave
+function findSerial(index, key) {
+  const node = key ? trieFind(index.serialTrie, key) : null;
+  return node ? [...node.ids] : [];
+}
+
+// Id dei prodotti la cui sigla compatta inizia con la chiave
+function findSerialPrefix(index, key) {
+  const node = key ? trieFind(index.serialTrie, key) : null;
+  // Sigla intera e sua prima parte possono stare entrambe sotto il prefisso
+  return node ? trieCollect(node).filter((id, position, ids) => id !== ids[position - 1]) : [];
+}
+
+// Equivalenze { id, reference, brand } del codice di un altro produttore (chiave compatta)
+function findCrossReference(index, key) {
+  return index.crossReferenceIndex.get(key) || [];
+}
+
+// Candidati in cui ogni token della frase compare nel campo.
+// È un sovrainsieme: il chiamante verifica il match vero e proprio.
+// Con `fuzzy` (1 carattere diverso, come fuzzyMatch) almeno una delle due
+// metà della frase resta intatta: si uniscono i candidati delle due metà.
+function matchPhrase(index, field, phrase, { fuzzy = false } = {}) {
+  if (fuzzy && phrase.length >= 3) {
+    const middle = Math.floor(phrase.length / 2);
+    return unionSorted(
+      matchPhrase(index, field, phrase.slice(0, middle)),
+      matchPhrase(index, field, phrase.slice(middle))
+    );
+  }
+
+  const fieldIndex = index.fields[field];
+  const tokens = tokenize(phrase);
+  if (!fieldIndex || tokens.length === 0) return [];
+
+  // Il token più lungo è di solito il più selettivo: le sue posting list
+  // danno i candidati, gli altri token si verificano direttamente sul campo
+  const [first, ...rest] = [...tokens].sort((a, b) => b.length - a.length);
+  const candidates = postingsFor(fieldIndex, termsContaining(fieldIndex, first));
+  if (rest.length === 0) return candidates;
+
+  return candidates.filter((id) => {
+    const value = index.entries[id][field];
+    return rest.every((token) => value.includes(token));
+  });
+}
+
+// Prodotti in cui il token compare in almeno uno dei campi indicati
+function matchToken(index, fields, token) {
+  return unionSorted(
+    ...fields.map((field) => postingsFor(index.fields[field], termsContaining(index.fields[field], token)))
+  );
+}
+
+// Candidati di searchWithFallback (shared/searchRanking.js) presi dall'indice
+function indexCandidates(index) {
+  return {
+    entries: index.entries,
+    code: (query) => index.codeIndex.get(query),
+    serial: (key) => findSerial(index, key),
+    serialPrefix: (key) => findSerialPrefix(index, key),
+    crossReferences: (key) => findCrossReference(index, key),
+    codes: (query) => unionSorted(findCodePrefix(index, query), matchPhrase(index, "code", query)),
+    phrase: (field, phrase, options) => matchPhrase(index, field, phrase, options),
+    tokens: (fields, tokens) => unionSorted(...tokens.map((token) => matchToken(index, fields, token)))
+  };
+}
+
+module.exports = {
+  buildSearchIndex,
+  indexCandidates,
+  compactKey,
+  findCode,
+  findCodePrefix,
+  findSerial,
+  findSerialPrefix,
+  findCrossReference,
+  findProductByCode,
+  findByCodeOrSerial,
+  findSiblings,
+  matchPhrase,
+  matchToken,
+  unionSorted
+};
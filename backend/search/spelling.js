@@ -0,0 +1,113 @@
+const { tokenize } = require("./textUtils");
+
+// ==========================================
+// CORRETTORE ORTOGRAFICO DAL VOCABOLARIO DEL LISTINO
+// ==========================================
+//
+// Il vocabolario sono le parole dei nomi prodotto e delle categorie, con la
+// loro frequenza (numero di prodotti che le contengono). Una parola della
+// query che non è nel vocabolario viene sostituita con la parola più vicina
+// per distanza di edit (inserimenti, cancellazioni, sostituzioni e scambi di
+// due lettere vicine), a parità di distanza la più frequente.
+
+const VOCABULARY_FIELDS = ["name", "category"];
+const WORD_PATTERN = /^[a-z]+$/;
+const MIN_WORD_LENGTH = 3;
+// Parole più corte sono troppo ambigue da correggere ("cavo" → "cavi"?)
+const MIN_CORRECTABLE_LENGTH = 4;
+
+function maxDistanceFor(word) {
+  return word.length <= 5 ? 1 : 2;
+}
+
+function buildSpellingDictionary(fields) {
+  const frequencies = new Map();
+
+  VOCABULARY_FIELDS.forEach((field) => {
+    if (!fields[field]) return;
+    fields[field].postings.forEach((ids, term) => {
+      if (term.length < MIN_WORD_LENGTH || !WORD_PATTERN.test(term)) return;
+      frequencies.set(term, (frequencies.get(term) || 0) + ids.length);
+    });
+  });
+
+  // Parole raggruppate per lunghezza: si confrontano solo quelle entro la distanza massima
+  const byLength = new Map();
+  frequencies.forEach((frequency, word) => {
+    if (!byLength.has(word.length)) byLength.set(word.length, []);
+    byLength.get(word.length).push(word);
+  });
+
+  return { frequencies, byLength };
+}
+
+// Distanza di Damerau-Levenshtein (variante "optimal string alignment"),
+// interrotta appena supera `max`: restituisce max + 1 in quel caso
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      if (value < rowMin) rowMin = value;
+    }
+
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Parola del vocabolario più vicina, o null se la parola va bene così
+// (già nota, troppo corta, con cifre) o non c'è niente di abbastanza vicino
+function correctWord(dictionary, word) {
+  if (word.length < MIN_CORRECTABLE_LENGTH || !WORD_PATTERN.test(word)) return null;
+  if (dictionary.frequencies.has(word)) return null;
+
+  const max = maxDistanceFor(word);
+  let best = null;
+
+  for (let length = word.length - max; length <= word.length + max; length++) {
+    for (const candidate of dictionary.byLength.get(length) || []) {
+      const distance = editDistance(word, candidate, best ? best.distance : max);
+      if (distance > max) continue;
+
+      const frequency = dictionary.frequencies.get(candidate);
+      if (!best || distance < best.distance || (distance === best.distance && frequency > best.frequency)) {
+        best = { word: candidate, distance, frequency };
+      }
+    }
+  }
+
+  return best ? best.word : null;
+}
+
+// Query corretta parola per parola (già normalizzata), null se non cambia nulla
+function suggestCorrection(dictionary, query) {
+  if (!dictionary) return null;
+
+  let changed = false;
+  const corrected = tokenize(query).map((word) => {
+    const correction = correctWord(dictionary, word);
+    if (!correction) return word;
+    changed = true;
+    return correction;
+  });
+
+  return changed ? corrected.join(" ") : null;
+}
+
+module.exports = { buildSpellingDictionary, suggestCorrection, editDistance };
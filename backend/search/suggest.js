@@ -0,0 +1,160 @@
+const { normalize, tokenize } = require("./textUtils");
+
+// ==========================================
+// AUTOCOMPLETAMENTO DELLA CASELLA DI RICERCA
+// ==========================================
+//
+// Mentre il cliente scrive si propongono tre tipi di completamento:
+// - product:  codici o sigle che iniziano con il testo ("a3b4" → A3B44, A3B45...;
+//             "bs4175" → A3B44 con sigla BS417502...)
+// - query:    frasi di 1-3 parole dei nomi prodotto, pesate sul numero di
+//             prodotti che le contengono ("interr" → "interruttore magnetotermico")
+// - category: categorie e sottocategorie con una parola che inizia con il testo
+//
+// Le chiavi (normalizzate) stanno in un array ordinato costruito al
+// caricamento: i completamenti di un prefisso sono un intervallo contiguo,
+// trovato con una ricerca binaria.
+
+const MAX_PHRASE_WORDS = 3;
+const MIN_PHRASE_START_LENGTH = 3;
+const MAX_PER_TYPE = { product: 5, query: 5, category: 3 };
+
+// Token con almeno una lettera o cifra ("-" e "." da soli non contano)
+function words(normalized) {
+  return tokenize(normalized).filter((word) => /[a-z0-9]/.test(word));
+}
+
+function compact(value) {
+  return value.replace(/[^a-z0-9]/g, "");
+}
+
+function buildSuggestionIndex(entries) {
+  const keys = [];
+  const phrases = new Map();
+  const categories = new Map();
+
+  const addKey = (key, item) => {
+    if (key) keys.push({ key, item });
+  };
+
+  entries.forEach((entry) => {
+    const product = { type: "product", product: entry.product };
+    addKey(entry.code, product);
+    if (compact(entry.code) !== entry.code) addKey(compact(entry.code), product);
+    entry.serialKeys.forEach((key) => addKey(key, product));
+
+    // Frasi che iniziano con una parola vera e non finiscono con un numero
+    // ("interr. automatico 1" non aiuta); ogni frase conta una volta per prodotto
+    const nameWords = words(entry.name);
+    const seen = new Set();
+    nameWords.forEach((word, start) => {
+      if (word.length < MIN_PHRASE_START_LENGTH || !/^[a-z]/.test(word)) return;
+      for (let size = 1; size <= MAX_PHRASE_WORDS && start + size <= nameWords.length; size++) {
+        const phrase = nameWords.slice(start, start + size);
+        if (/^\d+$/.test(phrase[phrase.length - 1])) continue;
+        const text = phrase.join(" ");
+        if (seen.has(text)) continue;
+        seen.add(text);
+        if (!phrases.has(text)) phrases.set(text, { type: "query", text, count: 0 });
+        phrases.get(text).count++;
+      }
+    });
+
+    new Set([entry.product.category, entry.product.subcategory].filter(Boolean)).forEach((name) => {
+      if (!categories.has(name)) categories.set(name, { type: "category", text: name, count: 0 });
+      categories.get(name).count++;
+    });
+  });
+
+  phrases.forEach((item, text) => addKey(text, item));
+
+  // Una chiave per ogni parola della categoria: "magnetotermici 4 5ka..." trova
+  // anche "Interruttori Automatici Magnetotermici 4,5kA..."
+  categories.forEach((item, name) => {
+    const categoryWords = words(normalize(name));
+    categoryWords.forEach((word, start) => {
+      if (/[a-z]/.test(word)) addKey(categoryWords.slice(start).join(" "), item);
+    });
+  });
+
+  keys.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  return { keys };
+}
+
+// Elementi distinti delle chiavi che iniziano con il prefisso
+function findPrefix(suggestions, prefix) {
+  const { keys } = suggestions;
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (keys[middle].key < prefix) low = middle + 1;
+    else high = middle;
+  }
+
+  const items = new Set();
+  for (let i = low; i < keys.length && keys[i].key.startsWith(prefix); i++) {
+    items.add(keys[i].item);
+  }
+  return [...items];
+}
+
+function productSuggestions(suggestions, query) {
+  const items = new Set([...findPrefix(suggestions, query), ...findPrefix(suggestions, compact(query))]);
+  return [...items]
+    .filter((item) => item.type === "product")
+    .sort((a, b) => a.product.code.length - b.product.code.length || a.product.code.localeCompare(b.product.code))
+    .map(({ product }) => ({
+      type: "product",
+      text: product.code,
+      code: product.code,
+      serial: product.serial || "",
+      name: product.name
+    }));
+}
+
+// Frasi che completano la query intera o, per query lunghe, le sue ultime
+// parole: "salvavita interruttore diff" → "salvavita interruttore differenziale"
+function phraseSuggestions(suggestions, queryWords) {
+  for (let size = Math.min(queryWords.length, MAX_PHRASE_WORDS); size >= 1; size--) {
+    const head = queryWords.slice(0, queryWords.length - size);
+    const tail = queryWords.slice(-size).join(" ");
+    const phrases = findPrefix(suggestions, tail).filter((item) => item.type === "query" && item.text !== tail);
+    if (phrases.length === 0) continue;
+
+    return phrases
+      .sort((a, b) => b.count - a.count || a.text.length - b.text.length)
+      .map((item) => ({ type: "query", text: [...head, item.text].join(" "), count: item.count }));
+  }
+  return [];
+}
+
+function categorySuggestions(suggestions, query) {
+  return findPrefix(suggestions, query)
+    .filter((item) => item.type === "category")
+    .sort((a, b) => b.count - a.count || a.text.localeCompare(b.text))
+    .map(({ type, text, count }) => ({ type, text, count }));
+}
+
+// Completamenti per il testo digitato: se sembra un codice (una parola con
+// cifre) prima i prodotti, altrimenti prima frasi e categorie
+function suggestCompletions(suggestions, rawQuery, limit = 8) {
+  const queryWords = words(normalize(rawQuery));
+  if (!suggestions || queryWords.length === 0) return [];
+  const query = queryWords.join(" ");
+
+  const groups = {
+    product: queryWords.length === 1 ? productSuggestions(suggestions, query) : [],
+    query: phraseSuggestions(suggestions, queryWords),
+    category: categorySuggestions(suggestions, query)
+  };
+  const order = queryWords.length === 1 && /\d/.test(query)
+    ? ["product", "query", "category"]
+    : ["query", "category", "product"];
+
+  return order
+    .flatMap((type) => groups[type].slice(0, MAX_PER_TYPE[type]))
+    .slice(0, limit);
+}
+
+module.exports = { buildSuggestionIndex, suggestCompletions };
@@ -0,0 +1,18 @@
+const { normalize, tokenize, fuzzyMatch } = require("../../shared/searchRanking");
+
+// ==========================================
+// UTILITÀ TESTO (condivise da indice e motore di ricerca)
+// ==========================================
+//
+// normalize, tokenize e fuzzyMatch stanno in shared/searchRanking.js, usato
+// anche dalla ricerca offline del browser
+
+// Prezzo di listino in formato italiano ("1.234,56") → numero, null se assente
+function parsePrice(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const cleaned = String(value || "").replace(/[^\d,.-]/g, "").replace(/\./g, "").replace(",", ".");
+  const price = parseFloat(cleaned);
+  return Number.isFinite(price) ? price : null;
+}
+
+module.exports = { normalize, tokenize, fuzzyMatch, parsePrice };
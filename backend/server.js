@@ -3,26 +3,117 @@ const fs = require("fs");
 const express = require("express");
 const cors = require("cors");
 
-const { searchProducts } = require("./search/searchEngine");
+const {
+  searchCatalog,
+  searchProducts,
+  buildSearchIndex,
+  parseFilters,
+  findProductByCode,
+  findByCodeOrSerial,
+  findSiblings,
+  suggestCompletions
+} = require("./search/searchEngine");
+const { parsePrice } = require("./search/textUtils");
+const { loadCrossReferences } = require("./search/crossReferences");
+const { buildOfflineCatalog, serializeOfflineCatalog } = require("./search/offlineCatalog");
+const {
+  findCategory,
+  productCategory,
+  categoryTrail,
+  categoryProductIds,
+  toCategoryView,
+  productPath
+} = require("./search/categoryTree");
+const { loadPriceHistory } = require("./data/catalogVersions");
+const {
+  dictionaryPaths,
+  loadDictionaries,
+  saveDictionaries,
+  addSynonyms,
+  removeSynonym,
+  addCorrection,
+  removeCorrection
+} = require("./search/dictionaries");
+const { createSearchLog, buildSearchReport } = require("./search/analytics");
+const { createAuthenticator, sendAuthError } = require("./admin/auth");
+const { createAuditLog } = require("./admin/audit");
+const { validateOrder, priceOrder, orderRules, orderTotals, checkMinimumOrder } = require("./orders/orders");
+const { createOrderStore } = require("./orders/orderStore");
+const { loadCompany, buildQuote, quoteFileName } = require("./orders/quote");
+const { renderQuotePdf } = require("./orders/quotePdf");
+const { renderQuoteXlsx } = require("./orders/quoteXlsx");
+const { parseCodeList, resolveCodeList } = require("./orders/codeList");
+const { readBomFile, matchBomEntries, MAX_FILE_BYTES } = require("./orders/bomImport");
+const { createDiscountStore } = require("./pricing/discounts");
 
 // ==========================================
 // CONFIGURATION (Production-safe)
 // ==========================================
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || "development";
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
 const DATA_PATH = path.resolve(__dirname, "data", "products.json");
+const PUBLIC_DIR = path.join(__dirname, "..");
+// Served from PUBLIC_DIR together with the frontend/ and shared/ folders
+const PUBLIC_FILES = ["index.html", "sw.js", "manifest.webmanifest"];
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 100;
+const SUGGEST_DEFAULT_LIMIT = 8;
+const SUGGEST_MAX_LIMIT = 20;
+const SIBLINGS_LIMIT = 20;
+const CATEGORY_DEFAULT_LIMIT = 24;
+const CATEGORY_MAX_LIMIT = 100;
+const SEARCH_REPORT_DEFAULT_DAYS = 30;
+const SEARCH_REPORT_MAX_DAYS = 365;
+const SEARCH_REPORT_DEFAULT_LIMIT = 20;
+const AUDIT_DEFAULT_LIMIT = 100;
+const AUDIT_MAX_LIMIT = 1000;
+const ORDERS_DEFAULT_LIMIT = 50;
+const PRICES_MAX_CODES = 500;
+// Used when the dictionary files are broken: search keeps working without synonyms
+const EMPTY_DICTIONARIES = { synonyms: {}, autoCorrections: {} };
 
 // ==========================================
 // APPLICATION STATE
 // ==========================================
 let appState = {
   products: [],
+  searchIndex: null,
+  priceHistory: new Map(),
+  crossReferences: { count: 0, unmatched: 0, error: null },
+  dictionaries: null,
+  dictionariesError: null,
+  orderStore: null,
+  orderStoreError: null,
   isReady: false,
   loadError: null,
   loadedAt: null,
   productCount: 0
 };
 
+// Files where admin changes to the search dictionaries are saved (see
+// search/dictionaries.js); the tracked files in backend/data are the seed
+const DICTIONARY_PATHS = dictionaryPaths({
+  synonyms: process.env.SYNONYMS_PATH,
+  autoCorrections: process.env.AUTOCORRECTIONS_PATH
+});
+
+// Query log for the search report (see search/analytics.js)
+const searchLog = createSearchLog(process.env.SEARCH_LOG_PATH || undefined);
+
+// Admin users and roles (see admin/auth.js); ADMIN_TOKEN is a manager token.
+// With no credentials configured admin routes are closed, unless ADMIN_OPEN=1
+// opens them on purpose (local development only)
+const auth = createAuthenticator({
+  filePath: process.env.ADMIN_USERS_PATH || undefined,
+  envToken: ADMIN_TOKEN,
+  allowOpen: process.env.ADMIN_OPEN === "1"
+});
+const auditLog = createAuditLog(process.env.ADMIN_AUDIT_PATH || undefined);
+
+// Customer discount rules (see pricing/discounts.js), reloaded when the file changes
+const discounts = createDiscountStore(process.env.DISCOUNTS_PATH || undefined);
+
 // ==========================================
 // STRUCTURED LOGGING
 // ==========================================
@@ -68,16 +159,43 @@ function loadProducts() {
       log.warn("⚠️ products.json is empty array");
     }
     
-    // 5. Update app state
-    appState.products = data;
-    appState.isReady = true;
-    appState.loadedAt = new Date().toISOString();
-    appState.productCount = data.length;
-    appState.loadError = null;
+    // 5. Build search index (before touching app state), with the
+    //    competitor codes of cross-references.json (optional)
+    const { references, error: crossReferencesError } = loadCrossReferencesSafe();
+    const indexStart = Date.now();
+    const searchIndex = buildSearchIndex(data, { crossReferences: references });
+    const indexTime = Date.now() - indexStart;
+    if (searchIndex.unmatchedReferences.length > 0) {
+      log.warn("⚠️ Cross-references to codes missing from the catalog were ignored", {
+        count: searchIndex.unmatchedReferences.length,
+        codes: [...new Set(searchIndex.unmatchedReferences.map((row) => row.code))].slice(0, 20)
+      });
+    }
+    
+    // 6. Price history from catalog versions (optional)
+    const priceHistory = loadPriceHistorySafe();
+    
+    // 7. Swap app state in one step: searches never see a half-built index
+    appState = {
+      ...appState,
+      products: data,
+      searchIndex,
+      priceHistory,
+      crossReferences: {
+        count: references.length - searchIndex.unmatchedReferences.length,
+        unmatched: searchIndex.unmatchedReferences.length,
+        error: crossReferencesError
+      },
+      isReady: true,
+      loadedAt: new Date().toISOString(),
+      productCount: data.length,
+      loadError: null
+    };
     
     const loadTime = Date.now() - startTime;
     log.info("✅ Products loaded successfully", { 
       count: data.length, 
+      indexTimeMs: indexTime,
       loadTimeMs: loadTime 
     });
     
@@ -86,16 +204,82 @@ function loadProducts() {
   } catch (error) {
     log.error("❌ Failed to load products", error);
     
-    appState.products = [];
-    appState.isReady = false;
-    appState.loadError = error.message;
-    appState.productCount = 0;
+    appState = {
+      ...appState,
+      products: [],
+      searchIndex: null,
+      priceHistory: new Map(),
+      isReady: false,
+      loadError: error.message,
+      productCount: 0
+    };
     
     // CRITICAL: App continues but in degraded mode
     return false;
   }
 }
 
+/**
+ * Price history is a nice-to-have: a broken versions folder must not
+ * keep the catalog from loading
+ */
+function loadPriceHistorySafe() {
+  try {
+    return loadPriceHistory();
+  } catch (error) {
+    log.warn("⚠️ Price history not available", { error: error.message });
+    return new Map();
+  }
+}
+
+/**
+ * Competitor codes are optional too: with a broken file the catalog loads
+ * without them and the error is reported by /health
+ */
+function loadCrossReferencesSafe() {
+  try {
+    return { references: loadCrossReferences(process.env.CROSS_REFERENCES_PATH || undefined), error: null };
+  } catch (error) {
+    log.warn("⚠️ Cross-references not available", { error: error.message });
+    return { references: [], error: error.message };
+  }
+}
+
+/**
+ * Synonyms and autocorrections are reloaded from disk; if the files are
+ * invalid the dictionaries already in use stay active
+ */
+function reloadDictionaries() {
+  try {
+    const dictionaries = loadDictionaries(DICTIONARY_PATHS);
+    appState = { ...appState, dictionaries, dictionariesError: null };
+    log.info("📚 Search dictionaries loaded", {
+      synonyms: Object.keys(dictionaries.synonyms).length,
+      autoCorrections: Object.keys(dictionaries.autoCorrections).length
+    });
+    return true;
+  } catch (error) {
+    log.error("❌ Failed to load search dictionaries", error);
+    appState = { ...appState, dictionariesError: { message: error.message, details: error.details || [] } };
+    return false;
+  }
+}
+
+/**
+ * Orders archive: if it cannot be read, orders are refused (503) rather
+ * than risk reusing order numbers
+ */
+function openOrderStore() {
+  try {
+    const orderStore = createOrderStore(process.env.ORDERS_PATH || undefined);
+    appState = { ...appState, orderStore, orderStoreError: null };
+    log.info("🧾 Orders archive ready", { orders: orderStore.list({ limit: 0 }).total });
+  } catch (error) {
+    log.error("❌ Orders archive not available", error);
+    appState = { ...appState, orderStore: null, orderStoreError: error.message };
+  }
+}
+
 // ==========================================
 // EXPRESS APP SETUP
 // ==========================================
@@ -138,6 +322,7 @@ app.get("/health", (req, res) => {
       loadedAt: appState.loadedAt,
       error: appState.loadError
     },
+    crossReferences: appState.crossReferences,
     environment: {
       nodeVersion: process.version,
       platform: process.platform,
@@ -151,11 +336,68 @@ app.get("/health", (req, res) => {
   log.info("Health check", { status: health.status });
 });
 
+/**
+ * Customer identified by the X-Customer-Key header ({ id, name }), or null:
+ * prices are then list prices
+ */
+function requestCustomer(req) {
+  return discounts.findCustomer(req.get("x-customer-key"));
+}
+
+/**
+ * Products with the customer's net price (netPrice, discount) when a rule applies
+ */
+function withNetPrices(products, customer) {
+  return customer ? products.map((product) => discounts.withNetPrice(product, customer)) : products;
+}
+
+/**
+ * Parse a non-negative integer query parameter, clamped to [0, max]
+ */
+function parseIntParam(value, fallback, max = Infinity) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 0) return fallback;
+  return Math.min(parsed, max);
+}
+
 /**
  * Search Endpoint (Fail-safe)
+ * Filters: category, subcategory, priceMin, priceMax and technical
+ * attributes (amperes, curve, poles, ...). Repeat a parameter to
+ * accept several values: ?curve=B&curve=C
+ * Pagination: limit (default 20, max 100) and offset
+ * suggestion: corrected query ("did you mean") when few products match
+ * matchedBy: on results found by an identifier, { type: "code" | "serial" |
+ * "cross-reference", value, brand } (serials and competitor codes also
+ * match without separators)
+ * explain=1 (admin "viewer" role): intent, query variant, phase and score
+ * contributions for every result
+ * X-Customer-Key header: results carry the customer's netPrice and discount
+ * searchId: id of the logged search (first page only), to report add-to-cart
+ * via POST /search/events; session=... groups searches of one browser tab
  */
-app.get("/search", (req, res) => {
+app.get("/search", async (req, res, next) => {
   const query = String(req.query.q || "").trim();
+  const filters = parseFilters(req.query);
+  const limit = parseIntParam(req.query.limit, SEARCH_DEFAULT_LIMIT, SEARCH_MAX_LIMIT) || SEARCH_DEFAULT_LIMIT;
+  const offset = parseIntParam(req.query.offset, 0);
+  const explain = req.query.explain === "1" || req.query.explain === "true";
+  
+  // Guard: explain exposes ranking internals
+  if (explain) {
+    try {
+      await auth.authorize(req, "viewer");
+    } catch (error) {
+      if (!error.status) return next(error);
+      return sendAuthError(res, error, {
+        message: `explain is reserved to administrators: ${error.message}`,
+        query,
+        count: 0,
+        total: 0,
+        results: []
+      });
+    }
+  }
   
   // Guard: Check if app is ready
   if (!appState.isReady) {
@@ -165,6 +407,7 @@ app.get("/search", (req, res) => {
       message: "Product database is not loaded. Please try again in a moment.",
       query,
       count: 0,
+      total: 0,
       results: []
     });
   }
@@ -174,6 +417,7 @@ app.get("/search", (req, res) => {
     return res.json({
       query,
       count: 0,
+      total: 0,
       results: [],
       message: "Query too short (minimum 2 characters)"
     });
@@ -181,19 +425,52 @@ app.get("/search", (req, res) => {
   
   try {
     const startTime = Date.now();
-    const results = searchProducts(appState.products, query);
+    const { results, total, facets, suggestion, explain: queryExplain } = searchCatalog(appState.searchIndex, query, {
+      filters,
+      limit,
+      offset,
+      dictionaries: appState.dictionaries || EMPTY_DICTIONARIES,
+      explain
+    });
     const searchTime = Date.now() - startTime;
+    const customer = requestCustomer(req);
+    
+    // Further pages belong to the search already logged; explain is admin debugging
+    const searchId = offset === 0 && !explain
+      ? searchLog.logSearch({
+          session: req.query.session,
+          query,
+          filters,
+          total,
+          count: results.length,
+          searchTimeMs: searchTime,
+          suggestion
+        })
+      : null;
     
     log.info("Search completed", { 
       query, 
+      filters,
+      offset,
       resultsCount: results.length,
+      total,
+      suggestion,
       searchTimeMs: searchTime 
     });
     
     res.json({
       query,
+      filters,
       count: results.length,
-      results,
+      total,
+      offset,
+      limit,
+      hasMore: offset + results.length < total,
+      results: withNetPrices(results, customer),
+      facets,
+      suggestion,
+      ...(explain ? { explain: queryExplain } : {}),
+      searchId,
       searchTimeMs: searchTime
     });
     
@@ -204,34 +481,655 @@ app.get("/search", (req, res) => {
       message: "An error occurred while searching. Please try again.",
       query,
       count: 0,
+      total: 0,
       results: []
     });
   }
 });
 
+/**
+ * Type-ahead completions for the search box (see search/suggest.js), ranked:
+ * product codes starting with q, name phrases and category names.
+ * Each suggestion has type ("product" | "query" | "category") and text;
+ * products also carry code and name, phrases and categories a product count.
+ * Not logged in the search analytics. limit: default 8, max 20
+ */
+app.get("/suggest", (req, res) => {
+  const query = String(req.query.q || "").trim();
+  const limit = parseIntParam(req.query.limit, SUGGEST_DEFAULT_LIMIT, SUGGEST_MAX_LIMIT) || SUGGEST_DEFAULT_LIMIT;
+
+  if (!appState.isReady) {
+    return res.status(503).json({
+      error: "Service temporarily unavailable",
+      message: "Product database is not loaded",
+      query,
+      suggestions: []
+    });
+  }
+
+  const suggestions = suggestCompletions(appState.searchIndex.suggestions, query, limit);
+  res.json({ query, suggestions });
+});
+
+/**
+ * Search analytics event. Body: { "searchId": "...", "type": "add-to-cart", "code": "A3B48", "position": 2 }
+ * position is the 1-based rank of the product in the results
+ */
+app.post("/search/events", (req, res) => {
+  const { searchId, type, code, position } = req.body || {};
+  const logged = type === "add-to-cart" && searchLog.logAddToCart({ searchId, code, position });
+  if (!logged) {
+    return res.status(400).json({
+      error: "Invalid event",
+      message: 'Expected { "searchId", "type": "add-to-cart", "code", "position" }'
+    });
+  }
+  res.status(204).end();
+});
+
+/**
+ * Validate a cart body against the loaded catalog (see orders/orders.js),
+ * with the discounts of the X-Customer-Key customer (account), and price it
+ * with the shipping and VAT rules of company.json (priced).
+ * Invalid carts get a 400/409 response and null is returned; checkMinimum
+ * also rejects carts below the minimum order
+ */
+function validateCart(req, res, { checkMinimum = false } = {}) {
+  const account = requestCustomer(req);
+  const company = loadCompany();
+  const rules = orderRules(company);
+  try {
+    const cart = validateOrder(
+      req.body,
+      (code) => findProductByCode(appState.searchIndex, code),
+      (product) => discounts.discount(account, product)
+    );
+    const priced = orderTotals(priceOrder(cart.lines), rules);
+    if (checkMinimum) checkMinimumOrder(priced, rules);
+    return { ...cart, account, company, priced };
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      error: error.status === 409 ? "Prices changed" : "Invalid order",
+      message: error.message,
+      details: error.details
+    });
+    return null;
+  }
+}
+
+/**
+ * VAT rate, shipping and minimum order (amounts before VAT), for the cart totals
+ */
+app.get("/orders/rules", (req, res) => {
+  res.json(orderRules(loadCompany()));
+});
+
+/**
+ * Submit an order. Body: { "items": [{ "code": "A3B48", "quantity": 2, "price": "17,81" }],
+ * "channel": "whatsapp" | "email" | "api", "customer": { "name", "company", "phone", "email", "notes" } }
+ * Codes and prices are checked against the loaded catalog: 400 for invalid
+ * items or a total below the minimum order, 409 when a price differs from the
+ * catalog (details list the current prices)
+ */
+app.post("/orders", (req, res) => {
+  if (!appState.isReady || !appState.orderStore) {
+    return res.status(503).json({
+      error: "Service temporarily unavailable",
+      message: appState.isReady ? "Orders archive not available" : "Product database is not loaded"
+    });
+  }
+
+  const cart = validateCart(req, res, { checkMinimum: true });
+  if (!cart) return;
+
+  const { priced, customer, channel, account } = cart;
+  const order = appState.orderStore.create({ channel, account, customer, ...priced });
+  log.info("Order received", { number: order.number, items: order.items.length, total: order.grandTotal, channel });
+  res.status(201).json(order);
+});
+
+const QUOTE_FORMATS = {
+  pdf: { render: renderQuotePdf, type: "application/pdf" },
+  xlsx: { render: renderQuoteXlsx, type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" }
+};
+
+/**
+ * Quote (preventivo) of the cart as a downloadable PDF or XLSX file.
+ * Same body and validation as POST /orders; nothing is stored
+ */
+app.post("/quotes/:format", async (req, res, next) => {
+  const format = QUOTE_FORMATS[req.params.format];
+  if (!format) {
+    return res.status(404).json({ error: "Unknown format", message: `Use ${Object.keys(QUOTE_FORMATS).join(" or ")}` });
+  }
+  if (!appState.isReady) {
+    return res.status(503).json({ error: "Service temporarily unavailable", message: "Product database is not loaded" });
+  }
+
+  try {
+    const cart = validateCart(req, res);
+    if (!cart) return;
+
+    const quote = buildQuote(cart.priced, cart.customer, cart.company);
+    const file = await format.render(quote);
+    log.info("Quote exported", { reference: quote.reference, format: req.params.format, items: quote.items.length });
+    res
+      .type(format.type)
+      .attachment(quoteFileName(quote, req.params.format))
+      .send(file);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Resolve a pasted list of codes or serials with quantities ("incolla lista").
+ * Body: { "text": "A3B48 x10, A3B47 5\n10 pz BS417516" }
+ * Every entry comes back as found (product), ambiguous or not-found
+ * (candidates to choose from) or invalid-quantity; products carry the
+ * X-Customer-Key net prices like /search
+ */
+app.post("/products/lookup", (req, res) => {
+  if (!appState.isReady) {
+    return res.status(503).json({ error: "Service temporarily unavailable", message: "Product database is not loaded" });
+  }
+
+  let entries;
+  try {
+    entries = parseCodeList(req.body && req.body.text);
+  } catch (error) {
+    if (!error.status) throw error;
+    return res.status(error.status).json({ error: "Invalid list", message: error.message });
+  }
+
+  const customer = requestCustomer(req);
+  const lines = resolveCodeList(
+    entries,
+    (query) => findByCodeOrSerial(appState.searchIndex, query),
+    (query) => searchCatalog(appState.searchIndex, query, {
+      limit: 5,
+      dictionaries: appState.dictionaries || EMPTY_DICTIONARIES
+    }).results
+  ).map((line) => withLineNetPrices(line, customer));
+
+  const found = lines.filter((line) => line.status === "found").length;
+  log.info("Code list resolved", { entries: lines.length, found });
+  res.json({ total: lines.length, found, lines });
+});
+
+/**
+ * Product and candidates of a resolved list line with the customer's net prices
+ */
+function withLineNetPrices(line, customer) {
+  return {
+    ...line,
+    ...(line.product ? { product: discounts.withNetPrice(line.product, customer) } : {}),
+    ...(line.candidates ? { candidates: withNetPrices(line.candidates, customer) } : {})
+  };
+}
+
+/**
+ * Import a bill of materials (CSV or XLSX) for review before it goes into the
+ * cart. The file is the raw request body (Content-Type: application/octet-stream)
+ * and ?filename= gives its extension. Lines come back like /products/lookup,
+ * plus "fuzzy" lines matched by description search (product is the proposal)
+ */
+app.post(
+  "/products/import",
+  express.raw({ type: "application/octet-stream", limit: MAX_FILE_BYTES + 1 }),
+  (req, res) => {
+    if (!appState.isReady) {
+      return res.status(503).json({ error: "Service temporarily unavailable", message: "Product database is not loaded" });
+    }
+
+    let bom;
+    try {
+      bom = readBomFile(Buffer.isBuffer(req.body) ? req.body : null, String(req.query.filename || ""));
+    } catch (error) {
+      if (!error.status) {
+        log.warn("Unreadable bill of materials", { filename: req.query.filename, error: error.message });
+        return res.status(400).json({ error: "Invalid file", message: "The file could not be read as CSV or XLSX" });
+      }
+      return res.status(error.status).json({ error: "Invalid file", message: error.message });
+    }
+
+    const customer = requestCustomer(req);
+    const dictionaries = appState.dictionaries || EMPTY_DICTIONARIES;
+    const lines = matchBomEntries(
+      bom.entries,
+      (text) => findByCodeOrSerial(appState.searchIndex, text),
+      (text) => searchProducts(appState.searchIndex, text, dictionaries)
+    ).map((line) => withLineNetPrices(line, customer));
+
+    const found = lines.filter((line) => line.status === "found").length;
+    log.info("Bill of materials imported", { filename: req.query.filename, entries: lines.length, found });
+    res.json({ columns: bom.columns, total: lines.length, found, lines });
+  }
+);
+
+/**
+ * Full product record for the detail view. categoryTrail: the category path
+ * with the ids of GET /categories/:id/products, [{ id, name }]
+ */
+function toProductDetail(product) {
+  const category = productCategory(appState.searchIndex.categoryTree, product);
+  return {
+    ...product,
+    categoryPath: productPath(product),
+    categoryTrail: category ? categoryTrail(category) : [],
+    priceValue: parsePrice(product.price),
+    attributes: product.attributes || {}
+  };
+}
+
+/**
+ * Product Detail Endpoint
+ * Returns the product plus other products in the same category
+ */
+app.get("/products/:code", (req, res) => {
+  const code = String(req.params.code || "").trim();
+  
+  if (!appState.isReady) {
+    log.warn("Product lookup attempted while app not ready", { code });
+    return res.status(503).json({
+      error: "Service temporarily unavailable",
+      message: "Product database is not loaded. Please try again in a moment.",
+      code
+    });
+  }
+  
+  const product = findProductByCode(appState.searchIndex, code);
+  
+  if (!product) {
+    return res.status(404).json({
+      error: "Product not found",
+      message: `No product with code ${code}`,
+      code
+    });
+  }
+  
+  const { siblings, total } = findSiblings(appState.searchIndex, product, SIBLINGS_LIMIT);
+  
+  const customer = requestCustomer(req);
+  
+  res.json({
+    product: toProductDetail(discounts.withNetPrice(product, customer)),
+    siblings: withNetPrices(siblings, customer),
+    siblingsTotal: total
+  });
+});
+
+/**
+ * Category tree for browsing the catalog: family › series › category, in
+ * listino order. Every node has a stable id, name, the number of products
+ * in its subtree (count) and children
+ */
+app.get("/categories", (req, res) => {
+  if (!appState.isReady) {
+    return res.status(503).json({
+      error: "Service temporarily unavailable",
+      message: "Product database is not loaded. Please try again in a moment.",
+      categories: []
+    });
+  }
+
+  res.json({
+    total: appState.searchIndex.size,
+    categories: appState.searchIndex.categoryTree.roots.map(toCategoryView)
+  });
+});
+
+/**
+ * Products of a category and its subcategories, in listino order.
+ * category.path: breadcrumb from the family down, [{ id, name }]
+ * Pagination: limit (default 24, max 100) and offset
+ * X-Customer-Key header: products carry the customer's netPrice and discount
+ */
+app.get("/categories/:id/products", (req, res) => {
+  const id = String(req.params.id || "");
+  const limit = parseIntParam(req.query.limit, CATEGORY_DEFAULT_LIMIT, CATEGORY_MAX_LIMIT) || CATEGORY_DEFAULT_LIMIT;
+  const offset = parseIntParam(req.query.offset, 0);
+
+  if (!appState.isReady) {
+    return res.status(503).json({
+      error: "Service temporarily unavailable",
+      message: "Product database is not loaded. Please try again in a moment.",
+      total: 0,
+      products: []
+    });
+  }
+
+  const index = appState.searchIndex;
+  const node = findCategory(index.categoryTree, id);
+  if (!node) {
+    return res.status(404).json({
+      error: "Category not found",
+      message: `No category with id ${id}`,
+      total: 0,
+      products: []
+    });
+  }
+
+  const products = categoryProductIds(node)
+    .slice(offset, offset + limit)
+    .map((productId) => index.entries[productId].product);
+
+  res.json({
+    category: {
+      id: node.id,
+      name: node.name,
+      path: categoryTrail(node),
+      count: node.count,
+      children: node.children.map(({ id: childId, name, count }) => ({ id: childId, name, count }))
+    },
+    total: node.count,
+    offset,
+    limit,
+    hasMore: offset + products.length < node.count,
+    products: withNetPrices(products, requestCustomer(req))
+  });
+});
+
+// Offline catalog serialized once, reused until the index or the dictionaries change
+let offlineCatalogCache = { index: null, dictionaries: null, body: null, etag: null };
+
+function offlineCatalog() {
+  const { searchIndex } = appState;
+  const dictionaries = appState.dictionaries || EMPTY_DICTIONARIES;
+  if (offlineCatalogCache.index !== searchIndex || offlineCatalogCache.dictionaries !== dictionaries) {
+    offlineCatalogCache = {
+      index: searchIndex,
+      dictionaries,
+      ...serializeOfflineCatalog(buildOfflineCatalog(searchIndex, dictionaries))
+    };
+  }
+  return offlineCatalogCache;
+}
+
+/**
+ * Compact catalog for offline search in the PWA (see search/offlineCatalog.js):
+ * products as rows, search dictionaries and cross-references. List prices
+ * only. Sent with an ETag: unchanged catalogs are revalidated with a 304
+ */
+app.get("/catalog/offline", (req, res) => {
+  if (!appState.isReady) {
+    return res.status(503).json({
+      error: "Service temporarily unavailable",
+      message: "Product database is not loaded. Please try again in a moment."
+    });
+  }
+
+  const { body, etag } = offlineCatalog();
+  res.set({ ETag: etag, "Cache-Control": "no-cache" });
+  if (req.fresh) return res.status(304).end();
+  res.type("json").send(body);
+});
+
+/**
+ * Customer identified by X-Customer-Key (401 if the key is unknown)
+ */
+app.get("/customers/me", (req, res) => {
+  const customer = requestCustomer(req);
+  if (!customer) {
+    return res.status(401).json({ error: "Unknown customer key", message: "Check the customer access key" });
+  }
+  res.json(customer);
+});
+
+/**
+ * Current list and net prices for a set of codes, e.g. to refresh a saved
+ * cart after logging in with a customer key. Body: { "codes": ["A3B48", ...] }
+ */
+app.post("/prices", (req, res) => {
+  if (!appState.isReady) {
+    return res.status(503).json({ error: "Service temporarily unavailable", message: "Product database is not loaded" });
+  }
+  const codes = (req.body && req.body.codes) || [];
+  if (!Array.isArray(codes) || codes.length > PRICES_MAX_CODES) {
+    return res.status(400).json({ error: "Invalid request", message: `codes must be an array of at most ${PRICES_MAX_CODES} codes` });
+  }
+
+  const customer = requestCustomer(req);
+  const prices = {};
+  codes.forEach((code) => {
+    const product = findProductByCode(appState.searchIndex, String(code));
+    if (!product) return;
+    const { price, netPrice = null, discount = null } = discounts.withNetPrice(product, customer);
+    prices[product.code] = { price: price || null, netPrice, discount };
+  });
+  res.json({ customer, prices });
+});
+
+/**
+ * Price History Endpoint
+ * One entry per catalog version that contained the code, oldest first
+ */
+app.get("/products/:code/history", (req, res) => {
+  const code = String(req.params.code || "").trim();
+  
+  if (!appState.isReady) {
+    return res.status(503).json({
+      error: "Service temporarily unavailable",
+      message: "Product database is not loaded. Please try again in a moment.",
+      code
+    });
+  }
+  
+  const product = findProductByCode(appState.searchIndex, code);
+  const history = appState.priceHistory.get(product ? product.code : code) || [];
+  
+  if (!product && history.length === 0) {
+    return res.status(404).json({
+      error: "Product not found",
+      message: `No product with code ${code}`,
+      code
+    });
+  }
+  
+  res.json({
+    code: product ? product.code : code,
+    inCurrentCatalog: Boolean(product),
+    change: product ? product.change || null : null,
+    history
+  });
+});
+
+// ==========================================
+// ADMIN ROUTES (AUTHENTICATED)
+// ==========================================
+
+/**
+ * Every /admin route, present and future: reads need the "viewer" role,
+ * changes the "manager" role. Changes and refused requests are audited
+ */
+app.use("/admin", auditLog.middleware, (req, res, next) => {
+  const role = req.method === "GET" || req.method === "HEAD" ? "viewer" : "manager";
+  auth.requireRole(role)(req, res, next);
+});
+
+/**
+ * Admin: Current identity and role
+ */
+app.get("/admin/session", (req, res) => {
+  res.json({ ...req.admin, auth: auth.status() });
+});
+
+/**
+ * Admin: Latest audit entries, most recent first (?limit=100, max 1000)
+ */
+app.get("/admin/audit", auth.requireRole("manager"), async (req, res, next) => {
+  try {
+    const limit = parseIntParam(req.query.limit, AUDIT_DEFAULT_LIMIT, AUDIT_MAX_LIMIT) || AUDIT_DEFAULT_LIMIT;
+    res.json({ entries: await auditLog.readRecent(limit) });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * Admin: Reload products (for maintenance)
  */
 app.post("/admin/reload", (req, res) => {
   log.info("Manual reload requested");
   const success = loadProducts();
+  const dictionariesReloaded = reloadDictionaries();
   res.json({
     success,
     productCount: appState.productCount,
-    error: appState.loadError
+    error: appState.loadError,
+    dictionaries: {
+      success: dictionariesReloaded,
+      error: appState.dictionariesError
+    }
   });
 });
 
+function dictionariesSummary() {
+  const { synonyms, autoCorrections, loadedAt } = appState.dictionaries || {};
+  return {
+    synonyms: synonyms || {},
+    autoCorrections: autoCorrections || {},
+    loadedAt: loadedAt || null,
+    error: appState.dictionariesError
+  };
+}
+
+/**
+ * Apply a change to the search dictionaries: validate, save to disk and
+ * swap them in. Invalid changes are rejected and nothing is written
+ */
+function updateDictionaries(res, change) {
+  if (!appState.dictionaries) {
+    return res.status(503).json({
+      error: "Search dictionaries not loaded",
+      message: "Fix the dictionary files and call POST /admin/reload",
+      details: appState.dictionariesError ? appState.dictionariesError.details : []
+    });
+  }
+
+  try {
+    const dictionaries = saveDictionaries(change(appState.dictionaries), DICTIONARY_PATHS);
+    appState = { ...appState, dictionaries, dictionariesError: null };
+    log.info("Search dictionaries updated");
+    res.json(dictionariesSummary());
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      error: error.status === 404 ? "Dictionary entry not found" : "Invalid dictionary entry",
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * Admin: Search dictionaries (synonyms and autocorrections)
+ */
+app.get("/admin/dictionaries", (req, res) => {
+  res.json(dictionariesSummary());
+});
+
+/**
+ * Admin: Reload dictionaries from disk (after editing the JSON files)
+ */
+app.post("/admin/dictionaries/reload", (req, res) => {
+  const success = reloadDictionaries();
+  res.status(success ? 200 : 422).json({ success, ...dictionariesSummary() });
+});
+
+/**
+ * Admin: Add synonyms. Body: { "term": "sezionatore", "expansions": ["interruttore di manovra"] }
+ * Expansions are merged with the existing ones for the term
+ */
+app.post("/admin/dictionaries/synonyms", (req, res) => {
+  const { term, expansions } = req.body || {};
+  updateDictionaries(res, (dictionaries) => addSynonyms(dictionaries, term || "", expansions));
+});
+
+/**
+ * Admin: Remove a synonym term, or one expansion with ?expansion=...
+ */
+app.delete("/admin/dictionaries/synonyms/:term", (req, res) => {
+  updateDictionaries(res, (dictionaries) => removeSynonym(dictionaries, req.params.term, req.query.expansion));
+});
+
+/**
+ * Admin: Add or replace an autocorrection. Body: { "wrong": "sezionatre", "correct": "sezionatore" }
+ */
+app.post("/admin/dictionaries/corrections", (req, res) => {
+  const { wrong, correct } = req.body || {};
+  updateDictionaries(res, (dictionaries) => addCorrection(dictionaries, wrong || "", correct || ""));
+});
+
+/**
+ * Admin: Remove an autocorrection
+ */
+app.delete("/admin/dictionaries/corrections/:wrong", (req, res) => {
+  updateDictionaries(res, (dictionaries) => removeCorrection(dictionaries, req.params.wrong));
+});
+
+/**
+ * Admin: Search report for the last ?days=30: top queries, queries with no
+ * results and queries whose results were never added to the cart (?limit=20 each)
+ */
+app.get("/admin/search-report", async (req, res, next) => {
+  try {
+    const days = parseIntParam(req.query.days, SEARCH_REPORT_DEFAULT_DAYS, SEARCH_REPORT_MAX_DAYS) || SEARCH_REPORT_DEFAULT_DAYS;
+    const limit = parseIntParam(req.query.limit, SEARCH_REPORT_DEFAULT_LIMIT, SEARCH_MAX_LIMIT) || SEARCH_REPORT_DEFAULT_LIMIT;
+    res.json({ days, ...(await buildSearchReport(searchLog.filePath, { days, limit })) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Admin: Received orders, most recent first (?limit=50&offset=0)
+ */
+app.get("/admin/orders", (req, res) => {
+  if (!appState.orderStore) {
+    return res.status(503).json({ error: "Orders archive not available", message: appState.orderStoreError });
+  }
+  const limit = parseIntParam(req.query.limit, ORDERS_DEFAULT_LIMIT, SEARCH_MAX_LIMIT) || ORDERS_DEFAULT_LIMIT;
+  const offset = parseIntParam(req.query.offset, 0);
+  res.json({ limit, offset, ...appState.orderStore.list({ limit, offset }) });
+});
+
+/**
+ * Admin: One order by number (e.g. 2026-00012)
+ */
+app.get("/admin/orders/:number", (req, res) => {
+  if (!appState.orderStore) {
+    return res.status(503).json({ error: "Orders archive not available", message: appState.orderStoreError });
+  }
+  const order = appState.orderStore.get(req.params.number);
+  if (!order) {
+    return res.status(404).json({ error: "Order not found", number: req.params.number });
+  }
+  res.json(order);
+});
+
 // ==========================================
 // STATIC FILES (AFTER API)
 // ==========================================
-app.use(express.static(path.join(__dirname, "..")));
+// Only the public assets: the rest of the repository (backend/data with
+// admin users, orders, discounts and logs, the sources) is never served
+app.use("/frontend", express.static(path.join(PUBLIC_DIR, "frontend")));
+app.use("/shared", express.static(path.join(PUBLIC_DIR, "shared")));
+PUBLIC_FILES.forEach((file) => {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(PUBLIC_DIR, file)));
+});
 
 // ==========================================
 // CATCH-ALL: SERVE INDEX.HTML
 // ==========================================
 app.get("*", (req, res) => {
-  const indexPath = path.join(__dirname, "..", "index.html");
+  const indexPath = path.join(PUBLIC_DIR, "index.html");
+  
+  // Unknown files (anything with a dot in its name) are a 404, not the app shell
+  if (path.basename(req.path).includes(".")) {
+    return res.status(404).json({ error: "Not found", path: req.path });
+  }
   
   if (fs.existsSync(indexPath)) {
     res.sendFile(indexPath);
@@ -245,6 +1143,10 @@ app.get("*", (req, res) => {
 // ERROR HANDLER (LAST MIDDLEWARE)
 // ==========================================
 app.use((err, req, res, next) => {
+  // Body parser errors (body too large, invalid JSON) are client 4xx errors
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: "Invalid request", message: err.message });
+  }
   log.error("Unhandled error", err);
   res.status(500).json({
     error: "Internal server error",
@@ -255,6 +1157,17 @@ app.use((err, req, res, next) => {
 // ==========================================
 // BOOTSTRAP & START SERVER
 // ==========================================
+/**
+ * Loads products, search dictionaries and the orders archive into appState.
+ * Returns false when the products could not be loaded (degraded mode)
+ */
+function loadAppData() {
+  const loaded = loadProducts();
+  reloadDictionaries();
+  openOrderStore();
+  return loaded;
+}
+
 function startServer() {
   log.info("🚀 Starting SP Electric Catalog Server", {
     port: PORT,
@@ -264,7 +1177,24 @@ function startServer() {
   });
   
   // Load products BEFORE starting server
-  const loaded = loadProducts();
+  const loaded = loadAppData();
+  
+  const discountStatus = discounts.status();
+  if (discountStatus.error) {
+    log.error("❌ Invalid discounts file", discountStatus.error);
+  } else {
+    log.info("🏷️ Customer discounts", discountStatus);
+  }
+  
+  const authStatus = auth.status();
+  if (authStatus.error) {
+    log.error("❌ Invalid admin users file", authStatus.error);
+  }
+  if (authStatus.open) {
+    log.warn("⚠️ No admin credentials configured and ADMIN_OPEN=1: admin routes are OPEN (development only)");
+  } else if (!authStatus.configured) {
+    log.warn("⚠️ No admin credentials configured: admin routes are disabled", { hint: "npm run admin:users" });
+  }
   
   if (!loaded) {
     log.warn("⚠️ Server starting in DEGRADED mode (products not loaded)");
@@ -301,5 +1231,11 @@ process.on("SIGINT", () => {
 // ==========================================
 // START APPLICATION
 // ==========================================
-startServer();
+// Required by the tests: the app is exported without listening, they call
+// loadAppData themselves
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, loadAppData };
 
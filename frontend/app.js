@@ -20,12 +20,28 @@ const toastContainer = document.getElementById("toastContainer");
 // CONFIGURATION
 // ==========================================
 const API_URL = window.location.origin + "/search";
+const SUGGEST_URL = window.location.origin + "/suggest";
 const HEALTH_URL = window.location.origin + "/health";
+const PRODUCTS_URL = window.location.origin + "/products/";
+const CATEGORIES_URL = window.location.origin + "/categories";
+const OFFLINE_CATALOG_URL = window.location.origin + "/catalog/offline";
+const SERVICE_WORKER_URL = "sw.js";
+const SEARCH_EVENTS_URL = window.location.origin + "/search/events";
+const ORDERS_URL = window.location.origin + "/orders";
+const QUOTES_URL = window.location.origin + "/quotes/";
+const CUSTOMER_URL = window.location.origin + "/customers/me";
+const PRICES_URL = window.location.origin + "/prices";
+const ORDER_RULES_URL = window.location.origin + "/orders/rules";
+const PRODUCTS_LOOKUP_URL = window.location.origin + "/products/lookup";
+const PRODUCTS_IMPORT_URL = window.location.origin + "/products/import";
 const WHATSAPP_NUMBER = "393355994614";
 const EMAIL_ADDRESS = "m.ballicu@sp-electric.it";
 const SEARCH_MIN_LENGTH = 2; // Ricerca predittiva da 2 caratteri
 const SEARCH_DEBOUNCE_MS = 80; // Ultra-rapido (stile Google)
+const SEARCH_PAGE_SIZE = 20; // Risultati per pagina ("Mostra altri")
+const CATEGORY_PAGE_SIZE = 50; // Prodotti per pagina nella vista categoria
 const MAX_RETRIES = 2;
+const MAX_QUANTITY = 99999; // Quantità massima per riga accettata dal server
 
 // ==========================================
 // APPLICATION STATE
@@ -33,8 +49,25 @@ const MAX_RETRIES = 2;
 let appState = {
   cart: [],
   currentQuery: "",
+  results: [],
+  totalResults: 0,
+  suggestion: null,
+  autocomplete: { query: "", items: [], active: -1 }, // Completamenti sotto la casella (GET /suggest)
+  catalog: { categories: null, category: null, products: [], total: 0 }, // Albero (GET /categories) e categoria aperta
+  searchId: null,
+  sessionId: null,
+  customer: null, // { key, id, name } con un codice cliente valido
+  orderRules: null, // IVA, spedizione e ordine minimo (GET /orders/rules)
+  pasteLines: [], // Righe della lista incollata o della distinta, con il prodotto scelto (choice)
+  pasteSource: null, // "text" (lista incollata) o { columns } della distinta caricata
+  lastOrder: null,
+  offline: { active: false, index: null, savedAt: null, results: null }, // Ricerca sul catalogo salvato (offlineSearch.js)
+  orderQueue: [], // Ordini in attesa della rete (localStorage "orderQueue")
+  sentOrders: [], // Ordini della coda registrati, da mandare su WhatsApp o per email
+  sendingOrders: false,
   debounceTimer: null,
   searchInProgress: false,
+  loadingMore: false,
   backendHealthy: null
 };
 
@@ -43,6 +76,7 @@ let appState = {
 // ==========================================
 const DOM = {
   searchInput: document.getElementById("searchInput"),
+  searchAutocomplete: document.getElementById("searchAutocomplete"),
   clearSearchBtn: document.getElementById("clearSearch"),
   resultsList: document.getElementById("resultsList"),
   resultsMeta: document.getElementById("resultsMeta"),
@@ -53,10 +87,22 @@ const DOM = {
   cartItems: document.getElementById("cartItems"),
   cartBadge: document.getElementById("cartBadge"),
   cartTotal: document.getElementById("cartTotal"),
+  cartSummary: document.getElementById("cartSummary"),
   totalAmount: document.getElementById("totalAmount"),
   sendOrderBtn: document.getElementById("sendOrderBtn"),
   sendEmailBtn: document.getElementById("sendEmailBtn"),
   clearCartBtn: document.getElementById("clearCart"),
+  quotePdfBtn: document.getElementById("quotePdfBtn"),
+  quoteXlsxBtn: document.getElementById("quoteXlsxBtn"),
+  customerForm: document.getElementById("customerForm"),
+  customerKey: document.getElementById("customerKey"),
+  customerKeyStatus: document.getElementById("customerKeyStatus"),
+  pasteListInput: document.getElementById("pasteListInput"),
+  pasteListCheck: document.getElementById("pasteListCheck"),
+  pasteListAdd: document.getElementById("pasteListAdd"),
+  pasteListResult: document.getElementById("pasteListResult"),
+  bomFileInput: document.getElementById("bomFileInput"),
+  offlineNotice: document.getElementById("offlineNotice"),
   toastContainer: document.getElementById("toastContainer")
 };
 
@@ -65,9 +111,17 @@ const DOM = {
 // ==========================================
 function init() {
   appState.cart = loadCartFromStorage();
+  appState.sessionId = loadSessionId();
+  appState.orderQueue = loadOrderQueue();
+  loadCustomerForm();
+  loadCustomerKey();
   renderCart();
+  renderOfflineNotice();
   setupEventListeners();
+  registerServiceWorker();
   checkBackendHealth();
+  loadOrderRules();
+  handleRoute();
 }
 
 // ==========================================
@@ -87,7 +141,10 @@ async function checkBackendHealth() {
       if (!appState.backendHealthy) {
         showToast("⚠️ Sistema in modalità degradata", "warning");
         console.warn("Backend degraded:", health);
+      } else {
+        syncOfflineCatalog();
       }
+      sendQueuedOrders();
     } else {
       appState.backendHealthy = false;
     }
@@ -97,6 +154,18 @@ async function checkBackendHealth() {
   }
 }
 
+// Regole di fine ordine: senza, il carrello mostra solo il totale merce
+async function loadOrderRules() {
+  try {
+    const response = await fetch(ORDER_RULES_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    appState.orderRules = await response.json();
+    renderCart();
+  } catch (error) {
+    console.error("Order rules not loaded:", error);
+  }
+}
+
 // Local storage (Fail-safe)
 function saveCartToStorage() {
   try {
@@ -146,6 +215,145 @@ function loadCartFromStorage() {
   }
 }
 
+// Dati cliente del carrello (ordine e preventivo), ricordati nel browser
+function readCustomerForm() {
+  const customer = {};
+  DOM.customerForm.querySelectorAll("input, textarea").forEach((field) => {
+    const value = field.value.trim();
+    if (value) customer[field.name] = value;
+  });
+  return customer;
+}
+
+function saveCustomerForm() {
+  try {
+    localStorage.setItem("customer", JSON.stringify(readCustomerForm()));
+  } catch (error) {
+    console.error("Errore salvataggio dati cliente:", error);
+  }
+}
+
+function loadCustomerForm() {
+  try {
+    const customer = JSON.parse(localStorage.getItem("customer") || "{}");
+    DOM.customerForm.querySelectorAll("input, textarea").forEach((field) => {
+      field.value = typeof customer[field.name] === "string" ? customer[field.name] : "";
+    });
+  } catch (error) {
+    console.warn("Dati cliente non validi, ignorati");
+  }
+}
+
+// ==========================================
+// CODICE CLIENTE (PREZZI NETTI)
+// ==========================================
+
+// Header del cliente per le chiamate che restituiscono prezzi
+function customerHeaders(headers = {}) {
+  return appState.customer ? { ...headers, "X-Customer-Key": appState.customer.key } : headers;
+}
+
+function loadCustomerKey() {
+  try {
+    const key = localStorage.getItem("customerKey") || "";
+    DOM.customerKey.value = key;
+    if (key) applyCustomerKey(key, { quiet: true });
+  } catch (error) {
+    console.warn("Codice cliente non leggibile, ignorato");
+  }
+}
+
+function renderCustomerKeyStatus(text, state = "") {
+  DOM.customerKeyStatus.textContent = text;
+  DOM.customerKeyStatus.className = `customer-key-status ${state}`.trim();
+}
+
+// Verifica il codice sul server; con un codice valido ricerca, scheda e
+// carrello passano ai prezzi netti del cliente
+async function applyCustomerKey(key, { quiet = false } = {}) {
+  const previous = appState.customer;
+
+  if (!key) {
+    appState.customer = null;
+    renderCustomerKeyStatus("");
+  } else {
+    try {
+      const response = await fetch(CUSTOMER_URL, { headers: { "X-Customer-Key": key } });
+      if (response.status === 401) {
+        appState.customer = null;
+        renderCustomerKeyStatus("Codice non valido", "invalid");
+        if (!quiet) showToast("Codice cliente non valido", "error");
+      } else if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      } else {
+        const customer = await response.json();
+        appState.customer = { key, id: customer.id, name: customer.name };
+        renderCustomerKeyStatus(`✓ ${customer.name}`, "valid");
+        if (!quiet) showToast(`Prezzi netti per ${customer.name}`, "success");
+      }
+    } catch (error) {
+      // Server non raggiungibile: il codice resta salvato e si riprova al prossimo avvio
+      console.error("Customer key check failed:", error);
+      renderCustomerKeyStatus("Verifica non riuscita", "invalid");
+      return;
+    }
+  }
+
+  try {
+    if (key) localStorage.setItem("customerKey", key);
+    else localStorage.removeItem("customerKey");
+  } catch (error) {
+    console.error("Errore salvataggio codice cliente:", error);
+  }
+
+  const previousId = previous ? previous.id : null;
+  const currentId = appState.customer ? appState.customer.id : null;
+  if (previousId === currentId && !quiet) return;
+
+  await refreshCartPrices();
+  if (parseRoute().view !== "search") handleRoute();
+  else if (appState.currentQuery) performSearch(appState.currentQuery);
+}
+
+// Prezzi del carrello ricalcolati per il cliente corrente (o di listino)
+async function refreshCartPrices() {
+  if (appState.cart.length === 0) return;
+
+  try {
+    const response = await fetch(PRICES_URL, {
+      method: "POST",
+      headers: customerHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ codes: appState.cart.map((item) => item.code) })
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const { prices } = await response.json();
+    appState.cart.forEach((item) => {
+      const current = prices[item.code];
+      if (current) setCartItemPrices(item, current.price || "", current.netPrice, current.discount);
+    });
+    saveCartToStorage();
+    renderCart();
+  } catch (error) {
+    console.error("Cart price refresh failed:", error);
+  }
+}
+
+// Id della scheda del browser: il report delle ricerche la usa per
+// riconoscere le query digitate a metà (ricerca predittiva)
+function loadSessionId() {
+  try {
+    let sessionId = sessionStorage.getItem("searchSession");
+    if (!sessionId) {
+      sessionId = Math.random().toString(36).slice(2) + Date.now().toString(36);
+      sessionStorage.setItem("searchSession", sessionId);
+    }
+    return sessionId;
+  } catch (error) {
+    return null;
+  }
+}
+
 // Toast notifications
 function showToast(message, type = "info") {
   const toast = document.createElement("div");
@@ -201,8 +409,48 @@ function highlightText(text, query) {
   return text.replace(regex, '<mark>$1</mark>');
 }
 
-// Render results
-function renderResults(items) {
+// Badge "Novità" / "Prezzo aggiornato" rispetto al listino precedente
+function renderChangeBadge(product) {
+  const change = product.change;
+  if (!change) return "";
+
+  if (change.type === "new") {
+    return ` <span class="change-badge badge-new">Novità</span>`;
+  }
+
+  if (change.type === "price") {
+    const percent = typeof change.percent === "number"
+      ? ` ${change.percent > 0 ? "+" : ""}${formatNumber(change.percent)}%`
+      : "";
+    return ` <span class="change-badge badge-price" title="Prezzo precedente: € ${escapeHtml(change.previousPrice)}">Prezzo aggiornato${percent}</span>`;
+  }
+
+  return "";
+}
+
+// Prodotto trovato per sigla del produttore o codice di un altro produttore
+function renderMatchBadge(product) {
+  const matched = product.matchedBy;
+  if (!matched) return "";
+
+  if (matched.type === "serial") {
+    return ` <span class="match-badge" title="Trovato per sigla del produttore">Sigla ${escapeHtml(matched.value)}</span>`;
+  }
+  if (matched.type === "cross-reference") {
+    const reference = [matched.brand, matched.value].filter(Boolean).join(" ");
+    return ` <span class="match-badge" title="Codice equivalente di un altro produttore">Equivale a ${escapeHtml(reference)}</span>`;
+  }
+  return "";
+}
+
+// Costruisce l'URL di ricerca con paginazione
+function buildSearchUrl(query, offset = 0) {
+  const session = appState.sessionId ? `&session=${encodeURIComponent(appState.sessionId)}` : "";
+  return `${API_URL}?q=${encodeURIComponent(query)}&limit=${SEARCH_PAGE_SIZE}&offset=${offset}${session}`;
+}
+
+// Render results (tutte le pagine caricate finora)
+function renderResults(items, total = items.length) {
   DOM.resultsList.innerHTML = "";
 
   if (!items.length) {
@@ -217,7 +465,9 @@ function renderResults(items) {
     return;
   }
 
-  DOM.resultsMeta.textContent = `${items.length} ${items.length === 1 ? 'prodotto trovato' : 'prodotti trovati'}`;
+  DOM.resultsMeta.textContent = total > items.length
+    ? `${total} prodotti trovati (mostrati ${items.length})`
+    : `${total} ${total === 1 ? 'prodotto trovato' : 'prodotti trovati'}`;
 
   const { categoryOrder, grouped } = buildGroupedResults(items);
 
@@ -252,11 +502,11 @@ function renderResults(items) {
         const highlightedName = highlightText(row.name || "", appState.currentQuery);
         
         rowEl.innerHTML = `
-          <span class="row-code">${highlightedCode}</span>
-          <span class="row-desc">${highlightedName}</span>
-          <span class="row-serial">${row.serial || ""}</span>
-          <span class="row-price">${row.price || ""}</span>
-          <button class="add-to-cart-btn" data-code="${row.code}" data-desc="${row.name}" data-price="${row.price}">➕ Aggiungi</button>
+          <a class="row-code" href="${productLink(row.code)}" title="Scheda prodotto">${highlightedCode}</a>
+          <span class="row-desc">${highlightedName}${renderChangeBadge(row)}${renderMatchBadge(row)}</span>
+          <span class="row-serial ${row.matchedBy && row.matchedBy.type === "serial" ? "matched" : ""}">${row.serial || ""}</span>
+          <span class="row-price">${renderPrice(row)}</span>
+          <button class="add-to-cart-btn" ${cartButtonData(row)}>➕ Aggiungi</button>
         `;
         productList.appendChild(rowEl);
       });
@@ -268,6 +518,408 @@ function renderResults(items) {
 
     DOM.resultsList.appendChild(categoryItem);
   });
+
+  if (total > items.length) {
+    renderLoadMore(total - items.length);
+  }
+}
+
+// Pulsante "Mostra altri" + caricamento automatico a fine lista
+function renderLoadMore(remaining, loadMore = loadMoreResults) {
+  const loadMoreBtn = document.createElement("button");
+  loadMoreBtn.className = "load-more-btn";
+  loadMoreBtn.textContent = `Mostra altri (${remaining} rimanenti)`;
+  loadMoreBtn.addEventListener("click", loadMore);
+  DOM.resultsList.appendChild(loadMoreBtn);
+
+  if ("IntersectionObserver" in window) {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        observer.disconnect();
+        loadMore();
+      }
+    }, { rootMargin: "200px" });
+    observer.observe(loadMoreBtn);
+  }
+}
+
+// ==========================================
+// SCHEDA PRODOTTO (deep link #/p/CODICE)
+// ==========================================
+const ATTRIBUTE_LABELS = {
+  amperes: (v) => `Corrente nominale: ${formatNumber(v)} A`,
+  breakingCapacityKa: (v) => `Potere di interruzione: ${formatNumber(v)} kA`,
+  sensitivityMa: (v) => `Sensibilità: ${v} mA`,
+  curve: (v) => `Curva: ${v}`,
+  poles: (v, attrs) => `Poli: ${v}${attrs.neutral ? " + N" : ""}`,
+  modules: (v) => `Moduli: ${formatNumber(v)}`,
+  voltage: (v) => `Tensione: ${formatNumber(v)} V`,
+  ipRating: (v) => `Grado di protezione: IP${v}`,
+  sectionMm2: (v) => `Sezione: ${formatNumber(v)} mm²`
+};
+
+function formatNumber(value) {
+  return String(value).replace('.', ',');
+}
+
+// "1.234,56" (prezzi del listino) → 1234.56
+function parsePriceText(price) {
+  return parseFloat(String(price || "").replace(/\./g, "").replace(",", ".")) || 0;
+}
+
+function formatEuro(value) {
+  return `€${value.toFixed(2).replace('.', ',')}`;
+}
+
+// Prezzo di listino, barrato quando il cliente ha un prezzo netto
+function renderPrice(product) {
+  if (!product.netPrice) return escapeHtml(product.price || "");
+  return `<s class="price-list">${escapeHtml(product.price)}</s> <span class="price-net">${escapeHtml(product.netPrice)}</span> <span class="price-discount">-${escapeHtml(product.discount)}%</span>`;
+}
+
+// Attributi del pulsante "Aggiungi" con i prezzi del prodotto
+function cartButtonData(product) {
+  return `data-code="${escapeHtml(product.code)}" data-desc="${escapeHtml(product.name)}" data-price="${escapeHtml(product.price || "")}" data-net-price="${escapeHtml(product.netPrice || "")}" data-discount="${escapeHtml(product.discount || "")}"`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function productLink(code) {
+  return `#/p/${encodeURIComponent(code)}`;
+}
+
+// #/p/CODICE scheda prodotto, #/c catalogo, #/c/ID categoria, altrimenti ricerca
+function parseRoute() {
+  const hash = window.location.hash;
+  const product = hash.match(/^#\/p\/(.+)$/);
+  if (product) return { view: "product", code: decodeURIComponent(product[1]) };
+
+  const category = hash.match(/^#\/c(?:\/(.+))?$/);
+  if (category) return { view: "category", id: category[1] ? decodeURIComponent(category[1]) : null };
+
+  return { view: "search" };
+}
+
+function handleRoute() {
+  const route = parseRoute();
+  if (route.view === "product") {
+    showProductDetail(route.code);
+    return;
+  }
+  if (route.view === "category") {
+    showCategory(route.id);
+    return;
+  }
+
+  // Ritorno alla ricerca: ripristina i risultati già caricati
+  if (appState.currentQuery) {
+    renderResults(appState.results, appState.totalResults);
+  } else {
+    showCatalogRoot();
+  }
+}
+
+// Da scheda prodotto o catalogo torna alla ricerca (senza ricaricare)
+function leaveRoute() {
+  if (parseRoute().view !== "search") {
+    history.pushState("", document.title, window.location.pathname + window.location.search);
+  }
+}
+
+async function showProductDetail(code) {
+  DOM.resultsMeta.textContent = "Caricamento scheda...";
+  DOM.resultsList.innerHTML = "";
+
+  try {
+    const response = await fetch(PRODUCTS_URL + encodeURIComponent(code), { headers: customerHeaders() });
+
+    if (response.status === 404) {
+      renderProductNotFound(code);
+      return;
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const data = await response.json();
+
+    // L'utente ha già cambiato pagina
+    if (parseRoute().code !== code) return;
+
+    renderProductDetail(data.product, data.siblings || [], data.siblingsTotal || 0);
+  } catch (error) {
+    console.error("Product detail failed:", error);
+    if (await showOfflineProductDetail(code)) return;
+    DOM.resultsMeta.textContent = "Errore di connessione";
+    showToast("Impossibile caricare la scheda prodotto", "error");
+  }
+}
+
+function renderProductNotFound(code) {
+  DOM.resultsMeta.textContent = "Prodotto non trovato";
+  DOM.resultsList.innerHTML = `
+    <div style="text-align:center;padding:60px 20px;">
+      <div style="font-size:48px;margin-bottom:16px;">🔍</div>
+      <p style="color:var(--gray-600);font-size:16px;margin:0;">Nessun prodotto con codice <strong>${escapeHtml(code)}</strong></p>
+      <a href="#" class="detail-back" style="display:inline-block;margin-top:16px;">← Torna alla ricerca</a>
+    </div>
+  `;
+}
+
+function renderProductDetail(product, siblings, siblingsTotal) {
+  DOM.resultsMeta.textContent = `Scheda prodotto ${product.code}`;
+
+  const attributes = product.attributes || {};
+  const attributeItems = Object.keys(ATTRIBUTE_LABELS)
+    .filter((key) => attributes[key] !== undefined)
+    .map((key) => `<li>${escapeHtml(ATTRIBUTE_LABELS[key](attributes[key], attributes))}</li>`)
+    .join("");
+
+  const siblingRows = siblings.map(renderProductRow).join("");
+  const trail = product.categoryTrail || [];
+  const path = trail.length > 0
+    ? trail.map((category) => `<a href="${categoryLink(category.id)}">${escapeHtml(category.name)}</a>`).join(" › ")
+    : (product.categoryPath || []).map(escapeHtml).join(" › ");
+
+  DOM.resultsList.innerHTML = `
+    <div class="product-detail">
+      <a href="#" class="detail-back">← Torna ai risultati</a>
+      <div class="detail-path">${path}</div>
+      <h3 class="detail-title">${escapeHtml(product.name)}${renderChangeBadge(product)}</h3>
+      <dl class="detail-fields">
+        <dt>Codice</dt><dd class="row-code">${escapeHtml(product.code)}</dd>
+        <dt>Sigla</dt><dd>${escapeHtml(product.serial || "-")}</dd>
+        <dt>Prezzo di listino</dt><dd>${product.price ? `€ ${escapeHtml(product.price)}` : "-"}</dd>
+        ${product.netPrice ? `<dt>Prezzo netto</dt><dd><span class="price-net">€ ${escapeHtml(product.netPrice)}</span> <span class="price-discount">-${escapeHtml(product.discount)}%</span></dd>` : ""}
+      </dl>
+      ${attributeItems ? `<ul class="detail-attributes">${attributeItems}</ul>` : ""}
+      ${product.description ? `<p class="detail-description">${escapeHtml(product.description)}</p>` : ""}
+      <div class="detail-actions">
+        <button class="add-to-cart-btn" ${cartButtonData(product)}>➕ Aggiungi al carrello</button>
+        <button class="copy-link-btn" data-code="${escapeHtml(product.code)}">🔗 Copia link</button>
+      </div>
+    </div>
+    ${siblingRows ? `
+      <div class="category-block">
+        <div class="category-header">Altri prodotti della stessa categoria (${siblingsTotal})</div>
+        <div class="product-rows">${siblingRows}</div>
+      </div>
+    ` : ""}
+  `;
+}
+
+// Riga prodotto fuori dalla ricerca (scheda, categoria): codice, descrizione, sigla, prezzo
+function renderProductRow(row) {
+  return `
+    <div class="product-row">
+      <a class="row-code" href="${productLink(row.code)}">${escapeHtml(row.code)}</a>
+      <span class="row-desc">${escapeHtml(row.name)}${renderChangeBadge(row)}</span>
+      <span class="row-serial">${escapeHtml(row.serial || "")}</span>
+      <span class="row-price">${renderPrice(row)}</span>
+      <button class="add-to-cart-btn" ${cartButtonData(row)}>➕ Aggiungi</button>
+    </div>
+  `;
+}
+
+async function copyProductLink(code) {
+  const url = `${window.location.origin}${window.location.pathname}${productLink(code)}`;
+  try {
+    await navigator.clipboard.writeText(url);
+    showToast("Link copiato", "success");
+  } catch (error) {
+    console.error("Copy link failed:", error);
+    window.prompt("Copia il link del prodotto:", url);
+  }
+}
+
+// ==========================================
+// CATALOGO PER CATEGORIE (famiglia › serie › categoria)
+// ==========================================
+
+function categoryLink(id) {
+  return id ? `#/c/${encodeURIComponent(id)}` : "#/c";
+}
+
+function productCountText(count) {
+  return `${count} ${count === 1 ? "prodotto" : "prodotti"}`;
+}
+
+// Albero delle categorie, caricato una volta; null se il server non risponde
+async function loadCategories() {
+  if (appState.catalog.categories) return appState.catalog.categories;
+
+  try {
+    const response = await fetch(CATEGORIES_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    appState.catalog.categories = data.categories || [];
+    return appState.catalog.categories;
+  } catch (error) {
+    console.error("Categories failed:", error);
+    return null;
+  }
+}
+
+function renderBreadcrumbs(path) {
+  const links = [{ id: null, name: "Catalogo" }, ...path];
+  const items = links.map((item, index) => (index === links.length - 1
+    ? `<span aria-current="page">${escapeHtml(item.name)}</span>`
+    : `<a href="${categoryLink(item.id)}">${escapeHtml(item.name)}</a>`));
+  return `<nav class="catalog-breadcrumbs" aria-label="Percorso nel catalogo">${items.join(`<span class="breadcrumb-separator">›</span>`)}</nav>`;
+}
+
+function renderCategoryCards(categories) {
+  const cards = categories.map((category) => `
+    <a class="category-card" href="${categoryLink(category.id)}">
+      <span class="category-card-name">${escapeHtml(category.name)}</span>
+      <span class="category-card-count">${productCountText(category.count)}</span>
+    </a>
+  `).join("");
+  return `<div class="category-grid">${cards}</div>`;
+}
+
+// Famiglie del listino: sotto la ricerca vuota e in #/c
+async function showCatalogRoot() {
+  const view = parseRoute().view;
+  DOM.resultsMeta.textContent = view === "search" ? "Inizia a cercare" : "Caricamento catalogo...";
+  DOM.resultsList.innerHTML = "";
+
+  const categories = await loadCategories();
+
+  // L'utente ha già cercato qualcosa o cambiato pagina
+  if (parseRoute().view !== view || (view === "search" && appState.currentQuery)) return;
+
+  if (!categories) {
+    if (view === "category") {
+      DOM.resultsMeta.textContent = "Errore di connessione";
+      showToast("Impossibile caricare il catalogo", "error");
+    }
+    return;
+  }
+
+  const total = categories.reduce((sum, category) => sum + category.count, 0);
+  if (view === "category") DOM.resultsMeta.textContent = `Catalogo (${productCountText(total)})`;
+  DOM.resultsList.innerHTML = `
+    <div class="catalog-view">
+      ${view === "category" ? renderBreadcrumbs([]) : `<div class="category-header">📂 Sfoglia il catalogo (${productCountText(total)})</div>`}
+      ${renderCategoryCards(categories)}
+    </div>
+  `;
+}
+
+function categoryProductsUrl(id, offset = 0) {
+  return `${CATEGORIES_URL}/${encodeURIComponent(id)}/products?limit=${CATEGORY_PAGE_SIZE}&offset=${offset}`;
+}
+
+async function showCategory(id) {
+  if (!id) {
+    showCatalogRoot();
+    return;
+  }
+
+  DOM.resultsMeta.textContent = "Caricamento categoria...";
+  DOM.resultsList.innerHTML = "";
+
+  try {
+    const response = await fetch(categoryProductsUrl(id), { headers: customerHeaders() });
+
+    if (response.status === 404) {
+      renderCategoryNotFound();
+      return;
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const data = await response.json();
+
+    // L'utente ha già cambiato pagina
+    if (parseRoute().id !== id) return;
+
+    appState.catalog.category = data.category;
+    appState.catalog.products = data.products || [];
+    appState.catalog.total = data.total || 0;
+    renderCategoryView();
+  } catch (error) {
+    console.error("Category failed:", error);
+    DOM.resultsMeta.textContent = "Errore di connessione";
+    showToast("Impossibile caricare la categoria", "error");
+  }
+}
+
+function renderCategoryNotFound() {
+  DOM.resultsMeta.textContent = "Categoria non trovata";
+  DOM.resultsList.innerHTML = `
+    <div style="text-align:center;padding:60px 20px;">
+      <div style="font-size:48px;margin-bottom:16px;">📂</div>
+      <p style="color:var(--gray-600);font-size:16px;margin:0;">La categoria non esiste più nel listino</p>
+      <a href="#/c" class="catalog-link" style="display:inline-block;margin-top:16px;">← Torna al catalogo</a>
+    </div>
+  `;
+}
+
+// Sottocategorie come schede; nell'ultimo livello la tabella dei prodotti
+function renderCategoryView() {
+  const { category, products, total } = appState.catalog;
+  DOM.resultsMeta.textContent = `${category.name} (${productCountText(category.count)})`;
+
+  const content = category.children.length > 0
+    ? renderCategoryCards(category.children)
+    : `
+      <div class="product-rows">
+        <div class="product-row product-row-header" aria-hidden="true">
+          <span>Codice</span><span>Descrizione</span><span class="row-serial">Sigla</span><span class="row-price">Prezzo €</span><span></span>
+        </div>
+        ${products.map(renderProductRow).join("")}
+      </div>
+    `;
+
+  DOM.resultsList.innerHTML = `
+    <div class="catalog-view">
+      ${renderBreadcrumbs(category.path)}
+      ${content}
+    </div>
+  `;
+
+  if (category.children.length === 0 && total > products.length) {
+    renderLoadMore(total - products.length, loadMoreCategoryProducts);
+  }
+}
+
+// Pagina successiva dei prodotti della categoria aperta
+async function loadMoreCategoryProducts() {
+  const { category } = appState.catalog;
+  if (!category || appState.loadingMore || appState.catalog.products.length >= appState.catalog.total) return;
+
+  appState.loadingMore = true;
+  const loadMoreBtn = DOM.resultsList.querySelector(".load-more-btn");
+  if (loadMoreBtn) {
+    loadMoreBtn.disabled = true;
+    loadMoreBtn.textContent = "Caricamento...";
+  }
+
+  try {
+    const response = await fetch(categoryProductsUrl(category.id, appState.catalog.products.length), { headers: customerHeaders() });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const data = await response.json();
+    if (parseRoute().id !== category.id) return;
+
+    appState.catalog.products = appState.catalog.products.concat(data.products || []);
+    appState.catalog.total = data.total ?? appState.catalog.products.length;
+    renderCategoryView();
+  } catch (error) {
+    console.error("Load more failed:", error);
+    showToast("Errore nel caricamento di altri prodotti", "error");
+    if (loadMoreBtn) {
+      loadMoreBtn.disabled = false;
+      loadMoreBtn.textContent = "Riprova";
+    }
+  } finally {
+    appState.loadingMore = false;
+  }
 }
 
 // ==========================================
@@ -275,15 +927,19 @@ function renderResults(items) {
 // ==========================================
 async function performSearch(query, retryCount = 0) {
   if (query.length < SEARCH_MIN_LENGTH) {
-    DOM.resultsList.innerHTML = "";
-    DOM.resultsMeta.textContent = "Inizia a cercare";
     DOM.searchHint.textContent = `Digita almeno ${SEARCH_MIN_LENGTH} caratteri per cercare`;
     DOM.clearSearchBtn.style.display = "none";
     appState.currentQuery = "";
+    appState.results = [];
+    appState.totalResults = 0;
+    appState.suggestion = null;
+    appState.searchId = null;
+    if (parseRoute().view === "search") showCatalogRoot();
     return;
   }
 
   appState.currentQuery = query;
+  appState.offline.results = null;
   appState.searchInProgress = true;
   DOM.clearSearchBtn.style.display = "block";
   DOM.searchHint.textContent = "🔍 Ricerca in corso...";
@@ -293,8 +949,9 @@ async function performSearch(query, retryCount = 0) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 10000); // 10s timeout
     
-    const response = await fetch(`${API_URL}?q=${encodeURIComponent(query)}`, {
-      signal: controller.signal
+    const response = await fetch(buildSearchUrl(query), {
+      signal: controller.signal,
+      headers: customerHeaders()
     });
     
     clearTimeout(timeoutId);
@@ -309,22 +966,38 @@ async function performSearch(query, retryCount = 0) {
     }
     
     const data = await response.json();
-    renderResults(data.results || []);
-    DOM.searchHint.textContent = "";
+    
+    // Risposta superata da una ricerca più recente
+    if (query !== appState.currentQuery) return;
+    
+    appState.results = data.results || [];
+    appState.totalResults = data.total ?? appState.results.length;
+    appState.suggestion = data.suggestion || null;
+    appState.searchId = data.searchId || null;
+    renderSuggestion(appState.suggestion);
     appState.searchInProgress = false;
+    setOffline(false);
+    
+    // Se nel frattempo è stata aperta una scheda prodotto, i risultati
+    // restano in memoria per il ritorno alla ricerca
+    if (parseRoute().view === "search") {
+      renderResults(appState.results, appState.totalResults);
+    }
     
   } catch (error) {
     console.error("Search failed:", error);
     appState.searchInProgress = false;
     
-    // Retry logic (only for network errors, not 503)
-    if (retryCount < MAX_RETRIES && error.name !== "AbortError") {
+    // Retry logic (only for network errors, not 503; offline it is pointless)
+    if (retryCount < MAX_RETRIES && error.name !== "AbortError" && navigator.onLine) {
       console.log(`Retrying search (${retryCount + 1}/${MAX_RETRIES})...`);
       setTimeout(() => performSearch(query, retryCount + 1), 1000);
       return;
     }
     
-    // Final failure
+    // Final failure: ricerca sul catalogo salvato, se c'è
+    if (await showOfflineResults(query)) return;
+    if (query !== appState.currentQuery) return;
     DOM.resultsMeta.textContent = "Errore di connessione";
     DOM.searchHint.innerHTML = `<span style="color:var(--danger);">❌ ${error.message || "Impossibile connettersi al server"}</span>`;
     DOM.resultsList.innerHTML = `
@@ -339,33 +1012,245 @@ async function performSearch(query, retryCount = 0) {
   }
 }
 
-// Cart functions
-function addToCart(code, description, price) {
-  // Validazione input
-  if (!code || !description) {
-    showToast("Errore: dati prodotto non validi", "error");
+// "Forse cercavi": un clic rilancia la ricerca con la query corretta
+function renderSuggestion(suggestion) {
+  if (!suggestion) {
+    DOM.searchHint.textContent = "";
     return;
   }
-  
-  const existingItem = appState.cart.find(item => item.code === code);
-  if (existingItem) {
-    existingItem.quantity += 1;
-    showToast(`Quantità aggiornata: ${code}`, "success");
-  } else {
-    // Estrai il prezzo numerico dalla stringa
-    const priceValue = parseFloat(price.replace(/[^\d,.-]/g, '').replace(',', '.')) || 0;
-    appState.cart.push({ 
-      code, 
-      description, 
-      price: price,
-      priceValue: priceValue,
-      quantity: 1 
-    });
-    showToast(`Prodotto aggiunto: ${code}`, "success");
-  }
-  
-  saveCartToStorage();
-  renderCart();
+  DOM.searchHint.innerHTML = `Forse cercavi: <button type="button" class="suggestion-link">${escapeHtml(suggestion)}</button>`;
+}
+
+function applySuggestion() {
+  const suggestion = appState.suggestion;
+  if (!suggestion) return;
+  DOM.searchInput.value = suggestion;
+  clearTimeout(appState.debounceTimer);
+  performSearch(suggestion);
+}
+
+// ==========================================
+// AUTOCOMPLETAMENTO (frecce, Invio, Esc)
+// ==========================================
+
+const AUTOCOMPLETE_ICONS = { product: "📦", query: "🔍", category: "📁" };
+
+async function loadAutocomplete(query) {
+  if (query.length < SEARCH_MIN_LENGTH) {
+    closeAutocomplete();
+    return;
+  }
+
+  try {
+    const response = await fetch(`${SUGGEST_URL}?q=${encodeURIComponent(query)}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+
+    // Testo cambiato o casella lasciata nel frattempo
+    if (DOM.searchInput.value.trim() !== query || document.activeElement !== DOM.searchInput) return;
+
+    appState.autocomplete = { query, items: data.suggestions || [], active: -1 };
+    renderAutocomplete();
+  } catch (error) {
+    // Senza completamenti la ricerca funziona lo stesso
+    console.error("Autocomplete failed:", error);
+    closeAutocomplete();
+  }
+}
+
+function autocompleteDetail(item) {
+  if (item.type === "product") return escapeHtml(item.serial ? `${item.serial} · ${item.name}` : item.name);
+  if (item.type === "category") return `categoria · ${item.count} prodotti`;
+  return `${item.count} prodotti`;
+}
+
+function renderAutocomplete() {
+  const { items, active } = appState.autocomplete;
+  DOM.searchAutocomplete.innerHTML = items.map((item, index) => `
+    <li id="autocomplete-${index}" class="autocomplete-item ${item.type} ${index === active ? "active" : ""}"
+        role="option" aria-selected="${index === active}" data-index="${index}">
+      <span>${AUTOCOMPLETE_ICONS[item.type]}</span>
+      <span class="autocomplete-text">${escapeHtml(item.text)}</span>
+      <span class="autocomplete-detail">${autocompleteDetail(item)}</span>
+    </li>
+  `).join("");
+
+  const open = items.length > 0;
+  DOM.searchAutocomplete.hidden = !open;
+  DOM.searchInput.setAttribute("aria-expanded", String(open));
+  if (active >= 0) {
+    DOM.searchInput.setAttribute("aria-activedescendant", `autocomplete-${active}`);
+    const activeItem = document.getElementById(`autocomplete-${active}`);
+    if (activeItem.scrollIntoView) activeItem.scrollIntoView({ block: "nearest" });
+  } else {
+    DOM.searchInput.removeAttribute("aria-activedescendant");
+  }
+}
+
+function closeAutocomplete() {
+  appState.autocomplete = { query: "", items: [], active: -1 };
+  renderAutocomplete();
+}
+
+// Freccia giù/su: da -1 (nessuna voce, resta il testo digitato) all'ultima voce
+function moveAutocomplete(step) {
+  const { items, active } = appState.autocomplete;
+  appState.autocomplete.active = Math.max(-1, Math.min(items.length - 1, active + step));
+  renderAutocomplete();
+}
+
+// Un codice apre la scheda prodotto; frasi e categorie diventano la ricerca
+function chooseAutocomplete(index) {
+  const item = appState.autocomplete.items[index];
+  if (!item) return;
+  closeAutocomplete();
+  clearTimeout(appState.debounceTimer);
+
+  if (item.type === "product") {
+    window.location.hash = productLink(item.code);
+    return;
+  }
+  DOM.searchInput.value = item.text;
+  leaveRoute();
+  performSearch(item.text);
+}
+
+function handleAutocompleteKey(event) {
+  const open = appState.autocomplete.items.length > 0;
+  if (event.key === "ArrowDown" && open) {
+    event.preventDefault();
+    moveAutocomplete(1);
+  } else if (event.key === "ArrowUp" && open) {
+    event.preventDefault();
+    moveAutocomplete(-1);
+  } else if (event.key === "Enter" && open && appState.autocomplete.active >= 0) {
+    event.preventDefault();
+    chooseAutocomplete(appState.autocomplete.active);
+  } else if (event.key === "Escape" || event.key === "Enter") {
+    closeAutocomplete();
+  }
+}
+
+// Pagina successiva della ricerca corrente
+async function loadMoreResults() {
+  const query = appState.currentQuery;
+  if (!query || appState.loadingMore || appState.results.length >= appState.totalResults) return;
+
+  // Risultati offline: tutti già in memoria
+  if (appState.offline.results) {
+    appState.results = appState.offline.results.slice(0, appState.results.length + SEARCH_PAGE_SIZE);
+    renderResults(appState.results, appState.totalResults);
+    return;
+  }
+
+  appState.loadingMore = true;
+  const loadMoreBtn = DOM.resultsList.querySelector(".load-more-btn");
+  if (loadMoreBtn) {
+    loadMoreBtn.disabled = true;
+    loadMoreBtn.textContent = "Caricamento...";
+  }
+
+  try {
+    const response = await fetch(buildSearchUrl(query, appState.results.length), { headers: customerHeaders() });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const data = await response.json();
+    if (query !== appState.currentQuery) return;
+
+    appState.results = appState.results.concat(data.results || []);
+    appState.totalResults = data.total ?? appState.results.length;
+    renderResults(appState.results, appState.totalResults);
+  } catch (error) {
+    console.error("Load more failed:", error);
+    showToast("Errore nel caricamento di altri risultati", "error");
+    if (loadMoreBtn) {
+      loadMoreBtn.disabled = false;
+      loadMoreBtn.textContent = "Riprova";
+    }
+  } finally {
+    appState.loadingMore = false;
+  }
+}
+
+// Statistiche: prodotto aggiunto al carrello dai risultati della ricerca
+// corrente (anche dalla sua scheda, non dal catalogo). Un errore qui non deve disturbare
+function trackAddToCart(code) {
+  const position = appState.results.findIndex((product) => product.code === code) + 1;
+  if (!appState.searchId || position === 0 || parseRoute().view === "category") return;
+
+  fetch(SEARCH_EVENTS_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ searchId: appState.searchId, type: "add-to-cart", code, position }),
+    keepalive: true
+  }).catch((error) => console.warn("Search event not sent:", error));
+}
+
+// Prezzo di listino e, se il cliente ha uno sconto, prezzo netto della riga
+function setCartItemPrices(item, price, netPrice, discount) {
+  item.price = price;
+  item.priceValue = parsePriceText(price);
+  item.netPrice = netPrice || null;
+  item.netPriceValue = netPrice ? parsePriceText(netPrice) : null;
+  item.discount = netPrice ? discount : null;
+}
+
+// Prezzo unitario pagato dal cliente: netto se c'è, altrimenti di listino
+function cartItemUnitPrice(item) {
+  return typeof item.netPriceValue === "number" ? item.netPriceValue : item.priceValue;
+}
+
+// Cart functions
+function addToCart(code, description, price, netPrice = null, discount = null) {
+  // Validazione input
+  if (!code || !description) {
+    showToast("Errore: dati prodotto non validi", "error");
+    return;
+  }
+  
+  const existingItem = appState.cart.find(item => item.code === code);
+  if (existingItem) {
+    existingItem.quantity += 1;
+    showToast(`Quantità aggiornata: ${code}`, "success");
+  } else {
+    // Estrai il prezzo numerico dalla stringa
+    const item = { code, description, quantity: 1 };
+    setCartItemPrices(item, price, netPrice, discount);
+    appState.cart.push(item);
+    showToast(`Prodotto aggiunto: ${code}`, "success");
+  }
+  
+  saveCartToStorage();
+  renderCart();
+}
+
+// Più prodotti in una volta (incolla lista): un solo salvataggio e un solo avviso.
+// Se una riga si somma a una già nel carrello, il totale resta entro MAX_QUANTITY.
+function addItemsToCart(items) {
+  let pieces = 0;
+  const capped = new Set();
+  items.forEach(({ product, quantity }) => {
+    const existingItem = appState.cart.find((item) => item.code === product.code);
+    if (existingItem) {
+      const merged = Math.min(existingItem.quantity + quantity, MAX_QUANTITY);
+      if (merged < existingItem.quantity + quantity) capped.add(product.code);
+      pieces += merged - existingItem.quantity;
+      existingItem.quantity = merged;
+    } else {
+      const item = { code: product.code, description: product.name, quantity };
+      setCartItemPrices(item, product.price || "", product.netPrice, product.discount);
+      appState.cart.push(item);
+      pieces += quantity;
+    }
+  });
+
+  const products = new Set(items.map(({ product }) => product.code)).size;
+  saveCartToStorage();
+  renderCart();
+  showToast(`${products} ${products === 1 ? "prodotto aggiunto" : "prodotti aggiunti"} al carrello (${pieces} pz)`, "success");
+  if (capped.size > 0) {
+    showToast(`Quantità limitata a ${MAX_QUANTITY} pz per riga: ${[...capped].join(", ")}`, "warning");
+  }
 }
 
 function removeFromCart(index) {
@@ -390,10 +1275,67 @@ function updateQuantity(index, change) {
 
 function calculateTotal() {
   return appState.cart.reduce((total, item) => {
-    return total + (item.priceValue * item.quantity);
+    return total + (cartItemUnitPrice(item) * item.quantity);
   }, 0);
 }
 
+function calculateListTotal() {
+  return appState.cart.reduce((total, item) => total + (item.priceValue * item.quantity), 0);
+}
+
+// Totali di fine ordine come li calcola il server (in centesimi): spedizione
+// gratuita dalla soglia in su, IVA su merce + spedizione
+function calculateOrderTotals() {
+  const rules = appState.orderRules;
+  const goodsCents = Math.round(calculateTotal() * 100);
+  const freeShipping = rules.freeShippingFrom !== null && goodsCents >= Math.round(rules.freeShippingFrom * 100);
+  const shippingCents = goodsCents === 0 || freeShipping ? 0 : Math.round(rules.shippingCost * 100);
+  const taxableCents = goodsCents + shippingCents;
+  const vatCents = Math.round((taxableCents * rules.vatRate) / 100);
+
+  return {
+    goods: goodsCents / 100,
+    shipping: shippingCents / 100,
+    taxable: taxableCents / 100,
+    vat: vatCents / 100,
+    total: (taxableCents + vatCents) / 100,
+    missingForFreeShipping: shippingCents > 0 && rules.freeShippingFrom !== null ? rules.freeShippingFrom - goodsCents / 100 : 0,
+    missingForMinimum: Math.max(0, rules.minimumOrder - goodsCents / 100)
+  };
+}
+
+// Ordine sotto il minimo: avvisa e restituisce true
+function blockBelowMinimum() {
+  if (!appState.orderRules || calculateOrderTotals().missingForMinimum <= 0) return false;
+  showToast(`Ordine minimo ${formatEuro(appState.orderRules.minimumOrder)} (IVA esclusa)`, "warning");
+  return true;
+}
+
+function renderCartSummary(listTotal) {
+  const totals = calculateOrderTotals();
+  const rules = appState.orderRules;
+  const row = (label, value) => `<div class="summary-row"><span>${label}</span><span>${value}</span></div>`;
+  const discounted = Math.round(listTotal * 100) > Math.round(totals.goods * 100);
+  const listAmount = discounted ? `<s class="price-list">${formatEuro(listTotal)}</s> ` : "";
+
+  const notes = [];
+  if (totals.missingForMinimum > 0) {
+    notes.push(`<div class="summary-note warning">Ordine minimo ${formatEuro(rules.minimumOrder)} IVA esclusa: mancano ${formatEuro(totals.missingForMinimum)}</div>`);
+  }
+  if (totals.missingForFreeShipping > 0) {
+    notes.push(`<div class="summary-note">Spedizione gratuita da ${formatEuro(rules.freeShippingFrom)}: mancano ${formatEuro(totals.missingForFreeShipping)}</div>`);
+  }
+
+  DOM.cartSummary.innerHTML = [
+    row("Merce", `${listAmount}${formatEuro(totals.goods)}`),
+    row("Spedizione", totals.shipping > 0 ? formatEuro(totals.shipping) : "gratuita"),
+    row("Imponibile", formatEuro(totals.taxable)),
+    row(`IVA ${formatNumber(rules.vatRate)}%`, formatEuro(totals.vat)),
+    ...notes
+  ].join("");
+  return totals.total;
+}
+
 function renderCart() {
   const totalQuantity = appState.cart.reduce((total, item) => total + item.quantity, 0);
   DOM.cartBadge.textContent = totalQuantity;
@@ -415,7 +1357,7 @@ function renderCart() {
       <div class="cart-item-info">
         <div style="font-weight: 600; color: #1f2937; font-family: 'Courier New', monospace; font-size: 13px;">${item.code}</div>
         <div style="font-size: 0.875rem; color: #6b7280; margin-top: 2px;">${item.description}</div>
-        <div style="color: #10b981; font-weight: 600; margin-top: 4px; font-size: 14px;">${item.price}</div>
+        <div style="color: #10b981; font-weight: 600; margin-top: 4px; font-size: 14px;">${renderPrice(item)}</div>
       </div>
       <div class="cart-item-controls">
         <div class="quantity-control">
@@ -434,10 +1376,19 @@ function renderCart() {
   `).join("");
   
   const total = calculateTotal();
-  if (total > 0) {
-    DOM.totalAmount.textContent = `€ ${total.toFixed(2).replace('.', ',')}`;
+  const listTotal = calculateListTotal();
+  if (total > 0 && appState.orderRules) {
+    const grandTotal = renderCartSummary(listTotal);
+    DOM.totalAmount.textContent = `€ ${grandTotal.toFixed(2).replace('.', ',')}`;
+    DOM.cartSummary.style.display = 'block';
+    DOM.cartTotal.style.display = 'flex';
+  } else if (total > 0) {
+    const listAmount = Math.round(listTotal * 100) > Math.round(total * 100) ? `<s class="price-list">€ ${listTotal.toFixed(2).replace('.', ',')}</s>` : "";
+    DOM.totalAmount.innerHTML = `${listAmount}€ ${total.toFixed(2).replace('.', ',')}`;
+    DOM.cartSummary.style.display = 'none';
     DOM.cartTotal.style.display = 'flex';
   } else {
+    DOM.cartSummary.style.display = 'none';
     DOM.cartTotal.style.display = 'none';
   }
 }
@@ -451,59 +1402,577 @@ function closeCart() {
   DOM.cartPanel.classList.remove("open");
 }
 
+// ==========================================
+// INCOLLA LISTA (CODICI E QUANTITÀ)
+// ==========================================
+
+// Il server legge il testo e cerca ogni riga per codice o sigla
+async function checkPastedList() {
+  const text = DOM.pasteListInput.value.trim();
+  if (!text) {
+    showToast("Incolla almeno un codice", "warning");
+    return;
+  }
+
+  DOM.pasteListCheck.disabled = true;
+  try {
+    const response = await fetch(PRODUCTS_LOOKUP_URL, {
+      method: "POST",
+      headers: customerHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ text })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+
+    appState.pasteLines = data.lines.map((line) => ({ ...line, choice: line.product || null }));
+    appState.pasteSource = "text";
+    renderPastedList();
+  } catch (error) {
+    console.error("Code list lookup failed:", error);
+    showToast(`Verifica non riuscita: ${error.message || "errore di connessione"}`, "error");
+  } finally {
+    DOM.pasteListCheck.disabled = false;
+  }
+}
+
+// Distinta materiali CSV/XLSX: il server legge le colonne e abbina le righe;
+// quelle trovate solo con la ricerca ("fuzzy") hanno una proposta da confermare
+async function uploadBomFile(file) {
+  if (!file) return;
+
+  DOM.pasteListResult.innerHTML = `<p class="paste-summary">Lettura di ${escapeHtml(file.name)}...</p>`;
+  try {
+    const response = await fetch(`${PRODUCTS_IMPORT_URL}?filename=${encodeURIComponent(file.name)}`, {
+      method: "POST",
+      headers: customerHeaders({ "Content-Type": "application/octet-stream" }),
+      body: file
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+
+    appState.pasteLines = data.lines.map((line) => ({ ...line, choice: line.product || null }));
+    appState.pasteSource = { columns: data.columns };
+    renderPastedList();
+  } catch (error) {
+    console.error("Bill of materials import failed:", error);
+    DOM.pasteListResult.innerHTML = "";
+    showToast(`Distinta non importata: ${error.message || "errore di connessione"}`, "error");
+  } finally {
+    DOM.bomFileInput.value = "";
+  }
+}
+
+// Colonne lette dalla distinta, per controllare che l'abbinamento sia giusto
+function renderBomColumns(columns) {
+  const labels = { code: "codice", serial: "sigla", quantity: "quantità", description: "descrizione" };
+  const used = Object.entries(columns).map(([field, name]) => `${labels[field]} «${escapeHtml(name)}»`);
+  return used.length > 0 ? ` · colonne: ${used.join(", ")}` : "";
+}
+
+function validPasteQuantity(quantity) {
+  return Number.isInteger(quantity) && quantity >= 1 && quantity <= MAX_QUANTITY;
+}
+
+// Riga pronta per il carrello: prodotto scelto e quantità valida
+function pastedLineReady(line) {
+  return Boolean(line.choice) && validPasteQuantity(line.quantity);
+}
+
+function renderPastedLineProduct(line, index) {
+  const candidates = line.candidates || [];
+  if (line.product && candidates.length === 0) {
+    return `<strong>${escapeHtml(line.product.code)}</strong> ${escapeHtml(line.product.name)} · ${renderPrice(line.product)}`;
+  }
+
+  const placeholder = line.status === "ambiguous"
+    ? "Più prodotti corrispondono: scegli..."
+    : line.product ? "Scegli il prodotto..."
+    : candidates.length > 0 ? "Non trovato, forse cercavi..."
+    : appState.pasteSource === "text" ? "Non trovato: correggi il testo e verifica di nuovo" : "Non trovato nel catalogo";
+  const options = candidates.map((product) => {
+    const selected = line.choice && line.choice.code === product.code ? " selected" : "";
+    const price = product.netPrice || product.price;
+    return `<option value="${escapeHtml(product.code)}"${selected}>${escapeHtml(product.code)} – ${escapeHtml(product.name)}${price ? ` (€ ${escapeHtml(price)})` : ""}</option>`;
+  }).join("");
+
+  return `<select class="paste-choice" data-index="${index}" ${candidates.length === 0 ? "disabled" : ""}>
+    <option value="">${placeholder}</option>${options}
+  </select>`;
+}
+
+function renderPastedList() {
+  const lines = appState.pasteLines;
+  const ready = lines.filter(pastedLineReady).length;
+  DOM.pasteListAdd.disabled = ready === 0;
+
+  if (lines.length === 0) {
+    DOM.pasteListResult.innerHTML = `<p class="paste-summary">Nessun codice trovato nel testo</p>`;
+    return;
+  }
+
+  const rows = lines.map((line, index) => {
+    const lineReady = pastedLineReady(line);
+    const fuzzy = lineReady && line.status === "fuzzy";
+    return `
+      <div class="paste-row ${lineReady ? (fuzzy ? "fuzzy" : "") : "unresolved"}" ${fuzzy ? 'title="Trovato dalla descrizione: controlla"' : ""}>
+        <span>${lineReady ? (fuzzy ? "≈" : "✓") : "⚠"}</span>
+        <div>
+          <div class="paste-row-text">Riga ${line.line}: ${escapeHtml(line.text)}</div>
+          ${renderPastedLineProduct(line, index)}
+        </div>
+        <input class="paste-quantity ${validPasteQuantity(line.quantity) ? "" : "invalid"}" data-index="${index}" type="number" min="1" max="${MAX_QUANTITY}" value="${line.quantity}" title="Quantità" />
+      </div>
+    `;
+  }).join("");
+
+  const missing = lines.length - ready;
+  const fuzzy = lines.filter((line) => line.status === "fuzzy" && pastedLineReady(line)).length;
+  const columns = appState.pasteSource && appState.pasteSource.columns ? renderBomColumns(appState.pasteSource.columns) : "";
+  DOM.pasteListResult.innerHTML = `
+    <p class="paste-summary">${ready} di ${lines.length} righe pronte${fuzzy > 0 ? ` · ${fuzzy} da controllare (≈)` : ""}${missing > 0 ? ` · ${missing} da correggere (⚠)` : ""}${columns}</p>
+    ${rows}
+  `;
+}
+
+// Scelta tra i candidati o quantità corretta a mano
+function updatePastedLine(target) {
+  const line = appState.pasteLines[Number(target.dataset.index)];
+  if (!line) return;
+
+  if (target.classList.contains("paste-choice")) {
+    line.choice = (line.candidates || []).find((product) => product.code === target.value) || null;
+  } else if (target.classList.contains("paste-quantity")) {
+    line.quantity = Number(target.value);
+  }
+  renderPastedList();
+}
+
+// Aggiunge le righe pronte; nel riquadro restano solo quelle da correggere
+function addPastedList() {
+  const ready = appState.pasteLines.filter(pastedLineReady);
+  if (ready.length === 0) return;
+
+  addItemsToCart(ready.map((line) => ({ product: line.choice, quantity: line.quantity })));
+
+  appState.pasteLines = appState.pasteLines.filter((line) => !pastedLineReady(line));
+  if (appState.pasteSource === "text") {
+    DOM.pasteListInput.value = appState.pasteLines.map((line) => line.text).join("\n");
+  }
+  if (appState.pasteLines.length > 0) {
+    renderPastedList();
+  } else {
+    DOM.pasteListResult.innerHTML = "";
+    DOM.pasteListAdd.disabled = true;
+  }
+}
+
+// ==========================================
+// USO OFFLINE (PWA): CATALOGO SALVATO E ORDINI IN CODA
+// ==========================================
+
+// Il service worker (sw.js) tiene in cache l'app e il catalogo compatto
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register(SERVICE_WORKER_URL)
+    .catch((error) => console.warn("Service worker not registered:", error));
+}
+
+// Con la rete aggiorna la copia del catalogo nella cache del service worker
+// (un catalogo invariato costa una risposta 304)
+async function syncOfflineCatalog() {
+  if (!("serviceWorker" in navigator) || !navigator.serviceWorker.controller) return;
+  try {
+    const response = await fetch(OFFLINE_CATALOG_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    await response.arrayBuffer();
+    appState.offline.index = null; // alla prossima ricerca offline si usa la copia nuova
+  } catch (error) {
+    console.warn("Offline catalog not refreshed:", error);
+  }
+}
+
+// Indice della ricerca offline (offlineSearch.js), costruito alla prima
+// ricerca senza rete; null se non c'è nessun catalogo salvato
+async function loadOfflineIndex() {
+  if (appState.offline.index) return appState.offline.index;
+
+  try {
+    const response = await fetch(OFFLINE_CATALOG_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const catalog = await response.json();
+    const date = new Date(response.headers.get("Date") || "");
+    appState.offline.index = OfflineSearch.buildIndex(catalog);
+    appState.offline.savedAt = Number.isNaN(date.getTime()) ? null : date;
+    return appState.offline.index;
+  } catch (error) {
+    console.error("Offline catalog not available:", error);
+    return null;
+  }
+}
+
+function setOffline(offline) {
+  if (appState.offline.active === offline) return;
+  appState.offline.active = offline;
+  renderOfflineNotice();
+}
+
+// Server irraggiungibile: la ricerca gira sul catalogo salvato (prezzi di
+// listino). false se non c'è un catalogo salvato
+async function showOfflineResults(query) {
+  const index = await loadOfflineIndex();
+  if (!index || query !== appState.currentQuery) return false;
+
+  appState.offline.results = OfflineSearch.search(index, query);
+  appState.results = appState.offline.results.slice(0, SEARCH_PAGE_SIZE);
+  appState.totalResults = appState.offline.results.length;
+  appState.suggestion = null;
+  appState.searchId = null;
+  appState.searchInProgress = false;
+  setOffline(true);
+
+  DOM.searchHint.textContent = "📴 Risultati dal catalogo salvato sul dispositivo (prezzi di listino)";
+  if (parseRoute().view === "search") {
+    renderResults(appState.results, appState.totalResults);
+  }
+  return true;
+}
+
+// Scheda dal catalogo salvato; false se il prodotto non c'è
+async function showOfflineProductDetail(code) {
+  const found = OfflineSearch.findProduct(await loadOfflineIndex(), code);
+  if (!found || parseRoute().code !== code) return false;
+
+  const { product, siblings, siblingsTotal } = found;
+  setOffline(true);
+  renderProductDetail({ ...product, categoryPath: [product.subcategory, product.category].filter(Boolean) }, siblings, siblingsTotal);
+  return true;
+}
+
+function loadOrderQueue() {
+  try {
+    const saved = JSON.parse(localStorage.getItem("orderQueue") || "[]");
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn("Coda ordini non leggibile, ignorata");
+    return [];
+  }
+}
+
+function saveOrderQueue() {
+  try {
+    localStorage.setItem("orderQueue", JSON.stringify(appState.orderQueue));
+  } catch (error) {
+    console.error("Errore salvataggio coda ordini:", error);
+  }
+}
+
+// Ordine non registrato per mancanza di rete: resta in coda (anche se si
+// chiude l'app) e parte con sendQueuedOrders appena torna la connessione
+function queueOrder(body, signature) {
+  setOffline(true);
+  if (appState.orderQueue.some((queued) => queued.signature === signature)) {
+    showToast("Ordine già in coda: partirà appena torna la connessione", "info");
+    return;
+  }
+
+  appState.orderQueue.push({
+    body,
+    signature,
+    customerKey: appState.customer ? appState.customer.key : null,
+    queuedAt: new Date().toISOString()
+  });
+  saveOrderQueue();
+  renderOfflineNotice();
+  showToast("Sei offline: ordine in coda, partirà appena torna la connessione", "warning");
+}
+
+// Registra gli ordini in coda, nell'ordine; si ferma al primo errore di rete
+// o del server (si riprova più tardi). Un ordine rifiutato (prezzi cambiati,
+// sotto il minimo) esce dalla coda: il carrello resta da ricontrollare
+async function sendQueuedOrders() {
+  if (appState.sendingOrders || appState.orderQueue.length === 0) return;
+  appState.sendingOrders = true;
+
+  try {
+    while (appState.orderQueue.length > 0) {
+      const queued = appState.orderQueue[0];
+      const headers = { "Content-Type": "application/json" };
+      if (queued.customerKey) headers["X-Customer-Key"] = queued.customerKey;
+
+      let response;
+      try {
+        response = await fetch(ORDERS_URL, { method: "POST", headers, body: JSON.stringify(queued.body) });
+      } catch (error) {
+        return;
+      }
+      if (response.status >= 500) return;
+
+      const data = await response.json().catch(() => ({}));
+      appState.orderQueue.shift();
+      saveOrderQueue();
+
+      if (response.ok) {
+        // Stesso carrello: WhatsApp ed email riusano l'ordine appena registrato
+        if (queued.signature === cartSignature()) appState.lastOrder = { signature: queued.signature, order: data };
+        appState.sentOrders.push({ channel: queued.body.channel, order: data });
+        showToast(`Ordine ${data.number} in coda registrato`, "success");
+      } else {
+        showToast(`Ordine in coda non registrato: ${data.message || `HTTP ${response.status}`}. Ricontrolla il carrello e invialo di nuovo`, "error");
+      }
+    }
+  } finally {
+    appState.sendingOrders = false;
+    renderOfflineNotice();
+  }
+}
+
+// Avviso sotto la ricerca: offline, ordini in coda e ordini della coda
+// registrati, da mandare su WhatsApp o per email con un tocco
+function renderOfflineNotice() {
+  const lines = [];
+  if (appState.offline.active) {
+    const savedAt = appState.offline.savedAt ? ` del ${appState.offline.savedAt.toLocaleDateString("it-IT")}` : "";
+    lines.push(`<p>📴 Sei offline: la ricerca usa il catalogo salvato${savedAt}, con i prezzi di listino.</p>`);
+  }
+
+  const queued = appState.orderQueue.length;
+  if (queued > 0) {
+    lines.push(`<p>⏳ ${queued} ${queued === 1 ? "ordine in coda" : "ordini in coda"}: ${queued === 1 ? "partirà" : "partiranno"} appena torna la connessione.</p>`);
+  }
+
+  appState.sentOrders.forEach(({ channel, order }, index) => {
+    const action = channel === "email"
+      ? `<button type="button" class="btn-outline" data-sent-order="${index}">📧 Invia email</button>`
+      : `<button type="button" class="btn-outline" data-sent-order="${index}">📱 Invia su WhatsApp</button>`;
+    lines.push(`<p>✅ Ordine ${escapeHtml(order.number)} registrato. ${action} <button type="button" class="offline-notice-close" data-dismiss-order="${index}" aria-label="Chiudi">✕</button></p>`);
+  });
+
+  DOM.offlineNotice.innerHTML = lines.join("");
+  DOM.offlineNotice.hidden = lines.length === 0;
+}
+
+// Ordine della coda registrato: il messaggio parte dal tocco del cliente
+// (i browser bloccano WhatsApp ed email aperti senza un clic)
+function sendRegisteredOrder(index) {
+  const sent = appState.sentOrders[index];
+  if (!sent) return;
+
+  if (sent.channel === "email") window.location.href = emailOrderLink(sent.order);
+  else window.open(whatsappOrderUrl(sent.order), "_blank");
+  appState.sentOrders.splice(index, 1);
+  renderOfflineNotice();
+}
+
+// ==========================================
+// REGISTRAZIONE ORDINE SUL SERVER
+// ==========================================
+
+// Firma del carrello: se non cambia, WhatsApp ed email riusano lo stesso ordine
+function cartSignature() {
+  const items = appState.cart.map((item) => `${item.code}x${item.quantity}@${item.price}`).join("|");
+  const customerKey = appState.customer ? appState.customer.key : "";
+  return `${items}#${customerKey}#${JSON.stringify(readCustomerForm())}`;
+}
+
+// Corpo comune di ordini e preventivi
+function cartRequestBody(channel) {
+  return {
+    channel,
+    customer: readCustomerForm(),
+    items: appState.cart.map((item) => ({ code: item.code, quantity: item.quantity, price: item.price }))
+  };
+}
+
+// Prezzi aggiornati dal server (risposta 409): il cliente ricontrolla il carrello
+function applyPriceChanges(changes) {
+  changes.forEach((change) => {
+    const item = appState.cart.find((cartItem) => cartItem.code === change.code);
+    if (!item) return;
+    setCartItemPrices(item, change.price || "", null, null);
+  });
+  saveCartToStorage();
+  renderCart();
+  // Con il listino cambiato va ricalcolato anche il netto del cliente
+  if (appState.customer) refreshCartPrices();
+}
+
+// Registra l'ordine e restituisce { number, total, ... } oppure null
+async function submitOrder(channel) {
+  const signature = cartSignature();
+  if (appState.lastOrder && appState.lastOrder.signature === signature) {
+    return appState.lastOrder.order;
+  }
+
+  const body = cartRequestBody(channel);
+  try {
+    let response;
+    try {
+      response = await fetch(ORDERS_URL, {
+        method: "POST",
+        headers: customerHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      // Nessuna connessione: l'ordine parte quando torna la rete
+      console.warn("Order queued:", error);
+      queueOrder(body, signature);
+      return null;
+    }
+    const data = await response.json();
+
+    if (response.status === 409) {
+      applyPriceChanges(data.details || []);
+      showToast("Alcuni prezzi sono cambiati: ricontrolla il carrello", "warning");
+      return null;
+    }
+    const belowMinimum = (data.details || []).find((detail) => detail.problem === "below-minimum");
+    if (belowMinimum) {
+      showToast(`Ordine minimo ${formatEuro(belowMinimum.minimumOrder)} (IVA esclusa)`, "warning");
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP ${response.status}`);
+    }
+
+    appState.lastOrder = { signature, order: data };
+    return data;
+  } catch (error) {
+    console.error("Order submission failed:", error);
+    showToast(`Ordine non registrato: ${error.message || "errore di connessione"}`, "error");
+    return null;
+  }
+}
+
+// Preventivo PDF/XLSX generato dal server e scaricato come file
+async function downloadQuote(format) {
+  if (appState.cart.length === 0) {
+    showToast("Il carrello è vuoto", "warning");
+    return;
+  }
+
+  try {
+    const response = await fetch(QUOTES_URL + format, {
+      method: "POST",
+      headers: customerHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(cartRequestBody("api"))
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      if (response.status === 409) {
+        applyPriceChanges(data.details || []);
+        showToast("Alcuni prezzi sono cambiati: ricontrolla il carrello", "warning");
+        return;
+      }
+      throw new Error(data.message || `HTTP ${response.status}`);
+    }
+
+    const disposition = response.headers.get("Content-Disposition") || "";
+    const match = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = match ? match[1] : `preventivo.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    showToast("Preventivo scaricato", "success");
+  } catch (error) {
+    console.error("Quote download failed:", error);
+    showToast(`Preventivo non disponibile: ${error.message || "errore di connessione"}`, "error");
+  }
+}
+
+// Totali per WhatsApp ed email, come li ha calcolati il server: merce (con
+// uno sconto anche listino e netto), spedizione, imponibile, IVA e totale
+function orderTotalLines(order) {
+  const discount = order.listTotal === order.total
+    ? []
+    : [`TOTALE LISTINO: ${formatEuro(order.listTotal)}`, `SCONTO: -${formatEuro(order.listTotal - order.total)}`];
+  return [
+    ...discount,
+    `TOTALE MERCE: ${formatEuro(order.total)}`,
+    `SPEDIZIONE: ${order.shipping > 0 ? formatEuro(order.shipping) : "GRATUITA"}`,
+    `IMPONIBILE: ${formatEuro(order.taxable)}`,
+    `IVA ${formatNumber(order.vatRate)}%: ${formatEuro(order.vat)}`,
+    `TOTALE ORDINE (IVA INCLUSA): ${formatEuro(order.grandTotal)}`
+  ];
+}
+
 // ==========================================
 // GENERATORE MESSAGGIO WHATSAPP PROFESSIONALE
 // ==========================================
-function sendOrderViaWhatsApp() {
+async function sendOrderViaWhatsApp() {
   if (appState.cart.length === 0) {
     showToast("Il carrello è vuoto", "warning");
     return;
   }
+  if (blockBelowMinimum()) return;
 
-  // Genera lista prodotti con prezzi e subtotali
-  const items = appState.cart.map((item) => {
-    const subtotal = item.priceValue * item.quantity;
-    const priceFormatted = `€${item.priceValue.toFixed(2).replace('.', ',')}`;
-    const subtotalFormatted = `€${subtotal.toFixed(2).replace('.', ',')}`;
-    
-    return `- CODICE: ${item.code}
-  PRODOTTO: ${item.description}
-  Q.TÀ: ${item.quantity}
-  PREZZO: ${priceFormatted}
-  SUBTOTALE: ${subtotalFormatted}`;
+  // La finestra si apre subito, nel clic: dopo l'attesa del server i
+  // browser mobili la bloccherebbero come popup
+  const whatsappWindow = window.open("", "_blank");
+  const order = await submitOrder("whatsapp");
+  if (!order) {
+    if (whatsappWindow) whatsappWindow.close();
+    return;
+  }
+
+  const url = whatsappOrderUrl(order);
+  if (whatsappWindow) whatsappWindow.location.href = url;
+  else window.open(url, "_blank");
+  showToast(`Ordine ${order.number} registrato. Apertura WhatsApp in corso...`, "success");
+}
+
+// Messaggio WhatsApp dell'ordine registrato
+function whatsappOrderUrl(order) {
+  // Righe e totali dell'ordine registrato: prezzi del catalogo e sconti del cliente
+  const items = order.items.map((item) => {
+    const prices = item.unitPrice === null
+      ? ["PREZZO: su richiesta"]
+      : item.discount
+        ? [`PREZZO LISTINO: ${formatEuro(item.listPrice)}`, `SCONTO: ${item.discount}%`, `PREZZO NETTO: ${formatEuro(item.unitPrice)}`, `SUBTOTALE: ${formatEuro(item.lineTotal)}`]
+        : [`PREZZO: ${formatEuro(item.unitPrice)}`, `SUBTOTALE: ${formatEuro(item.lineTotal)}`];
+
+    return [`- CODICE: ${item.code}`, `PRODOTTO: ${item.name}`, `Q.TÀ: ${item.quantity}`, ...prices].join("\n  ");
   }).join("\n\n");
   
-  // Calcola totale
-  const total = calculateTotal();
-  const totalFormatted = `€${total.toFixed(2).replace('.', ',')}`;
-  
   // Messaggio finale
   const message = `CIAO MARCO,
 
-QUESTO È IL MIO ORDINE:
+QUESTO È IL MIO ORDINE N. ${order.number}:
 
 ${items}
 
-TOTALE ORDINE: ${totalFormatted}
+${orderTotalLines(order).join("\n")}
 
 GRAZIE`;
   
   const encoded = encodeURIComponent(message);
-  const url = `https://wa.me/${WHATSAPP_NUMBER}?text=${encoded}`;
-
-  window.open(url, "_blank");
-  showToast("Apertura WhatsApp in corso...", "success");
+  return `https://wa.me/${WHATSAPP_NUMBER}?text=${encoded}`;
 }
 
 // ==========================================
-// GENERATORE EMAIL PROFESSIONALE CON TABELLA
+// GENERATORE EMAIL PROFESSIONALE
 // ==========================================
-function sendEmail() {
+async function sendEmail() {
   if (appState.cart.length === 0) {
     showToast("Il carrello è vuoto", "warning");
     return;
   }
 
+  if (blockBelowMinimum()) return;
+
+  const order = await submitOrder("email");
+  if (!order) return;
+
+  window.location.href = emailOrderLink(order);
+  showToast(`Ordine ${order.number} registrato. Apertura email in corso...`, "success");
+}
+
+// Link mailto dell'ordine registrato
+function emailOrderLink(order) {
   const today = new Date();
   const dateStr = today.toLocaleDateString('it-IT', { 
     day: '2-digit', 
@@ -511,44 +1980,35 @@ function sendEmail() {
     year: 'numeric' 
   });
 
-  // Genera tabella prodotti
-  const items = appState.cart.map((item) => {
-    const subtotal = item.priceValue * item.quantity;
-    const priceFormatted = `€${item.priceValue.toFixed(2).replace('.', ',')}`;
-    const subtotalFormatted = `€${subtotal.toFixed(2).replace('.', ',')}`;
-    
-    // Formato tabulare ottimizzato per email
-    const code = item.code.padEnd(15);
-    const desc = item.description.length > 40 ? item.description.substring(0, 37) + '...' : item.description.padEnd(40);
-    const qty = String(item.quantity).padStart(4);
-    const price = priceFormatted.padStart(10);
-    const sub = subtotalFormatted.padStart(12);
+  // Un blocco per prodotto: le tabelle a larghezza fissa si rompono con i
+  // font proporzionali dei client email (il preventivo PDF ha la tabella)
+  const items = order.items.map((item) => {
+    if (item.unitPrice === null) {
+      return `${item.code} - ${item.name}
+${item.quantity} x prezzo su richiesta`;
+    }
+    const discount = item.discount
+      ? `\nListino ${formatEuro(item.listPrice)}, sconto ${item.discount}%, netto ${formatEuro(item.unitPrice)}`
+      : "";
     
-    return `${code} | ${desc} | ${qty} | ${price} | ${sub}`;
-  }).join("\n");
-  
-  // Calcola totale
-  const total = calculateTotal();
-  const totalFormatted = `€${total.toFixed(2).replace('.', ',')}`;
+    return `${item.code} - ${item.name}${discount}
+${item.quantity} x ${formatEuro(item.unitPrice)} = ${formatEuro(item.lineTotal)}`;
+  }).join("\n\n");
   
-  const subject = `ORDINE PRODOTTI – ${dateStr}`;
+  const subject = `ORDINE N. ${order.number} – ${dateStr}`;
   const body = `BUONGIORNO,
 
-DI SEGUITO L'ORDINE DEI PRODOTTI SELEZIONATI:
+DI SEGUITO L'ORDINE N. ${order.number} DEI PRODOTTI SELEZIONATI:
 
-CODICE          | PRODOTTO                                 | Q.TÀ |     PREZZO |    SUBTOTALE
-${'-'.repeat(110)}
 ${items}
-${'-'.repeat(110)}
-TOTALE ORDINE: ${totalFormatted}
+
+${orderTotalLines(order).join("\n")}
 
 RESTO IN ATTESA DI CONFERMA.
 
 CORDIALI SALUTI`;
   
-  const mailtoLink = `mailto:${EMAIL_ADDRESS}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-  window.location.href = mailtoLink;
-  showToast("Apertura email in corso...", "success");
+  return `mailto:${EMAIL_ADDRESS}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
 }
 
 // Event Listeners
@@ -565,28 +2025,88 @@ function setupEventListeners() {
   // Search
   DOM.searchInput.addEventListener("input", (event) => {
     const value = event.target.value.trim();
+    leaveRoute();
     clearTimeout(appState.debounceTimer);
-    appState.debounceTimer = setTimeout(() => performSearch(value), SEARCH_DEBOUNCE_MS);
+    appState.debounceTimer = setTimeout(() => {
+      performSearch(value);
+      loadAutocomplete(value);
+    }, SEARCH_DEBOUNCE_MS);
+  });
+
+  // Autocompletamento: tastiera sulla casella, clic sulle voci
+  DOM.searchInput.addEventListener("keydown", handleAutocompleteKey);
+  DOM.searchInput.addEventListener("blur", closeAutocomplete);
+  // mousedown non toglie il focus alla casella prima del clic sulla voce
+  DOM.searchAutocomplete.addEventListener("mousedown", (event) => event.preventDefault());
+  DOM.searchAutocomplete.addEventListener("click", (event) => {
+    const item = event.target.closest(".autocomplete-item");
+    if (item) chooseAutocomplete(Number(item.dataset.index));
+  });
+
+  // "Forse cercavi"
+  DOM.searchHint.addEventListener("click", (event) => {
+    if (event.target.closest(".suggestion-link")) {
+      applySuggestion();
+    }
   });
 
   // Clear search
   DOM.clearSearchBtn.addEventListener("click", () => {
+    closeAutocomplete();
     DOM.searchInput.value = "";
     appState.currentQuery = "";
-    DOM.resultsList.innerHTML = "";
-    DOM.resultsMeta.textContent = "Inizia a cercare";
+    appState.results = [];
+    appState.totalResults = 0;
+    appState.suggestion = null;
+    appState.searchId = null;
     DOM.searchHint.textContent = "Digita almeno 2 caratteri per cercare";
     DOM.clearSearchBtn.style.display = "none";
+    leaveRoute();
+    showCatalogRoot();
     DOM.searchInput.focus();
   });
 
+  // Deep link scheda prodotto
+  window.addEventListener("hashchange", handleRoute);
+
+  // Connessione: al ritorno partono gli ordini in coda e la ricerca torna sul server
+  window.addEventListener("online", () => {
+    setOffline(false);
+    sendQueuedOrders();
+    syncOfflineCatalog();
+    if (appState.offline.results && appState.currentQuery) performSearch(appState.currentQuery);
+  });
+  window.addEventListener("offline", () => setOffline(true));
+  DOM.offlineNotice.addEventListener("click", (event) => {
+    const send = event.target.closest("[data-sent-order]");
+    if (send) sendRegisteredOrder(Number(send.dataset.sentOrder));
+    const dismiss = event.target.closest("[data-dismiss-order]");
+    if (dismiss) {
+      appState.sentOrders.splice(Number(dismiss.dataset.dismissOrder), 1);
+      renderOfflineNotice();
+    }
+  });
+
   // Add to cart
   DOM.resultsList.addEventListener("click", (event) => {
+    if (event.target.classList.contains("detail-back")) {
+      event.preventDefault();
+      leaveRoute();
+      handleRoute();
+      return;
+    }
+
+    if (event.target.classList.contains("copy-link-btn")) {
+      copyProductLink(event.target.dataset.code);
+      return;
+    }
+
     if (event.target.classList.contains("add-to-cart-btn")) {
       const code = event.target.dataset.code;
       const desc = event.target.dataset.desc;
-      const price = event.target.dataset.price;
-      addToCart(code, desc, price);
+      const { price, netPrice, discount } = event.target.dataset;
+      addToCart(code, desc, price, netPrice, discount);
+      trackAddToCart(code);
       
       // Feedback visivo immediato
       const originalText = event.target.innerHTML;
@@ -605,6 +2125,16 @@ function setupEventListeners() {
   // Actions
   DOM.sendOrderBtn.addEventListener("click", sendOrderViaWhatsApp);
   DOM.sendEmailBtn.addEventListener("click", sendEmail);
+  DOM.quotePdfBtn.addEventListener("click", () => downloadQuote("pdf"));
+  DOM.quoteXlsxBtn.addEventListener("click", () => downloadQuote("xlsx"));
+  DOM.customerForm.addEventListener("input", saveCustomerForm);
+  DOM.customerKey.addEventListener("change", () => applyCustomerKey(DOM.customerKey.value.trim()));
+
+  // Incolla lista
+  DOM.pasteListCheck.addEventListener("click", checkPastedList);
+  DOM.pasteListAdd.addEventListener("click", addPastedList);
+  DOM.pasteListResult.addEventListener("change", (event) => updatePastedLine(event.target));
+  DOM.bomFileInput.addEventListener("change", () => uploadBomFile(DOM.bomFileInput.files[0]));
   DOM.clearCartBtn.addEventListener("click", () => {
     if (appState.cart.length === 0) {
       showToast("Il carrello è già vuoto", "info");
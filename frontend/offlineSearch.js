@@ -0,0 +1,129 @@
+// ==========================================
+// RICERCA OFFLINE (catalogo salvato sul dispositivo)
+// ==========================================
+//
+// La ricerca del server (backend/search/searchEngine.js) nel browser:
+// normalizzazione, dizionari, punteggio e fasi della ricerca sono gli stessi
+// perché vengono da shared/searchRanking.js (globale SearchRanking, caricato
+// prima di questo file). Qui ci sono solo l'indice costruito dal catalogo di
+// GET /catalog/offline e i candidati di ogni fase, trovati scorrendo il listino
+// invece che con l'indice invertito del server.
+//
+// test/offlineSearch.test.js confronta questa ricerca con quella del server.
+
+const OfflineSearch = (() => {
+  const {
+    normalize,
+    fuzzyMatch,
+    compactKey,
+    serialKeys,
+    expandWithSynonyms,
+    autoCorrect,
+    classifyIntent,
+    matchedIdentifier,
+    searchWithFallback
+  } = SearchRanking;
+
+  // ==========================================
+  // CATALOGO → INDICE
+  // ==========================================
+
+  // Righe compatte di /catalog/offline → prodotti e campi normalizzati
+  function buildIndex(catalog) {
+    const entries = catalog.products.map((row, id) => {
+      const product = {};
+      catalog.fields.forEach((field, position) => {
+        product[field] = row[position] ?? "";
+      });
+      product.category = catalog.categories[product.category] ?? "";
+      product.subcategory = catalog.categories[product.subcategory] ?? "";
+
+      return {
+        id,
+        product,
+        code: normalize(product.code),
+        name: normalize(product.name),
+        category: normalize(product.category),
+        description: normalize(product.description),
+        serialKeys: serialKeys(product.serial)
+      };
+    });
+
+    const byCode = new Map();
+    entries.forEach((entry) => {
+      if (entry.code && !byCode.has(entry.code)) byCode.set(entry.code, entry);
+    });
+
+    const crossReferences = new Map();
+    (catalog.crossReferences || []).forEach(([reference, brand, code]) => {
+      const entry = byCode.get(normalize(code));
+      const key = compactKey(reference);
+      if (!entry || !key) return;
+      if (!crossReferences.has(key)) crossReferences.set(key, []);
+      crossReferences.get(key).push({ id: entry.id, reference, brand: brand || null });
+    });
+
+    return {
+      entries,
+      byCode,
+      crossReferences,
+      dictionaries: {
+        synonyms: catalog.synonyms || {},
+        autoCorrections: catalog.autoCorrections || {}
+      }
+    };
+  }
+
+  // ==========================================
+  // CANDIDATI DALLA SCANSIONE DEL LISTINO
+  // ==========================================
+
+  // Candidati di SearchRanking.searchWithFallback senza indice invertito:
+  // ogni fase scorre il listino, che con qualche migliaio di prodotti resta
+  // istantaneo anche su un telefono. Gli id sono in ordine di listino.
+  function scanCandidates(index) {
+    const { entries } = index;
+    const ids = (predicate) => entries.filter(predicate).map((entry) => entry.id);
+
+    return {
+      entries,
+      code: (query) => index.byCode.get(query)?.id,
+      serial: (key) => ids((entry) => entry.serialKeys.includes(key)),
+      serialPrefix: (key) => ids((entry) => entry.serialKeys.some((serialKey) => serialKey.startsWith(key))),
+      crossReferences: (key) => index.crossReferences.get(key) || [],
+      codes: (query) => ids((entry) => entry.code.includes(query)),
+      phrase: (field, phrase, { fuzzy = false } = {}) => ids((entry) => (
+        entry[field].includes(phrase) || (fuzzy && fuzzyMatch(entry[field], phrase))
+      )),
+      tokens: (fields, tokens) => ids((entry) => tokens.some((token) => fields.some((field) => entry[field].includes(token))))
+    };
+  }
+
+  // Tutti i prodotti trovati, nell'ordine di /search (con matchedBy)
+  function search(index, rawQuery) {
+    const query = normalize(rawQuery);
+    if (!query || !index) return [];
+
+    const { synonyms, autoCorrections } = index.dictionaries;
+    const intent = classifyIntent(query);
+    const expandedQueries = expandWithSynonyms(autoCorrect(query, autoCorrections), synonyms);
+
+    return searchWithFallback(scanCandidates(index), expandedQueries, intent, { exhaustive: true }).map((match) => {
+      const matchedBy = matchedIdentifier(match);
+      return matchedBy ? { ...match.entry.product, matchedBy } : match.entry.product;
+    });
+  }
+
+  // Scheda offline: il prodotto e gli altri della stessa categoria (come findSiblings)
+  function findProduct(index, rawCode, siblingsLimit = 20) {
+    const entry = index && index.byCode.get(normalize(rawCode));
+    if (!entry) return null;
+
+    const siblings = index.entries
+      .filter((other) => other !== entry && other.product.category === entry.product.category)
+      .map((other) => other.product);
+    return { product: entry.product, siblings: siblings.slice(0, siblingsLimit), siblingsTotal: siblings.length };
+  }
+
+  return { buildIndex, search, findProduct };
+})();
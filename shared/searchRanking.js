@@ -0,0 +1,473 @@
+// ==========================================
+// RANKING DELLA RICERCA (condiviso da server e browser)
+// ==========================================
+//
+// Normalizzazione del testo, intento, dizionari, punteggio dei prodotti e
+// fasi della ricerca con fallback: lo usano il motore di ricerca del server
+// (backend/search/searchEngine.js) e la ricerca offline della PWA
+// (frontend/offlineSearch.js), così le due ricerche trovano e ordinano i
+// prodotti allo stesso modo. Con Node si carica con require, nel browser
+// con <script> e diventa la globale SearchRanking.
+// Le entry sono quelle dell'indice: id, campi già normalizzati (code, name,
+// category, description) e serialKeys.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.SearchRanking = factory();
+})(typeof self !== "undefined" ? self : this, () => {
+  // Sigle e codici equivalenti si cercano da 4 caratteri (senza separatori)
+  const MIN_IDENTIFIER_LENGTH = 4;
+  // Un codice equivalente vale come il match esatto del nostro codice
+  const CROSS_REFERENCE_SCORE = 10000;
+  // Lunghezza minima dei token usati per trovare candidati nella fase multi-token
+  const MIN_TOKEN_LENGTH = 2;
+
+  // ==========================================
+  // UTILITÀ TESTO
+  // ==========================================
+
+  function normalize(value) {
+    return String(value || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/\p{Diacritic}/gu, "")
+      .replace(/[^a-z0-9\s\-_.]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  // Spezza un testo già normalizzato nei suoi token
+  function tokenize(normalized) {
+    return String(normalized || "").split(" ").filter(Boolean);
+  }
+
+  // Tolleranza errori di battitura (Levenshtein semplificato)
+  function fuzzyMatch(str, pattern) {
+    if (str.includes(pattern)) return true;
+    if (pattern.length < 3) return false;
+
+    // Controllo sotto-stringhe con 1 carattere di differenza
+    for (let i = 0; i <= str.length - pattern.length; i++) {
+      let diff = 0;
+      for (let j = 0; j < pattern.length; j++) {
+        if (str[i + j] !== pattern[j]) diff++;
+        if (diff > 1) break;
+      }
+      if (diff <= 1) return true;
+    }
+    return false;
+  }
+
+  // "G3-C6A" → "g3c6a": codici e sigle scritti con o senza separatori
+  function compactKey(value) {
+    return normalize(value).replace(/[^a-z0-9]/g, "");
+  }
+
+  // Sigla compatta e, per sigle come "BE400201 - MP 0,16/2P", anche la prima parte
+  function serialKeys(serial) {
+    const keys = [compactKey(serial)];
+    const serialHead = tokenize(normalize(serial))[0];
+    if (serialHead) keys.push(compactKey(serialHead));
+    return [...new Set(keys.filter(Boolean))];
+  }
+
+  // ==========================================
+  // PREPARAZIONE QUERY
+  // ==========================================
+
+  // Espansione sinonimi (l'utente dice "interruttore", cerca anche "switch")
+  function expandWithSynonyms(query, synonymDictionary) {
+    const expanded = [query];
+    const normalized = normalize(query);
+
+    // Cerca sinonimi
+    for (const [key, synonyms] of Object.entries(synonymDictionary)) {
+      if (normalized.includes(key)) {
+        synonyms.forEach((syn) => {
+          expanded.push(normalized.replace(key, syn));
+        });
+      }
+
+      // Controlla anche il contrario
+      synonyms.forEach((syn) => {
+        if (normalized.includes(syn)) {
+          expanded.push(normalized.replace(syn, key));
+        }
+      });
+    }
+
+    return [...new Set(expanded)]; // Rimuovi duplicati
+  }
+
+  // Correzione automatica errori comuni
+  function autoCorrect(query, corrections) {
+    let corrected = query;
+    const normalized = normalize(query);
+
+    for (const [error, correction] of Object.entries(corrections)) {
+      if (normalized.includes(error)) {
+        corrected = normalized.replace(error, correction);
+      }
+    }
+
+    return corrected;
+  }
+
+  // Classificazione intento automatica
+  function classifyIntent(query) {
+    const normalized = normalize(query);
+
+    // È un codice? (contiene numeri, breve, pochi spazi)
+    const hasNumbers = /\d/.test(normalized);
+    const hasLetters = /[a-z]/.test(normalized);
+    const isShort = normalized.length <= 15;
+    const fewWords = normalized.split(" ").length <= 2;
+
+    if (hasNumbers && hasLetters && isShort && fewWords) {
+      return "CODE"; // Probabilmente un codice prodotto
+    }
+
+    if (hasNumbers && !hasLetters) {
+      return "CODE"; // Solo numeri = codice
+    }
+
+    if (!hasNumbers && normalized.split(" ").length === 1) {
+      return "CATEGORY"; // Una parola senza numeri = categoria
+    }
+
+    return "PRODUCT"; // Tutto il resto = nome prodotto
+  }
+
+  // ==========================================
+  // PUNTEGGIO
+  // ==========================================
+
+  // BOOST basato sull'intento
+  const INTENT_BOOST = {
+    CODE: { code: 3.0, name: 1.0, category: 0.3 },
+    PRODUCT: { code: 1.0, name: 3.0, category: 1.0 },
+    CATEGORY: { code: 0.5, name: 1.5, category: 3.0 }
+  };
+
+  // compactKey della query, calcolata una volta per query e non per ogni prodotto
+  let lastKeyQuery = null;
+  let lastKey = "";
+  function queryKey(query) {
+    if (query !== lastKeyQuery) {
+      lastKeyQuery = query;
+      lastKey = compactKey(query);
+    }
+    return lastKey;
+  }
+
+  // Scoring enterprise con intelligenza commerciale
+  // Con `contributions` (un array) registra anche da dove arrivano i punti:
+  // { field, rule, points }, usato dalla modalità explain di /search
+  function scoreProduct(entry, query, tokens, intent, contributions = null) {
+    const { code, name, category, description } = entry;
+
+    let score = 0;
+    const award = (field, rule, points) => {
+      score += points;
+      if (contributions) contributions.push({ field, rule, points });
+    };
+
+    const boost = INTENT_BOOST[intent] || INTENT_BOOST.PRODUCT;
+
+    // FASE 1: Codici prodotto
+    if (code === query) { // Match perfetto
+      award("code", "exact", 10000 * boost.code);
+      return score;
+    }
+    if (code.startsWith(query)) award("code", "prefix", 5000 * boost.code);
+    if (code.includes(query)) award("code", "contains", 2500 * boost.code);
+    if (fuzzyMatch(code, query)) award("code", "fuzzy", 1200 * boost.code);
+
+    // FASE 1b: Sigla del produttore, con o senza separatori
+    const key = queryKey(query);
+    if (key.length >= MIN_IDENTIFIER_LENGTH) {
+      if (entry.serialKeys.includes(key)) award("serial", "exact", 9000 * boost.code);
+      else if (entry.serialKeys.some((serialKey) => serialKey.startsWith(key))) award("serial", "prefix", 4000 * boost.code);
+    }
+
+    // FASE 2: Nomi prodotto
+    if (name === query) award("name", "exact", 3000 * boost.name);
+    if (name.startsWith(query)) award("name", "prefix", 1500 * boost.name);
+    if (name.includes(query)) award("name", "contains", 800 * boost.name);
+    if (fuzzyMatch(name, query)) award("name", "fuzzy", 400 * boost.name);
+
+    // FASE 3: Categorie
+    if (category.includes(query)) award("category", "contains", 600 * boost.category);
+
+    // FASE 4: Matching multi-token (query lunghe)
+    if (tokens.length > 1) {
+      let tokenScore = 0;
+      let tokenMatches = 0;
+
+      tokens.forEach((token) => {
+        if (code.includes(token)) {
+          tokenMatches++;
+          tokenScore += 300 * boost.code;
+          award("code", `token:${token}`, 300 * boost.code);
+        } else if (name.includes(token)) {
+          tokenMatches++;
+          tokenScore += 150 * boost.name;
+          award("name", `token:${token}`, 150 * boost.name);
+        } else if (category.includes(token)) {
+          tokenMatches++;
+          tokenScore += 100 * boost.category;
+          award("category", `token:${token}`, 100 * boost.category);
+        } else if (description.includes(token)) {
+          tokenMatches++;
+          tokenScore += 50;
+          award("description", `token:${token}`, 50);
+        }
+      });
+
+      // Bonus se tutti i token matchano (raddoppia il punteggio dei token)
+      if (tokenMatches === tokens.length) {
+        award("tokens", "all-tokens-bonus", tokenScore);
+      }
+    }
+
+    // FASE 5: Descrizioni (ultima risorsa)
+    if (score < 500 && description.includes(query)) {
+      award("description", "contains", 200);
+    }
+
+    return score;
+  }
+
+  // Identificativo con cui il prodotto è stato trovato: il nostro codice, la
+  // sigla del produttore o il codice equivalente di un altro produttore.
+  // `match` è { entry, phase, reference? } della ricerca con fallback
+  function matchedIdentifier(match) {
+    const { product } = match.entry;
+    if (match.phase === "code-exact" || match.phase === "code") return { type: "code", value: product.code };
+    if (match.phase === "serial-exact" || match.phase === "serial") return { type: "serial", value: product.serial };
+    if (match.phase === "cross-reference") {
+      return { type: "cross-reference", value: match.reference.reference, brand: match.reference.brand };
+    }
+    return null;
+  }
+
+  // ==========================================
+  // RICERCA CON FALLBACK
+  // ==========================================
+  //
+  // Le fasi sono le stesse sul server e nel browser, cambia solo da dove
+  // arrivano i candidati. `candidates` ha l'array `entries` (posizione = id)
+  // e questi metodi, che restituiscono id in ordine di listino:
+  // - code(query): id del prodotto con il codice identico, o undefined
+  // - serial(key) / serialPrefix(key): sigla compatta uguale alla chiave / che inizia con la chiave
+  // - crossReferences(key): equivalenze { id, reference, brand } del codice di un altro produttore
+  // - codes(query): prodotti il cui codice può contenere la query
+  // - phrase(field, query, { fuzzy }): prodotti il cui campo può contenere la frase
+  //   (con `fuzzy` anche con un carattere diverso, come fuzzyMatch)
+  // - tokens(fields, tokens): prodotti in cui almeno un token compare in uno dei campi
+  // codes e phrase possono restituire un sovrainsieme: il match si verifica qui.
+  // Sul server i candidati vengono dall'indice invertito (searchIndex.js),
+  // offline dalla scansione del listino salvato (frontend/offlineSearch.js).
+  //
+  // Restituisce i match { entry, score, phase, query } ordinati per rilevanza:
+  // `phase` è la fase che ha trovato il prodotto, `query` la variante usata;
+  // i match da codice equivalente hanno anche `reference` ({ reference, brand }).
+  // Con `exhaustive` le fasi non si fermano ai primi risultati: serve per
+  // total, paginazione, filtri e facet, che vanno calcolati sull'insieme
+  // completo dei match. Le fasi di ripiego (3-6) restano legate al numero di
+  // risultati anche così: girano solo se le fasi precedenti trovano poco.
+  function searchWithFallback(candidates, queries, intent, { exhaustive = false } = {}) {
+    const { entries } = candidates;
+    const tokens = tokenize(queries[0]);
+    const results = [];
+    const seen = new Set();
+
+    const addResult = (entry, score, phase, query) => {
+      seen.add(entry.id);
+      results.push({ entry, score, phase, query });
+    };
+
+    const limitReached = (limit) => !exhaustive && results.length >= limit;
+
+    // Prova tutte le varianti della query (originale + sinonimi + correzioni)
+    for (const query of queries) {
+      // FASE 1: Cerca codici esatti o quasi-esatti (early stop)
+      const exactId = candidates.code(query);
+      if (exactId !== undefined) {
+        // Match perfetto al 100% → mostra SOLO questo
+        const exact = entries[exactId];
+        return [{ entry: exact, score: scoreProduct(exact, query, tokens, intent), phase: "code-exact", query }];
+      }
+
+      // FASE 1b: sigla del produttore o codice di un altro produttore, anche
+      // scritti senza separatori: come il codice esatto, solo questi prodotti
+      // (più di uno se la sigla è condivisa)
+      const key = compactKey(query);
+      if (key.length >= MIN_IDENTIFIER_LENGTH) {
+        const serialIds = candidates.serial(key);
+        if (serialIds.length > 0) {
+          return serialIds.map((id) => {
+            const entry = entries[id];
+            return { entry, score: scoreProduct(entry, query, tokens, intent), phase: "serial-exact", query };
+          });
+        }
+
+        const references = candidates.crossReferences(key)
+          .filter((match, position, list) => list.findIndex((other) => other.id === match.id) === position);
+        if (references.length > 0) {
+          return references.map(({ id, reference, brand }) => ({
+            entry: entries[id],
+            score: CROSS_REFERENCE_SCORE,
+            phase: "cross-reference",
+            query,
+            reference: { reference, brand }
+          }));
+        }
+      }
+
+      for (const id of candidates.codes(query)) {
+        const entry = entries[id];
+        if (!entry.code.includes(query)) continue;
+
+        const score = scoreProduct(entry, query, tokens, intent);
+        if (!seen.has(id)) {
+          addResult(entry, score, "code", query);
+        }
+
+        // Se trovi match molto forti nei codici, limita subito
+        if (limitReached(3) && score >= 2500) break;
+      }
+
+      // Se abbiamo già risultati forti (90%+ confidence), fermiamoci
+      if (!exhaustive && results.length > 0 && results[0].score >= 5000) {
+        return results
+          .sort((a, b) => b.score - a.score)
+          .slice(0, 1);
+      }
+
+      // Sigle che iniziano con la query ("bs4175" → BS417502, BS417504...)
+      if (key.length >= MIN_IDENTIFIER_LENGTH) {
+        for (const id of candidates.serialPrefix(key)) {
+          if (seen.has(id)) continue;
+          const entry = entries[id];
+          addResult(entry, scoreProduct(entry, query, tokens, intent), "serial", query);
+          if (limitReached(10)) break;
+        }
+      }
+
+      // FASE 2: Cerca nei nomi prodotto. Gli errori di battitura si tollerano
+      // solo se nessun nome contiene la query: "curva c" non trova le "curva b"
+      if (results.length < 5) {
+        const exactNames = candidates.phrase("name", query).filter((id) => entries[id].name.includes(query));
+        const typoTolerant = exactNames.length === 0;
+
+        for (const id of typoTolerant ? candidates.phrase("name", query, { fuzzy: true }) : exactNames) {
+          if (seen.has(id)) continue;
+
+          const entry = entries[id];
+
+          if (entry.name.includes(query) || (typoTolerant && fuzzyMatch(entry.name, query))) {
+            const score = scoreProduct(entry, query, tokens, intent);
+            if (score > 0) {
+              addResult(entry, score, "name", query);
+            }
+
+            // Limita ricerca appena hai match decenti
+            if (limitReached(10)) break;
+          }
+        }
+      }
+
+      // Se abbiamo risultati decenti, usciamo
+      if (limitReached(5)) break;
+    }
+
+    // FASE 3: Ricerca multi-token più ampia (solo se serve)
+    if (results.length < 5 && tokens.length > 1) {
+      // Token di una lettera ("curva C") troverebbero quasi tutto il listino
+      const candidateTokens = tokens.filter((token) => token.length >= MIN_TOKEN_LENGTH);
+
+      for (const id of candidates.tokens(["code", "name", "category", "description"], candidateTokens)) {
+        if (seen.has(id)) continue;
+
+        const score = scoreProduct(entries[id], queries[0], tokens, intent);
+        if (score >= 300) { // Threshold ridotto per fallback
+          addResult(entries[id], score, "tokens", queries[0]);
+        }
+
+        if (limitReached(15)) break;
+      }
+    }
+
+    // FASE 4: Categorie (fallback se intento sconosciuto)
+    if (results.length < 3) {
+      for (const id of candidates.phrase("category", queries[0])) {
+        if (seen.has(id)) continue;
+
+        const entry = entries[id];
+        if (entry.category.includes(queries[0])) {
+          const score = scoreProduct(entry, queries[0], tokens, intent);
+          if (score > 0) {
+            addResult(entry, score, "category", queries[0]);
+          }
+        }
+
+        if (limitReached(10)) break;
+      }
+    }
+
+    // FASE 5: Descrizioni (ultima risorsa, solo se non abbiamo NULLA)
+    if (results.length < 2 && queries[0].length > 4) {
+      for (const id of candidates.phrase("description", queries[0])) {
+        if (seen.has(id)) continue;
+
+        const entry = entries[id];
+        if (entry.description.includes(queries[0])) {
+          const score = scoreProduct(entry, queries[0], tokens, intent);
+          if (score > 0) {
+            addResult(entry, score, "description", queries[0]);
+          }
+        }
+
+        if (limitReached(10)) break;
+      }
+    }
+
+    // FASE 6: FALLBACK FINALE - se ancora nessun risultato, cerca per token singoli
+    if (results.length === 0 && tokens.length > 1) {
+      for (const token of tokens) {
+        if (token.length < 3) continue; // Salta token troppo corti
+
+        for (const id of candidates.tokens(["code", "name", "category"], [token])) {
+          if (seen.has(id)) continue;
+
+          addResult(entries[id], 100, "single-token", token); // Score basso = risultato fallback
+
+          if (limitReached(5)) break;
+        }
+
+        if (limitReached(1)) break;
+      }
+    }
+
+    // OUTPUT: ordinati per rilevanza
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  return {
+    MIN_IDENTIFIER_LENGTH,
+    MIN_TOKEN_LENGTH,
+    CROSS_REFERENCE_SCORE,
+    normalize,
+    tokenize,
+    fuzzyMatch,
+    compactKey,
+    serialKeys,
+    expandWithSynonyms,
+    autoCorrect,
+    classifyIntent,
+    scoreProduct,
+    matchedIdentifier,
+    searchWithFallback
+  };
+});
@@ -0,0 +1,94 @@
+// ==========================================
+// SERVICE WORKER: APP E CATALOGO DISPONIBILI SENZA RETE
+// ==========================================
+//
+// Nei cantieri la copertura va e viene. Il service worker tiene in cache:
+// - l'app (pagina, script, stile, icona, manifest)
+// - il catalogo compatto (GET /catalog/offline) e le regole d'ordine,
+//   per la ricerca offline di frontend/offlineSearch.js
+// Sempre prima la rete, così gli aggiornamenti arrivano subito; la copia in
+// cache si usa se la rete non risponde o è troppo lenta. Le altre API
+// (ricerca, ordini...) non passano dalla cache: senza rete l'app ripiega da
+// sola sul catalogo salvato e mette gli ordini in coda.
+//
+// Cambiare CACHE_VERSION quando cambia l'elenco dei file.
+
+const CACHE_VERSION = "v2";
+const SHELL_CACHE = `sp-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `sp-data-${CACHE_VERSION}`;
+const NETWORK_TIMEOUT_MS = 4000;
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "frontend/style.css",
+  "shared/searchRanking.js",
+  "frontend/offlineSearch.js",
+  "frontend/app.js",
+  "frontend/icon.svg",
+  "manifest.webmanifest"
+];
+const DATA_FILES = ["catalog/offline", "orders/rules"];
+
+const toPath = (file) => new URL(file, self.location).pathname;
+const SHELL_PATHS = new Set(SHELL_FILES.map(toPath));
+const DATA_PATHS = new Set(DATA_FILES.map(toPath));
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Via le cache delle versioni precedenti; il catalogo si scarica subito,
+// senza aspettare la prima ricerca
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((key) => key !== SHELL_CACHE && key !== DATA_CACHE).map((key) => caches.delete(key)));
+    await self.clients.claim();
+    try {
+      await (await caches.open(DATA_CACHE)).addAll(DATA_FILES);
+    } catch (error) {
+      console.warn("Offline data not cached:", error);
+    }
+  })());
+});
+
+// Rete prima; dopo NETWORK_TIMEOUT_MS (o se la rete fallisce) la copia in
+// cache, mentre la risposta della rete, se arriva, aggiorna la cache
+async function networkFirst(request, cacheName, fallbackFile) {
+  const cache = await caches.open(cacheName);
+  const network = fetch(request).then((response) => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+  network.catch(() => {}); // se si risponde dalla cache l'errore non serve
+
+  try {
+    return await Promise.race([
+      network,
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error("Network timeout")), NETWORK_TIMEOUT_MS))
+    ]);
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true })
+      || (fallbackFile && await cache.match(fallbackFile));
+    return cached || network;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, SHELL_CACHE, "index.html"));
+  } else if (SHELL_PATHS.has(url.pathname)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  } else if (DATA_PATHS.has(url.pathname)) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  }
+});
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Archivio ordini illeggibile: il server parte ma rifiuta gli ordini
+const runtimeDir = fs.mkdtempSync(path.join(os.tmpdir(), "orders-"));
+process.env.ORDERS_PATH = path.join(runtimeDir, "orders.jsonl");
+fs.writeFileSync(process.env.ORDERS_PATH, "{ non è json\n");
+process.env.ADMIN_AUDIT_PATH = path.join(runtimeDir, "admin-audit.jsonl");
+process.env.SEARCH_LOG_PATH = path.join(runtimeDir, "search-log.jsonl");
+process.env.ADMIN_USERS_PATH = path.join(runtimeDir, "admin-users.json");
+process.env.SYNONYMS_PATH = path.join(runtimeDir, "synonyms.json");
+process.env.AUTOCORRECTIONS_PATH = path.join(runtimeDir, "autocorrections.json");
+process.env.ADMIN_TOKEN = "token-di-prova-per-gli-ordini";
+delete process.env.ADMIN_OPEN;
+
+const { app, loadAppData } = require("../backend/server");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  loadAppData();
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test("an unreadable orders archive is a 503 on the list and on single orders", async () => {
+  const headers = { "X-Admin-Token": process.env.ADMIN_TOKEN };
+  for (const route of ["/admin/orders", "/admin/orders/2026-00001"]) {
+    const response = await fetch(`${baseUrl}${route}`, { headers });
+    assert.equal(response.status, 503, route);
+    assert.match((await response.json()).message, /orders\.jsonl line 1 is not valid JSON/);
+  }
+});
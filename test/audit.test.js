@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const EventEmitter = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createAuditLog } = require("../backend/admin/audit");
+
+// Richiesta admin finta: il middleware scrive la riga all'evento "finish"
+function record(auditLog, { method = "POST", body, status = 200 }) {
+  const req = { method, body, originalUrl: "/admin/dictionaries/synonyms", ip: "127.0.0.1", admin: { name: "mario", role: "manager" } };
+  const res = new EventEmitter();
+  res.statusCode = status;
+  auditLog.middleware(req, res, () => {});
+  res.emit("finish");
+}
+
+test("every audit entry has the same shape, whatever the body", async () => {
+  const auditLog = createAuditLog(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "audit-")), "admin-audit.jsonl"));
+  record(auditLog, { body: { term: "sezionatore", expansions: ["interruttore di manovra"] } });
+  record(auditLog, { body: { term: "x".repeat(3000) } });
+  record(auditLog, { body: {} });
+  record(auditLog, { method: "GET", status: 200 });
+  record(auditLog, { method: "GET", status: 403 });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const entries = (await auditLog.readRecent(10)).reverse();
+  assert.equal(entries.length, 4);
+  entries.forEach((entry) => {
+    assert.deepEqual(Object.keys(entry), ["at", "user", "role", "method", "path", "status", "ip", "body"]);
+    assert.ok(entry.body === null || typeof entry.body === "string");
+  });
+  assert.deepEqual(JSON.parse(entries[0].body), { term: "sezionatore", expansions: ["interruttore di manovra"] });
+  assert.equal(entries[1].body.length, 2000);
+  assert.ok(entries[1].body.endsWith("…"));
+  assert.equal(entries[2].body, null);
+  assert.equal(entries[3].status, 403);
+});
@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createAuthenticator, hashPassword, hashToken, writeUsersFile, readUsersFile } = require("../backend/admin/auth");
+
+function tempFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "auth-")), name);
+}
+
+function request(headers = {}, ip = "127.0.0.1") {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { ip, get: (name) => lower[name.toLowerCase()] };
+}
+
+const basic = (username, password) => ({ Authorization: `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}` });
+
+const usersFile = tempFile("admin-users.json");
+writeUsersFile(usersFile, {
+  users: [
+    { username: "mario", role: "manager", password: hashPassword("segreta-mario") },
+    { username: "luca", role: "viewer", password: hashPassword("segreta-luca") }
+  ],
+  tokens: [{ name: "monitoraggio", role: "viewer", token: hashToken("token-monitoraggio") }]
+});
+const auth = createAuthenticator({ filePath: usersFile, envToken: "token-da-ambiente" });
+
+async function statusOf(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error.status;
+  }
+  return 200;
+}
+
+async function timed(promise) {
+  const started = Date.now();
+  const value = await promise;
+  return { value, ms: Date.now() - started };
+}
+
+test("passwords are stored as salted scrypt hashes", () => {
+  const first = hashPassword("segreta");
+  const second = hashPassword("segreta");
+  assert.match(first, /^scrypt\$16384\$[^$]+\$[^$]+$/);
+  assert.notEqual(first, second);
+  assert.ok(!first.includes("segreta"));
+  assert.equal(hashToken("abc"), "sha256$ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+});
+
+test("users log in with Basic credentials", async () => {
+  assert.deepEqual(await auth.identify(request(basic("mario", "segreta-mario"))), { name: "mario", role: "manager", via: "password" });
+  assert.equal(await auth.identify(request(basic("mario", "segreta-luca"))), null);
+  assert.equal(await auth.identify(request(basic("nessuno", "segreta-mario"))), null);
+  assert.equal(await auth.identify(request()), null);
+});
+
+test("tokens work as Bearer or X-Admin-Token", async () => {
+  assert.deepEqual(await auth.identify(request({ Authorization: "Bearer token-monitoraggio" })), { name: "monitoraggio", role: "viewer", via: "token" });
+  assert.deepEqual(await auth.identify(request({ "X-Admin-Token": "token-monitoraggio" })), { name: "monitoraggio", role: "viewer", via: "token" });
+  assert.deepEqual(await auth.identify(request({ "X-Admin-Token": "token-da-ambiente" })), { name: "ADMIN_TOKEN", role: "manager", via: "token" });
+  assert.equal(await auth.identify(request({ "X-Admin-Token": "token-sbagliato" })), null);
+});
+
+test("roles: viewers read, managers also change", async () => {
+  assert.equal(await statusOf(auth.authorize(request(basic("luca", "segreta-luca")), "viewer")), 200);
+  assert.equal(await statusOf(auth.authorize(request(basic("luca", "segreta-luca")), "manager")), 403);
+  assert.equal(await statusOf(auth.authorize(request(basic("mario", "segreta-mario")), "manager")), 200);
+  assert.equal(await statusOf(auth.authorize(request(), "viewer")), 401);
+});
+
+test("without credentials admin access is refused unless explicitly open", async () => {
+  const missing = tempFile("admin-users.json");
+  assert.equal(await statusOf(createAuthenticator({ filePath: missing }).authorize(request(), "viewer")), 403);
+
+  const open = createAuthenticator({ filePath: missing, allowOpen: true });
+  assert.equal((await open.authorize(request(), "manager")).via, "open");
+  assert.equal(open.status().open, true);
+});
+
+test("verified passwords are not hashed again until they change", async () => {
+  const file = tempFile("admin-users.json");
+  writeUsersFile(file, { users: [{ username: "mario", role: "manager", password: hashPassword("segreta-mario") }] });
+  const cached = createAuthenticator({ filePath: file });
+
+  const first = await timed(cached.identify(request(basic("mario", "segreta-mario"))));
+  const second = await timed(cached.identify(request(basic("mario", "segreta-mario"))));
+  assert.equal(first.value.name, "mario");
+  assert.equal(second.value.name, "mario");
+  assert.ok(second.ms < first.ms, `${second.ms} ms cached, ${first.ms} ms hashed`);
+
+  // Nuova password: quella vecchia non vale più, anche se era in cache
+  writeUsersFile(file, { users: [{ username: "mario", role: "manager", password: hashPassword("nuova-mario") }] });
+  assert.equal(await cached.identify(request(basic("mario", "segreta-mario"))), null);
+  assert.equal((await cached.identify(request(basic("mario", "nuova-mario")))).name, "mario");
+});
+
+test("unknown users and wrong passwords fail in the same time", async () => {
+  const unknown = await timed(auth.identify(request(basic("nessuno", "x"), "10.0.0.1")));
+  const wrong = await timed(auth.identify(request(basic("luca", "x"), "10.0.0.1")));
+  assert.equal(unknown.value, null);
+  assert.equal(wrong.value, null);
+  assert.ok(unknown.ms >= 290 && wrong.ms >= 290, `${unknown.ms} ms unknown, ${wrong.ms} ms wrong`);
+});
+
+test("repeated failures lock the IP and the user out with 429", async () => {
+  const file = tempFile("admin-users.json");
+  writeUsersFile(file, {
+    users: [
+      { username: "mario", role: "manager", password: hashPassword("segreta-mario") },
+      { username: "luca", role: "viewer", password: hashPassword("segreta-luca") }
+    ]
+  });
+  const limited = createAuthenticator({ filePath: file });
+  const attempts = Array.from({ length: 10 }, () => limited.identify(request(basic("mario", "sbagliata"), "10.0.0.2")));
+  assert.deepEqual(await Promise.all(attempts), Array(10).fill(null));
+
+  // Anche la password giusta è respinta, senza verificarla, dallo stesso IP o per lo stesso utente
+  const locked = await limited.authorize(request(basic("mario", "segreta-mario"), "10.0.0.2"), "viewer").catch((error) => error);
+  assert.equal(locked.status, 429);
+  assert.ok(locked.retryAfter > 0 && locked.retryAfter <= 15 * 60);
+  assert.equal(await statusOf(limited.authorize(request(basic("luca", "segreta-luca"), "10.0.0.2"), "viewer")), 429);
+  assert.equal(await statusOf(limited.authorize(request(basic("mario", "segreta-mario"), "10.0.0.3"), "viewer")), 429);
+
+  // Altri utenti da altri IP entrano
+  assert.equal(await statusOf(limited.authorize(request(basic("luca", "segreta-luca"), "10.0.0.3"), "viewer")), 200);
+});
+
+test("the users file rejects plain-text secrets", () => {
+  const file = tempFile("admin-users.json");
+  assert.throws(() => writeUsersFile(file, { users: [{ username: "mario", role: "manager", password: "chiaro" }] }), /no hashed password/);
+  assert.throws(() => writeUsersFile(file, { tokens: [{ name: "t", role: "admin", token: hashToken("x") }] }), /unknown role "admin"/);
+  assert.equal(fs.existsSync(file), false);
+  assert.deepEqual(readUsersFile(file), { users: [], tokens: [] });
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const xlsx = require("xlsx");
+
+const { readBomFile, matchBomEntries } = require("../backend/orders/bomImport");
+
+const csv = (text, encoding = "utf8") => Buffer.from(text, encoding);
+
+function xlsxFile(rows) {
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(rows), "Distinta");
+  return xlsx.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+test("columns are recognized by their header, below a title", () => {
+  const bom = readBomFile(csv("Distinta quadro Q1;;\nCod. art.;Descrizione;Q.tà\nA3B48;Magnetotermico C16;10\nA3B47;;2 pz\n"), "q1.csv");
+  assert.deepEqual(bom.columns, { code: "Cod. art.", quantity: "Q.tà", description: "Descrizione" });
+  assert.deepEqual(bom.entries, [
+    { line: 3, code: "A3B48", serial: "", description: "Magnetotermico C16", quantity: 10 },
+    { line: 4, code: "A3B47", serial: "", description: "", quantity: 2 }
+  ]);
+});
+
+test("without a header the first columns are code and quantity", () => {
+  const bom = readBomFile(csv("A3B48,3\nA3B47,\n"), "lista.csv");
+  assert.deepEqual(bom.columns, { code: "A", quantity: "B" });
+  assert.deepEqual(bom.entries.map(({ code, quantity }) => [code, quantity]), [["A3B48", 3], ["A3B47", 1]]);
+});
+
+test("Windows-1252 CSV files from Italian Excel", () => {
+  const bom = readBomFile(csv("Sigla;Quantità\nBS417516;4\n", "latin1"), "lista.csv");
+  assert.deepEqual(bom.columns, { serial: "Sigla", quantity: "Quantità" });
+  assert.equal(bom.entries[0].serial, "BS417516");
+});
+
+test("XLSX files use the first sheet", () => {
+  const bom = readBomFile(xlsxFile([["Codice", "Qty"], ["A3B48", 5], ["A3B47", "tre"]]), "distinta.xlsx");
+  assert.deepEqual(bom.entries.map(({ line, code, quantity }) => [line, code, quantity]), [[2, "A3B48", 5], [3, "A3B47", NaN]]);
+});
+
+test("empty, oversized and unsupported files are rejected", () => {
+  assert.throws(() => readBomFile(Buffer.alloc(0), "a.csv"), { status: 400 });
+  assert.throws(() => readBomFile(Buffer.alloc(5 * 1024 * 1024 + 1), "a.csv"), { status: 413 });
+  assert.throws(() => readBomFile(csv("A3B48;1"), "a.pdf"), { status: 415 });
+});
+
+test("entries match by code, then serial, then description search", () => {
+  const byIdentifier = { A3B48: [{ code: "A3B48" }], BS417516: [{ code: "A3B10" }, { code: "A3B11" }] };
+  const lines = matchBomEntries(
+    [
+      { line: 2, code: "XX", serial: "BS417516", description: "", quantity: 1 },
+      { line: 3, code: "A3B48", serial: "", description: "", quantity: 2 },
+      { line: 4, code: "", serial: "", description: "magnetotermico 16A", quantity: 1 },
+      { line: 5, code: "NOPE", serial: "", description: "", quantity: 1 },
+      { line: 6, code: "A3B48", serial: "", description: "", quantity: NaN }
+    ],
+    (text) => byIdentifier[text] || [],
+    (text) => (text.startsWith("magneto") ? [{ code: "A3B48" }, { code: "A3B47" }] : [])
+  );
+  assert.deepEqual(lines.map((line) => line.status), ["ambiguous", "found", "fuzzy", "not-found", "invalid-quantity"]);
+  assert.equal(lines[2].product.code, "A3B48");
+  assert.equal(lines[0].text, "XX · BS417516");
+});
@@ -0,0 +1,23 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { dateFromFileName, diffCatalogs } = require("../backend/data/catalogVersions");
+
+test("version ids come from the listino date in the file name", () => {
+  assert.equal(dateFromFileName("Listino SP_electric Febbraio 2026.csv"), "2026-02");
+  assert.equal(dateFromFileName("LISTINO_DICEMBRE_2025.xlsx"), "2025-12");
+  assert.equal(dateFromFileName("listino-2026-03-15.xlsx"), "2026-03-15");
+  assert.equal(dateFromFileName("listino 2026.11.csv"), "2026-11");
+  assert.equal(dateFromFileName("listino.csv"), null);
+});
+
+test("diffs list new and removed codes and price changes in percent", () => {
+  const diff = diffCatalogs(
+    [{ code: "A", name: "a", price: "10,00" }, { code: "B", name: "b", price: "20,00" }, { code: "C", name: "c", price: "5,00" }],
+    [{ code: "A", name: "a", price: "11,00" }, { code: "B", name: "b", price: "15,00" }, { code: "D", name: "d", price: "1,00" }]
+  );
+  assert.deepEqual(diff.added.map((item) => item.code), ["D"]);
+  assert.deepEqual(diff.removed.map((item) => item.code), ["C"]);
+  assert.deepEqual(diff.priceIncreases.map(({ code, percent }) => [code, percent]), [["A", 10]]);
+  assert.deepEqual(diff.priceDecreases.map(({ code, percent }) => [code, percent]), [["B", -25]]);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseCodeList, resolveCodeList } = require("../backend/orders/codeList");
+
+const entries = (text) => parseCodeList(text).map(({ query, quantity }) => [query, quantity]);
+
+test("quantities before or after the code, with or without units", () => {
+  assert.deepEqual(entries("A3B48 x10, A3B47 5\n10 pz BS417516\nG3-C6A;3"), [
+    ["A3B48", 10],
+    ["A3B47", 5],
+    ["BS417516", 10],
+    ["G3-C6A", 3]
+  ]);
+  assert.deepEqual(entries("n. 4 A3B48\nA3B47 * 2\nA3B46 - 7 pz\n- A3B45"), [
+    ["A3B48", 4],
+    ["A3B47", 2],
+    ["A3B46", 7],
+    ["A3B45", 1]
+  ]);
+});
+
+test("Excel columns: a quantity cell completes the previous code", () => {
+  assert.deepEqual(entries("A3B48\t10\nA3B47\t\t2"), [["A3B48", 10], ["A3B47", 2]]);
+  // Una seconda quantità non sovrascrive la prima
+  assert.deepEqual(entries("A3B48 3;5"), [["A3B48", 3]]);
+});
+
+test("commas between digits are decimals, not separators", () => {
+  assert.deepEqual(entries("MP 0,16/2P x2, A3B48"), [["MP 0,16/2P", 2], ["A3B48", 1]]);
+});
+
+test("every entry keeps its line number", () => {
+  assert.deepEqual(parseCodeList("A3B48\n\nA3B47, A3B46").map((entry) => entry.line), [1, 3, 3]);
+});
+
+test("lists that are too long are rejected", () => {
+  assert.throws(() => parseCodeList("A".repeat(20001)), { status: 400 });
+  assert.throws(() => parseCodeList(Array(501).fill("A3B48").join("\n")), /at most 500 codes/);
+});
+
+test("entries resolve as found, ambiguous, not-found or invalid-quantity", () => {
+  const products = {
+    A3B48: [{ code: "A3B48" }],
+    BS417516: [{ code: "A3B48" }, { code: "A3B49" }],
+    A3B49: [{ code: "A3B49" }]
+  };
+  // Come findByCodeOrSerial: codici e sigle anche senza spazi
+  const find = (query) => products[query.replace(/\s+/g, "")] || [];
+  const suggest = () => [{ code: "A3B47" }];
+
+  const lines = resolveCodeList(parseCodeList("A3B48 x2\nBS417516\nA3B4 9\nA3B48 x0\nNOPE"), find, suggest);
+  assert.deepEqual(lines.map((line) => line.status), ["found", "ambiguous", "not-found", "invalid-quantity", "not-found"]);
+  // Il testo intero ("A3B4 9" → A3B49) è il primo suggerimento
+  assert.deepEqual(lines[2].candidates.map((product) => product.code), ["A3B49", "A3B47"]);
+  assert.deepEqual(lines[4].candidates.map((product) => product.code), ["A3B47"]);
+  assert.equal(lines[3].product.code, "A3B48");
+});
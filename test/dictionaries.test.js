@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  dictionaryPaths,
+  loadDictionaries,
+  saveDictionaries,
+  validateDictionaries,
+  addSynonyms,
+  removeSynonym,
+  addCorrection
+} = require("../backend/search/dictionaries");
+
+const SEEDS = path.join(__dirname, "..", "backend", "data");
+
+function tempPaths() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "dictionaries-"));
+  return dictionaryPaths({
+    synonyms: path.join(directory, "nested", "synonyms.json"),
+    autoCorrections: path.join(directory, "nested", "autocorrections.json")
+  });
+}
+
+test("without saved files the seed dictionaries are used", () => {
+  const dictionaries = loadDictionaries(tempPaths());
+  assert.deepEqual(dictionaries.synonyms.cavo, ["filo", "cavetto", "cable"]);
+  assert.equal(dictionaries.autoCorrections.gewis, "gewiss");
+});
+
+test("changes are saved to the configured files, never to the seeds", () => {
+  const seeds = ["synonyms.json", "autocorrections.json"].map((file) => fs.readFileSync(path.join(SEEDS, file), "utf8"));
+  const paths = tempPaths();
+
+  const changed = addCorrection(addSynonyms(loadDictionaries(paths), "Sezionatore", ["Interruttore di manovra"]), "sezionatre", "sezionatore");
+  saveDictionaries(changed, paths);
+
+  assert.deepEqual(["synonyms.json", "autocorrections.json"].map((file) => fs.readFileSync(path.join(SEEDS, file), "utf8")), seeds);
+  const reloaded = loadDictionaries(paths);
+  assert.deepEqual(reloaded.synonyms.sezionatore, ["interruttore di manovra"]);
+  assert.equal(reloaded.autoCorrections.sezionatre, "sezionatore");
+});
+
+test("saved files keep one term per line, like the seeds", () => {
+  const paths = tempPaths();
+  saveDictionaries(loadDictionaries(paths), paths);
+  assert.equal(fs.readFileSync(paths.synonyms, "utf8"), fs.readFileSync(path.join(SEEDS, "synonyms.json"), "utf8"));
+  assert.equal(fs.readFileSync(paths.autoCorrections, "utf8"), fs.readFileSync(path.join(SEEDS, "autocorrections.json"), "utf8"));
+
+  const before = fs.readFileSync(paths.synonyms, "utf8").split("\n");
+  saveDictionaries(addSynonyms(loadDictionaries(paths), "cavo", ["conduttore"]), paths);
+  const after = fs.readFileSync(paths.synonyms, "utf8").split("\n");
+  assert.equal(after.length, before.length);
+  assert.equal(after.filter((line, index) => line !== before[index]).length, 1);
+});
+
+test("invalid dictionaries are rejected and nothing is written", () => {
+  const paths = tempPaths();
+  assert.deepEqual(validateDictionaries({ synonyms: { a: ["b"], b: ["a"] }, autoCorrections: {} }), ["Synonym cycle: a → b → a"]);
+  assert.throws(() => saveDictionaries({ synonyms: {}, autoCorrections: { x: "x" } }, paths), { status: 400 });
+  assert.equal(fs.existsSync(paths.synonyms), false);
+  assert.throws(() => removeSynonym(loadDictionaries(paths), "inesistente"), { status: 404 });
+});
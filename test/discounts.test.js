@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createDiscountStore, parseDiscount, applyDiscount } = require("../backend/pricing/discounts");
+const { validateOrder, priceOrder } = require("../backend/orders/orders");
+
+const ROSSI_KEY = "chiave-rossi-impianti";
+const BIANCHI_KEY = "chiave-bianchi-elettrica";
+
+function storeWith(data) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "discounts-"));
+  const filePath = path.join(directory, "discounts.json");
+  fs.writeFileSync(filePath, JSON.stringify(data));
+  return createDiscountStore(filePath);
+}
+
+const store = storeWith({
+  defaultRules: [{ category: "Prese", discount: 10 }, { discount: 30 }],
+  customers: [
+    {
+      id: "rossi",
+      name: "Rossi Impianti",
+      accessKey: ROSSI_KEY,
+      rules: [
+        { discount: 35 },
+        { subcategory: "Serie Modulare", discount: 45 },
+        { category: "Magnetotermici C", discount: "40+5" },
+        { code: "A3B48", discount: 50 }
+      ]
+    },
+    { id: "bianchi", accessKey: BIANCHI_KEY, rules: [{ code: "A3B48", discount: 20 }] }
+  ]
+});
+
+const product = (code, category, subcategory) => ({ code, category, subcategory, price: "100,00" });
+const rossi = store.findCustomer(ROSSI_KEY);
+const bianchi = store.findCustomer(BIANCHI_KEY);
+
+test("cascading discounts multiply", () => {
+  assert.deepEqual(parseDiscount("40+5"), { label: "40+5", factor: 0.6 * 0.95 });
+  assert.deepEqual(parseDiscount("12,5"), { label: "12,5", factor: 0.875 });
+  assert.equal(parseDiscount("100"), null);
+  assert.equal(parseDiscount("-5"), null);
+  assert.equal(parseDiscount("abc"), null);
+  assert.equal(applyDiscount(1781, parseDiscount("40+5")), 1015);
+  assert.equal(applyDiscount(null, parseDiscount("10")), null);
+});
+
+test("customers are identified by their access key", () => {
+  assert.deepEqual(rossi, { id: "rossi", name: "Rossi Impianti" });
+  assert.deepEqual(bianchi, { id: "bianchi", name: "bianchi" });
+  assert.equal(store.findCustomer("chiave-sbagliata-123"), null);
+  assert.equal(store.findCustomer(""), null);
+});
+
+test("the most specific customer rule wins, whatever the rule order", () => {
+  const discount = (item) => store.discount(rossi, item).label;
+  assert.equal(discount(product("A3B48", "Magnetotermici C", "Serie Modulare")), "50");
+  assert.equal(discount(product("A3B47", "magnetotermici c", "Serie Modulare")), "40+5");
+  assert.equal(discount(product("A3B10", "Differenziali", "Serie Modulare")), "45");
+  assert.equal(discount(product("Z9", "Cavi", "Cavi")), "35");
+});
+
+test("default rules apply only when the customer has no rule for the product", () => {
+  assert.equal(store.discount(bianchi, product("A3B48", "Prese", "")).label, "20");
+  assert.equal(store.discount(bianchi, product("P1", "Prese", "")).label, "10");
+  assert.equal(store.discount(bianchi, product("Z9", "Cavi", "")).label, "30");
+  assert.equal(store.discount(null, product("A3B48", "Prese", "")), null);
+});
+
+test("net prices are formatted like the listino", () => {
+  const priced = store.withNetPrice({ ...product("A3B47", "Magnetotermici C", ""), price: "1.234,56" }, rossi);
+  assert.equal(priced.netPrice, "703,70");
+  assert.equal(priced.discount, "40+5");
+  const unpriced = { code: "X", price: "" };
+  assert.equal(store.withNetPrice(unpriced, rossi), unpriced);
+});
+
+test("an invalid file keeps no customers and reports the problems", () => {
+  const broken = storeWith({ customers: [{ id: "corta", accessKey: "breve", rules: [{ discount: "tanto" }] }] });
+  assert.equal(broken.findCustomer("breve"), null);
+  assert.match(broken.status().error, /accessKey of at least 12 characters/);
+  assert.match(broken.status().error, /invalid discount "tanto"/);
+});
+
+test("discounts give the net unit price, rounded to the cent", () => {
+  const findProduct = (code) => (code === "A3B48" ? { code, name: "Magnetotermico 1P C16", price: "17,81" } : null);
+  const discount = parseDiscount("40+5");
+  const { lines } = validateOrder({ items: [{ code: "A3B48", quantity: 2 }] }, findProduct, () => discount);
+  const [line] = priceOrder(lines).items;
+  assert.equal(line.discount, "40+5");
+  assert.equal(line.listPrice, 17.81);
+  // 17,81 × 0,60 × 0,95 = 10,1517
+  assert.equal(line.unitPrice, 10.15);
+  assert.equal(line.lineTotal, 20.3);
+});
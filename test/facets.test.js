@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseFilters, applyFilters } = require("../backend/search/facets");
+const { buildSearchIndex, searchCatalog } = require("../backend/search/searchEngine");
+const { loadDictionaries } = require("../backend/search/dictionaries");
+const products = require("../backend/data/products.json");
+
+const index = buildSearchIndex(products);
+const dictionaries = loadDictionaries();
+
+function match(code, category, price, attributes = {}) {
+  return { entry: { product: { code, category, attributes }, price }, score: 1 };
+}
+
+const matches = [
+  match("A1", "Magnetotermici", 12, { curve: "B", amperes: 16 }),
+  match("A2", "Magnetotermici", 14, { curve: "C", amperes: 16 }),
+  match("A3", "Magnetotermici", 30, { curve: "C", amperes: 32 }),
+  match("D1", "Differenziali", 80, { amperes: 25 })
+];
+
+const facetCount = (facets, field, value) => (facets[field].find((item) => item.value === value) || { count: 0 }).count;
+
+test("parseFilters reads repeated parameters and decimal commas", () => {
+  const filters = parseFilters({ curve: ["b", "C"], amperes: "4,5", category: "Magnetotermici", priceMax: "20" });
+  assert.deepEqual(filters.attributes, { curve: ["B", "C"], amperes: [4.5] });
+  assert.deepEqual(filters.category, ["Magnetotermici"]);
+  assert.equal(filters.priceMax, 20);
+});
+
+test("facets of a field ignore the filter on the same field", () => {
+  const { matches: kept, facets } = applyFilters(matches, parseFilters({ curve: "C" }));
+  assert.deepEqual(kept.map((item) => item.entry.product.code), ["A2", "A3"]);
+  assert.equal(facetCount(facets, "curve", "B"), 1);
+  assert.equal(facetCount(facets, "curve", "C"), 2);
+  // Gli altri facet contano solo i prodotti in curva C
+  assert.equal(facetCount(facets, "amperes", 16), 1);
+  assert.equal(facetCount(facets, "category", "Differenziali"), 0);
+});
+
+test("the price facet ignores the price filter", () => {
+  const { facets } = applyFilters(matches, parseFilters({ priceMin: "13" }));
+  assert.deepEqual(facets.price.map(({ value, count }) => [value, count]), [["10-25", 2], ["25-50", 1], ["50-100", 1]]);
+});
+
+test("search facets count every result of every page", () => {
+  for (const query of ["curva C", "cavo"]) {
+    const { total, facets, results } = searchCatalog(index, query, { limit: Infinity, dictionaries });
+    assert.equal(results.length, total);
+    const curves = new Map();
+    results.forEach(({ attributes = {} }) => {
+      if (attributes.curve) curves.set(attributes.curve, (curves.get(attributes.curve) || 0) + 1);
+    });
+    assert.deepEqual(facets.curve.map(({ value, count }) => [value, count]), [...curves].sort());
+  }
+});
+
+test("search facet counts match the totals of the filtered searches", () => {
+  for (const [query, field] of [["curva C", "curve"], ["cavo", "category"], ["differenziale 30ma", "poles"]]) {
+    const { facets } = searchCatalog(index, query, { dictionaries });
+    assert.ok(facets[field].length > 0, `no ${field} facet for "${query}"`);
+    facets[field].forEach(({ value, count }) => {
+      const { total } = searchCatalog(index, query, { filters: parseFilters({ [field]: String(value) }), dictionaries });
+      assert.equal(total, count, `"${query}" ${field}=${value}`);
+    });
+  }
+});
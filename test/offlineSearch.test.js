@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const { buildSearchIndex, searchCatalog } = require("../backend/search/searchEngine");
+const { loadDictionaries } = require("../backend/search/dictionaries");
+const { buildOfflineCatalog } = require("../backend/search/offlineCatalog");
+const products = require("../backend/data/products.json");
+
+const index = buildSearchIndex(products);
+const dictionaries = loadDictionaries();
+
+// I due script del browser caricati come da index.html, con la globale SearchRanking
+function loadOfflineSearch() {
+  const context = vm.createContext({});
+  for (const file of ["shared/searchRanking.js", "frontend/offlineSearch.js"]) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, "..", file), "utf8"), context, { filename: file });
+  }
+  return vm.runInContext("OfflineSearch", context);
+}
+
+const OfflineSearch = loadOfflineSearch();
+// Come lo riceve il browser da GET /catalog/offline
+const catalog = JSON.parse(JSON.stringify(buildOfflineCatalog(index, dictionaries)));
+const offlineIndex = OfflineSearch.buildIndex(catalog);
+
+const withSerial = products.find((product) => product.serial && /\d/.test(product.serial));
+const [crossReference] = [...index.crossReferenceIndex.values()].flat();
+
+const QUERIES = [
+  products[0].code,
+  products[0].code.slice(0, 4),
+  withSerial.serial,
+  withSerial.serial.replace(/[^a-z0-9]/gi, "").slice(0, 5),
+  ...(crossReference ? [crossReference.reference] : []),
+  "magnetotermico",
+  "magnetotermco",
+  "interruttore magnetotermico 16a",
+  "differenziale 30ma",
+  "curva C",
+  "cavo",
+  "presa schuko",
+  "cassetta derivazione",
+  "salvavita",
+  "lampada led",
+  "quadro elettrico",
+  "xyz cavo"
+];
+
+test("offline search returns the same products, in the same order, as the server", () => {
+  let compared = 0;
+  for (const query of QUERIES) {
+    const server = searchCatalog(index, query, { limit: Infinity, dictionaries }).results;
+    const offline = OfflineSearch.search(offlineIndex, query);
+    compared += server.length;
+
+    // JSON: gli oggetti del contesto vm hanno prototipi diversi da quelli di Node
+    const identify = (results) => JSON.stringify(results.map((product) => [product.code, product.matchedBy || null]));
+    assert.equal(identify(offline), identify(server), `"${query}"`);
+  }
+  assert.ok(compared > 1000);
+});
+
+test("offline product page finds the product and its category", () => {
+  const found = OfflineSearch.findProduct(offlineIndex, products[0].code.toLowerCase());
+  assert.equal(found.product.code, products[0].code);
+  assert.ok(found.siblings.every((sibling) => sibling.category === products[0].category));
+  assert.equal(OfflineSearch.findProduct(offlineIndex, "NON-ESISTE-123"), null);
+});
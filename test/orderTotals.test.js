@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { orderRules, orderTotals, checkMinimumOrder } = require("../backend/orders/orders");
+
+function errorOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  assert.fail("expected an error");
+}
+
+test("shipping, free shipping threshold and VAT", () => {
+  const rules = orderRules({ vatRate: 22, shippingCost: 10, freeShippingFrom: 100 });
+  const small = orderTotals({ total: 53.43 }, rules);
+  assert.deepEqual([small.shipping, small.taxable, small.vat, small.grandTotal], [10, 63.43, 13.95, 77.38]);
+
+  const large = orderTotals({ total: 100 }, rules);
+  assert.deepEqual([large.shipping, large.taxable, large.vat, large.grandTotal], [0, 100, 22, 122]);
+
+  // Un carrello di soli prodotti su richiesta non paga la spedizione
+  assert.equal(orderTotals({ total: 0 }, rules).shipping, 0);
+});
+
+test("order rules fall back to the defaults for missing or invalid values", () => {
+  assert.deepEqual(orderRules({}), { vatRate: 22, shippingCost: 0, freeShippingFrom: null, minimumOrder: 0 });
+  assert.deepEqual(orderRules({ vatRate: -1, shippingCost: "10", minimumOrder: 50 }), {
+    vatRate: 22,
+    shippingCost: 0,
+    freeShippingFrom: null,
+    minimumOrder: 50
+  });
+});
+
+test("the minimum order is checked on the goods total", () => {
+  const rules = orderRules({ minimumOrder: 50 });
+  assert.doesNotThrow(() => checkMinimumOrder({ total: 50 }, rules));
+  const error = errorOf(() => checkMinimumOrder({ total: 49.99 }, rules));
+  assert.equal(error.status, 400);
+  assert.equal(error.details[0].problem, "below-minimum");
+});
+
+test("the shipped company.json adds no shipping and no minimum order", () => {
+  const rules = orderRules(require("../backend/data/company.json"));
+  assert.deepEqual(rules, orderRules({}));
+  assert.doesNotThrow(() => checkMinimumOrder({ total: 40.38 }, rules));
+  assert.equal(orderTotals({ total: 40.38 }, rules).shipping, 0);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateOrder, priceOrder } = require("../backend/orders/orders");
+
+const catalog = new Map([
+  ["A3B48", { code: "A3B48", name: "Magnetotermico 1P C16", price: "17,81" }],
+  ["A3B47", { code: "A3B47", name: "Magnetotermico 1P C10", price: "1.234,56" }],
+  ["X0001", { code: "X0001", name: "Quadro su richiesta", price: "" }]
+]);
+const findProduct = (code) => catalog.get(code.toUpperCase()) || null;
+
+function errorOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  assert.fail("expected an error");
+}
+
+test("lines use catalog prices in cents and merge repeated codes", () => {
+  const { lines } = validateOrder({ items: [
+    { code: "a3b48", quantity: 3, price: "17,81" },
+    { code: "A3B47", quantity: 1 },
+    { code: "A3B48", quantity: 2 }
+  ] }, findProduct);
+
+  assert.deepEqual(lines.map(({ code, quantity, listCents, unitCents }) => [code, quantity, listCents, unitCents]), [
+    ["A3B48", 5, 1781, 1781],
+    ["A3B47", 1, 123456, 123456]
+  ]);
+});
+
+test("totals add up without floating point drift", () => {
+  const { lines } = validateOrder({ items: [{ code: "A3B48", quantity: 3 }, { code: "X0001", quantity: 1 }] }, findProduct);
+  const priced = priceOrder(lines);
+  assert.equal(priced.total, 53.43);
+  assert.equal(priced.itemCount, 4);
+  assert.equal(priced.unpricedItems, 1);
+  assert.equal(priced.items[0].lineTotal, 53.43);
+  assert.equal(priced.items[1].lineTotal, null);
+});
+
+test("invalid items are reported together", () => {
+  const error = errorOf(() => validateOrder({ items: [
+    { code: "NOPE", quantity: 1 },
+    { code: "A3B48", quantity: 0 },
+    { quantity: 1 }
+  ] }, findProduct));
+  assert.equal(error.status, 400);
+  assert.deepEqual(error.details.map((detail) => detail.problem), ["unknown-code", "invalid-quantity", "missing-code"]);
+});
+
+test("a price that differs from the catalog is a 409 with the current price", () => {
+  const error = errorOf(() => validateOrder({ items: [{ code: "A3B48", quantity: 1, price: "15,00" }] }, findProduct));
+  assert.equal(error.status, 409);
+  assert.deepEqual(error.details, [{ index: 0, code: "A3B48", submitted: "15,00", price: "17,81" }]);
+});
+
+test("the quantity limit applies to the merged line", () => {
+  assert.doesNotThrow(() => validateOrder({ items: [{ code: "A3B48", quantity: 99998 }, { code: "A3B48", quantity: 1 }] }, findProduct));
+  const error = errorOf(() => validateOrder({ items: [{ code: "A3B48", quantity: 99999 }, { code: "a3b48", quantity: 99999 }] }, findProduct));
+  assert.equal(error.status, 400);
+  assert.deepEqual(error.details, [{ index: 1, code: "A3B48", problem: "invalid-quantity", quantity: 199998 }]);
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildSearchIndex, searchCatalog, parseFilters } = require("../backend/search/searchEngine");
+const { loadDictionaries } = require("../backend/search/dictionaries");
+const products = require("../backend/data/products.json");
+
+const index = buildSearchIndex(products);
+const dictionaries = loadDictionaries();
+
+// Tutte le pagine di una ricerca, come le chiede il frontend con "Mostra altri"
+function pageThrough(query, options = {}) {
+  const limit = 100;
+  const codes = [];
+  let total = null;
+  for (let offset = 0; ; offset += limit) {
+    const page = searchCatalog(index, query, { ...options, limit, offset, dictionaries });
+    if (total === null) total = page.total;
+    assert.equal(page.total, total, `total changed at offset ${offset}`);
+    codes.push(...page.results.map((product) => product.code));
+    if (page.results.length < limit) break;
+  }
+  return { total, codes };
+}
+
+test("total counts every result reachable by paging to the end", () => {
+  for (const query of ["curva C", "cavo", "interruttore magnetotermico 16a", "differenziale 30ma", "presa"]) {
+    const { total, codes } = pageThrough(query);
+    assert.ok(total > 0, `no results for "${query}"`);
+    assert.equal(codes.length, total, `"${query}"`);
+    assert.equal(new Set(codes).size, codes.length, `duplicates in "${query}"`);
+  }
+});
+
+test("filtered totals match the filtered pages", () => {
+  const { total, codes } = pageThrough("curva C", { filters: parseFilters({ curve: "C" }) });
+  assert.ok(total > 0);
+  assert.equal(codes.length, total);
+});
+
+test("an exact code returns only that product", () => {
+  const { total, codes } = pageThrough("A3B48");
+  assert.equal(total, 1);
+  assert.deepEqual(codes, ["A3B48"]);
+});
+
+test("every result is relevant to the query, on every page", () => {
+  const { codes } = pageThrough("curva C");
+  const byCode = new Map(products.map((product) => [product.code, product]));
+  for (const code of codes) {
+    const product = byCode.get(code);
+    assert.ok(
+      product.name.toLowerCase().includes("curva c") || product.attributes.curve === "C",
+      `"${product.name}" does not match "curva C"`
+    );
+  }
+
+  // Né fasi di ripiego né errori di battitura quando i nomi contengono la parola
+  const cavo = pageThrough("cavo");
+  assert.ok(cavo.codes.every((code) => /\bcavo\b/i.test(byCode.get(code).name)));
+});
+
+test("one-letter tokens do not pull the whole catalog into the fallback", () => {
+  const { total } = pageThrough("xyz cavo c");
+  assert.ok(total > 0 && total < products.length / 10, `total ${total}`);
+});
+
+test("cached searches follow dictionary changes", () => {
+  const empty = { synonyms: {}, autoCorrections: {} };
+  assert.equal(searchCatalog(index, "zzqq", { dictionaries: empty }).total, 0);
+
+  const withSynonym = { synonyms: { zzqq: ["curva c"] }, autoCorrections: {} };
+  assert.equal(searchCatalog(index, "zzqq", { dictionaries: withSynonym }).total, pageThrough("curva C").total);
+  assert.equal(searchCatalog(index, "zzqq", { dictionaries: empty }).total, 0);
+});
+
+test("a cached search gives the same pages and facets as a fresh one", () => {
+  const fresh = searchCatalog(buildSearchIndex(products), "interruttore", { limit: 20, offset: 40, dictionaries });
+  searchCatalog(index, "interruttore", { limit: 20, dictionaries });
+  const cached = searchCatalog(index, "interruttore", { limit: 20, offset: 40, dictionaries });
+  assert.deepEqual(cached, fresh);
+});
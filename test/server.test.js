@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// File di runtime in una cartella temporanea: i test non toccano backend/data
+const runtimeDir = fs.mkdtempSync(path.join(os.tmpdir(), "server-"));
+process.env.ADMIN_AUDIT_PATH = path.join(runtimeDir, "admin-audit.jsonl");
+process.env.SEARCH_LOG_PATH = path.join(runtimeDir, "search-log.jsonl");
+process.env.ADMIN_USERS_PATH = path.join(runtimeDir, "admin-users.json");
+process.env.SYNONYMS_PATH = path.join(runtimeDir, "synonyms.json");
+process.env.AUTOCORRECTIONS_PATH = path.join(runtimeDir, "autocorrections.json");
+process.env.ORDERS_PATH = path.join(runtimeDir, "orders.jsonl");
+// Nessuna credenziale e nessuna apertura esplicita, qualunque sia NODE_ENV
+delete process.env.ADMIN_TOKEN;
+delete process.env.ADMIN_OPEN;
+delete process.env.NODE_ENV;
+
+const { app, loadAppData } = require("../backend/server");
+const products = require("../backend/data/products.json");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  loadAppData();
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test("the public assets are served", async () => {
+  for (const file of ["/", "/index.html", "/sw.js", "/manifest.webmanifest", "/frontend/app.js", "/frontend/offlineSearch.js", "/shared/searchRanking.js"]) {
+    const response = await fetch(`${baseUrl}${file}`);
+    assert.equal(response.status, 200, file);
+  }
+});
+
+test("backend files and data are not downloadable", async () => {
+  const files = [
+    "/backend/data/company.json",
+    "/backend/data/admin-users.json",
+    "/backend/data/admin-audit.jsonl",
+    "/backend/data/orders.jsonl",
+    "/backend/data/discounts.json",
+    "/backend/data/search-log.jsonl",
+    "/backend/data/products.json",
+    "/backend/data/versions/index.json",
+    "/backend/admin/auth.js",
+    "/backend/server.js",
+    "/package.json",
+    "/.env"
+  ];
+  for (const file of files) {
+    const response = await fetch(`${baseUrl}${file}`);
+    assert.equal(response.status, 404, file);
+  }
+});
+
+test("without admin credentials the admin routes are closed", async () => {
+  const write = await fetch(`${baseUrl}/admin/dictionaries/synonyms`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ term: "sezionatore", expansions: ["interruttore di manovra"] })
+  });
+  assert.equal(write.status, 403);
+  assert.equal(fs.existsSync(process.env.SYNONYMS_PATH), false);
+
+  for (const route of ["/admin/session", "/admin/orders", "/search?q=cavo&explain=1"]) {
+    const response = await fetch(`${baseUrl}${route}`);
+    assert.equal(response.status, 403, route);
+  }
+});
+
+test("product detail: unknown codes are a 404", async () => {
+  const response = await fetch(`${baseUrl}/products/NON-ESISTE-123`);
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).code, "NON-ESISTE-123");
+});
+
+test("product detail: the product with its category trail and siblings", async () => {
+  // Il prodotto della categoria più numerosa: i fratelli superano il limite
+  const byCategory = new Map();
+  products.forEach((product) => byCategory.set(product.category, [...(byCategory.get(product.category) || []), product]));
+  const category = [...byCategory.values()].sort((a, b) => b.length - a.length)[0];
+  const product = category[1];
+
+  const response = await fetch(`${baseUrl}/products/${encodeURIComponent(product.code.toLowerCase())}`);
+  assert.equal(response.status, 200);
+  const detail = await response.json();
+
+  assert.equal(detail.product.code, product.code);
+  assert.deepEqual(detail.product.categoryTrail.map((node) => node.name), detail.product.categoryPath);
+  assert.equal(detail.product.categoryTrail.at(-1).name, product.category);
+  assert.ok(detail.product.categoryTrail.every((node) => node.id));
+
+  assert.equal(detail.siblingsTotal, category.length - 1);
+  assert.equal(detail.siblings.length, 20);
+  assert.deepEqual(
+    detail.siblings.map((sibling) => sibling.code),
+    category.filter((other) => other !== product).slice(0, 20).map((other) => other.code)
+  );
+});
+
+test("search pagination: limit, offset and hasMore", async () => {
+  const page = async (params) => (await fetch(`${baseUrl}/search?q=curva%20c&${params}`)).json();
+
+  const first = await page("limit=7");
+  assert.deepEqual([first.count, first.offset, first.limit, first.hasMore], [7, 0, 7, true]);
+  const { total } = first;
+  assert.ok(total > 7);
+
+  const next = await page("limit=7&offset=7");
+  assert.equal(next.total, total);
+  assert.deepEqual([next.count, next.offset, next.hasMore], [7, 7, true]);
+  assert.equal(new Set([...first.results, ...next.results].map((product) => product.code)).size, 14);
+
+  const last = await page(`limit=7&offset=${total - 3}`);
+  assert.deepEqual([last.count, last.hasMore], [3, false]);
+
+  const pastTheEnd = await page(`limit=7&offset=${total + 50}`);
+  assert.deepEqual([pastTheEnd.count, pastTheEnd.total, pastTheEnd.offset, pastTheEnd.hasMore], [0, total, total + 50, false]);
+});
+
+test("search pagination: invalid or out of range values fall back to the defaults", async () => {
+  const page = async (params) => (await fetch(`${baseUrl}/search?q=curva%20c&${params}`)).json();
+
+  for (const params of ["limit=-5&offset=-10", "limit=abc&offset=xyz", "limit=0", ""]) {
+    const response = await page(params);
+    assert.deepEqual([response.limit, response.offset, response.count], [20, 0, 20], params);
+  }
+  assert.equal((await page("limit=500")).limit, 100);
+  assert.equal((await page("limit=500")).count, 100);
+});
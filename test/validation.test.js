@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createValidator, checkDuplicates, summarizeIssues } = require("../backend/data/validation");
+
+const row = (code, name, price, file, row) => ({ code, name, price, source: { file, row } });
+
+test("repeated codes: identical rows warn, different name or price fail the build", () => {
+  const validator = createValidator();
+  checkDuplicates(validator, [
+    row("G3V1D", "SEZIONATORE 4P 63A", "120,50", "Listino.csv", 10),
+    row("G3V1E", "SEZIONATORE 4P 80A", "197,20", "Listino.csv", 11),
+    row("WN4E3", "MORSETTO 4mmq", "10,98", "Listino.csv", 12),
+    row("G3V1D", "SEZIONATORE 4P 63A", "120,50", "Listino.csv", 40),
+    row("G3V1E", "SEZIONATORE 4P 80A", "197,30", "Listino.csv", 41),
+    row("WN4E3", "MORSETTO 4 mmq", "10,98", "Listino.csv", 42),
+    row("G3V1D", "SEZIONATORE 4P 63A", "120,50", "Altro.csv", 5)
+  ]);
+
+  assert.deepEqual(
+    validator.issues.map(({ severity, rule, code, row }) => [severity, rule, code, row]),
+    [
+      ["warning", "duplicate-code", "G3V1D", 40],
+      ["error", "conflicting-duplicate-code", "G3V1E", 41],
+      ["error", "conflicting-duplicate-code", "WN4E3", 42],
+      ["error", "duplicate-code-across-files", "G3V1D", 5]
+    ]
+  );
+  assert.match(validator.issues[1].message, /Listino\.csv:11 .*price "197,20" → "197,30"/);
+  assert.equal(summarizeIssues(validator.issues).errors, 3);
+});